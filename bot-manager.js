@@ -16,17 +16,20 @@ class BotManager {
     // Generate a unique bot player
     createBot() {
         const availableNames = this.botNames.filter(name => !this.usedNames.has(name));
-        if (availableNames.length === 0) {
-            // Fallback if all names are used
-            const randomNum = Math.floor(Math.random() * 1000);
-            return `AI Player ${randomNum}`;
-        }
+        // Fallback name if all names are used
+        const name = availableNames.length > 0
+            ? availableNames[Math.floor(Math.random() * availableNames.length)]
+            : `AI Player ${Math.floor(Math.random() * 1000)}`;
         
-        const name = availableNames[Math.floor(Math.random() * availableNames.length)];
+        return this.restoreBot(`bot_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`, name);
+    }
+
+    // Register a bot under a given id and name (new bots, and bots restored from a room snapshot)
+    restoreBot(botId, name) {
         this.usedNames.add(name);
         
         const bot = {
-            id: `bot_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            id: botId,
             name: name,
             role: null,
             alive: true,
@@ -219,6 +222,69 @@ class BotManager {
         }, delay);
     }
 
+    // Guilty or innocent on a trial, leaning on how suspicious the accused seems
+    getBotVerdict(botId, accusedId) {
+        const bot = this.bots.get(botId);
+        if (!bot) return 'abstain';
+
+        const suspicion = bot.suspicionLevels.get(accusedId) || 50;
+        const roll = Math.random() * 100;
+
+        // Unsure bots sometimes sit it out
+        if (Math.abs(roll - suspicion) < 10 * bot.personality.cautiousness) {
+            return 'abstain';
+        }
+        // Crowd-followers lean toward convicting whoever the town put up
+        return roll < suspicion + bot.personality.followCrowd * 20 ? 'guilty' : 'innocent';
+    }
+
+    // Schedule a bot's verdict with a realistic delay
+    scheduleBotVerdict(botId, accusedId, verdictCallback) {
+        const bot = this.bots.get(botId);
+        if (!bot) return;
+
+        if (bot.actionTimer) {
+            clearTimeout(bot.actionTimer);
+        }
+
+        const delay = 2000 + 5000 * bot.personality.cautiousness;
+        bot.actionTimer = setTimeout(() => {
+            const verdict = this.getBotVerdict(botId, accusedId);
+            console.log(`🤖 Bot ${bot.name} votes ${verdict}`);
+            verdictCallback(botId, verdict);
+        }, delay);
+    }
+
+    // Night target for a bot that inherited a role: the most suspicious player for
+    // attacks and checks, the least suspicious one to protect
+    getBotNightTarget(botId, action, candidates) {
+        const bot = this.bots.get(botId);
+        if (!bot || candidates.length === 0) return null;
+
+        const ranked = candidates
+            .map(target => ({ target, weight: (bot.suspicionLevels.get(target.id) || 50) + (Math.random() - 0.5) * 40 }))
+            .sort((a, b) => b.weight - a.weight);
+        return (action === 'protect' ? ranked[ranked.length - 1] : ranked[0]).target;
+    }
+
+    // Schedule a bot's night action with a realistic delay (passable actions are passed)
+    scheduleBotNightAction(botId, action, candidates, canPass, actionCallback) {
+        const bot = this.bots.get(botId);
+        if (!bot) return;
+
+        if (bot.actionTimer) {
+            clearTimeout(bot.actionTimer);
+        }
+
+        const delay = 3000 + 7000 * bot.personality.cautiousness;
+        bot.actionTimer = setTimeout(() => {
+            const target = canPass ? null : this.getBotNightTarget(botId, action, candidates);
+            if (!target && !canPass) return;
+            console.log(`🤖 Bot ${bot.name} ${canPass ? `passes on ${action}` : `uses ${action} on ${target.name}`}`);
+            actionCallback(botId, action, target ? target.id : null);
+        }, delay);
+    }
+
     // Handle game events that affect bot AI
     onGameEvent(eventType, eventData) {
         switch (eventType) {
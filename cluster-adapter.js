@@ -0,0 +1,121 @@
+// Socket.IO cluster adapters for The Fall of Velmora
+// Let broadcasts, room joins and server-side events reach sockets connected to other
+// server instances. The MongoDB adapter is for real deployments; the local one links
+// several Socket.IO servers inside one process, for trying the cluster out locally.
+
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+const CLUSTER_EVENT_TTL = 60; // Seconds cluster messages are kept in MongoDB
+
+// Every server given the same bus forms one cluster
+class LocalClusterAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp, bus, opts = {}) {
+        super(nsp, opts);
+        this.bus = bus;
+        this.onBusMessage = (message) => {
+            if (message.nsp === nsp.name) this.onMessage(message);
+        };
+        this.onBusResponse = (requesterUid, response) => {
+            if (requesterUid === this.uid && response.nsp === nsp.name) this.onResponse(response);
+        };
+        bus.on('message', this.onBusMessage);
+        bus.on('response', this.onBusResponse);
+        this.init();
+    }
+
+    // Delivered on a later tick (and copied) as if it had crossed the network
+    doPublish(message) {
+        const copy = structuredClone(message);
+        setImmediate(() => this.bus.emit('message', copy));
+        return Promise.resolve('');
+    }
+
+    doPublishResponse(requesterUid, response) {
+        const copy = structuredClone(response);
+        setImmediate(() => this.bus.emit('response', requesterUid, copy));
+        return Promise.resolve();
+    }
+
+    close() {
+        super.close();
+        this.bus.off('message', this.onBusMessage);
+        this.bus.off('response', this.onBusResponse);
+    }
+}
+
+function createLocalAdapter(bus = new EventEmitter(), opts = {}) {
+    return function (nsp) {
+        return new LocalClusterAdapter(nsp, bus, opts);
+    };
+}
+
+// Messages go through a MongoDB collection; every instance follows it with a change stream
+// (needs a replica set, which every Atlas cluster is)
+class MongoClusterAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp, db, opts = {}) {
+        super(nsp, opts);
+        this.db = db;
+        // Without MongoDB this instance keeps serving its own sockets; it just can't reach the others
+        this.ready = this.watch().catch(error => {
+            console.error('Cluster adapter could not follow MongoDB, running without the other instances:', error);
+        });
+        this.init();
+    }
+
+    async watch() {
+        await this.db.ensureReady();
+        this.collection = mongoose.connection.collection('cluster_events');
+        await this.collection.createIndex({ created_at: 1 }, { expireAfterSeconds: CLUSTER_EVENT_TTL });
+
+        this.changeStream = this.collection.watch([{ $match: { operationType: 'insert' } }]);
+        this.changeStream.on('change', ({ fullDocument: doc }) => {
+            if (doc.nsp !== this.nsp.name) return;
+            const payload = JSON.parse(doc.payload);
+            if (doc.requester_uid) {
+                if (doc.requester_uid === this.uid) this.onResponse(payload);
+            } else {
+                this.onMessage(payload, doc._id.toString());
+            }
+        });
+        this.changeStream.on('error', (error) => {
+            console.error('Cluster adapter change stream error:', error);
+        });
+    }
+
+    async doPublish(message) {
+        await this.ready;
+        if (!this.collection) return '';
+        const { insertedId } = await this.collection.insertOne({
+            nsp: message.nsp,
+            payload: JSON.stringify(message),
+            created_at: new Date()
+        });
+        return insertedId.toString();
+    }
+
+    async doPublishResponse(requesterUid, response) {
+        await this.ready;
+        if (!this.collection) return;
+        await this.collection.insertOne({
+            nsp: response.nsp,
+            requester_uid: requesterUid,
+            payload: JSON.stringify(response),
+            created_at: new Date()
+        });
+    }
+
+    close() {
+        super.close();
+        if (this.changeStream) this.changeStream.close();
+    }
+}
+
+function createMongoAdapter(db, opts = {}) {
+    return function (nsp) {
+        return new MongoClusterAdapter(nsp, db, opts);
+    };
+}
+
+module.exports = { createLocalAdapter, createMongoAdapter, LocalClusterAdapter, MongoClusterAdapter };
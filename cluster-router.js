@@ -0,0 +1,137 @@
+// Cluster routing for The Fall of Velmora (CLUSTER_MODE=mongo)
+// Every room is run by the instance that owns it. Events a player sends about a room another
+// instance runs are handed to that instance, where a stand-in socket feeds them to the usual handlers.
+
+const ROOM_OWNER_CACHE = 10; // Seconds a remote room's owner is remembered before asking the store again
+const LOCAL_EVENTS = new Set(['createRoom', 'respondToInvitation']); // Handled where they arrive, even with a room code
+
+// Room code an event is about: handlers take either the code itself or { roomCode, ... }
+// (upper-cased, as joinRoom accepts codes typed in any case)
+function getEventRoomCode(event, data) {
+    if (LOCAL_EVENTS.has(event)) return null;
+    const roomCode = typeof data === 'string' ? data : data?.roomCode;
+    return typeof roomCode === 'string' ? roomCode.toUpperCase() : null;
+}
+
+// Stand-in for a socket connected to another instance: the usual handlers run here and
+// everything they send goes back through the adapter
+class ForwardedSocket {
+    constructor(io, { id, userId, username, guestId }) {
+        this.io = io;
+        this.id = id;
+        this.userId = userId;
+        this.username = username;
+        this.guestId = guestId;
+        this.handlers = new Map();
+    }
+
+    on(event, handler) {
+        this.handlers.set(event, handler);
+    }
+
+    dispatch(event, args) {
+        const handler = this.handlers.get(event);
+        if (handler) handler(...args);
+    }
+
+    emit(event, ...args) {
+        this.io.to(this.id).emit(event, ...args);
+    }
+
+    join(room) {
+        this.io.in(this.id).socketsJoin(room);
+    }
+
+    leave(room) {
+        this.io.in(this.id).socketsLeave(room);
+    }
+
+    to(room) {
+        return this.io.to(room).except(this.id);
+    }
+}
+
+class ClusterRouter {
+    // options.hasRoom(roomCode): whether this instance runs the room
+    // options.registerSocketHandlers(socket): attaches the game handlers to a (stand-in) socket
+    constructor(io, { instanceId, roomStore, hasRoom, registerSocketHandlers }) {
+        this.io = io;
+        this.instanceId = instanceId;
+        this.roomStore = roomStore;
+        this.hasRoom = hasRoom;
+        this.registerSocketHandlers = registerSocketHandlers;
+        this.remoteRoomOwners = new Map(); // roomCode -> { instanceId, checkedAt } for rooms other instances run
+        this.forwardedSockets = new Map(); // socket id -> ForwardedSocket for players connected to another instance
+
+        io.on('forwardedEvent', (message) => this.onForwardedEvent(message));
+        io.on('forwardedDisconnect', (message) => this.onForwardedDisconnect(message));
+    }
+
+    // Route a real socket's room events, and tell the other instances when it goes away
+    attach(socket) {
+        socket.use((packet, next) => this.routeRoomEvent(socket, packet, next));
+        socket.on('disconnect', () => this.io.serverSideEmit('forwardedDisconnect', { socketId: socket.id }));
+    }
+
+    // Instance running a room this instance doesn't have, or null if nobody does
+    async getRemoteRoomOwner(roomCode) {
+        const cached = this.remoteRoomOwners.get(roomCode);
+        if (cached && Date.now() - cached.checkedAt < ROOM_OWNER_CACHE * 1000) return cached.instanceId;
+
+        const instanceId = await this.roomStore.getRoomOwner(roomCode);
+        if (instanceId && instanceId !== this.instanceId) {
+            this.remoteRoomOwners.set(roomCode, { instanceId, checkedAt: Date.now() });
+            return instanceId;
+        }
+        this.remoteRoomOwners.delete(roomCode);
+        return null;
+    }
+
+    // This instance took the room over (restored from its snapshot)
+    forgetRoomOwner(roomCode) {
+        this.remoteRoomOwners.delete(roomCode);
+    }
+
+    // Events for a room another instance runs are handed to that instance, which owns the room's state and timers
+    routeRoomEvent(socket, [event, ...args], next) {
+        const roomCode = getEventRoomCode(event, args[0]);
+        if (!roomCode || this.hasRoom(roomCode)) return next();
+
+        this.getRemoteRoomOwner(roomCode).then(instanceId => {
+            if (!instanceId) return next();
+            this.io.serverSideEmit('forwardedEvent', {
+                instanceId,
+                socket: { id: socket.id, userId: socket.userId, username: socket.username, guestId: socket.guestId },
+                event,
+                args
+            });
+        }).catch(error => {
+            console.error('Room store error:', error);
+            next();
+        });
+    }
+
+    onForwardedEvent({ instanceId, socket: info, event, args }) {
+        if (instanceId !== this.instanceId) return;
+
+        let socket = this.forwardedSockets.get(info.id);
+        if (!socket) {
+            socket = new ForwardedSocket(this.io, info);
+            this.forwardedSockets.set(info.id, socket);
+            this.registerSocketHandlers(socket);
+        }
+        // The player may have signed in since their last event
+        socket.userId = info.userId;
+        socket.username = info.username;
+        socket.dispatch(event, args);
+    }
+
+    onForwardedDisconnect({ socketId }) {
+        const socket = this.forwardedSockets.get(socketId);
+        if (!socket) return;
+        this.forwardedSockets.delete(socketId);
+        socket.dispatch('disconnect', []);
+    }
+}
+
+module.exports = { ClusterRouter, ForwardedSocket, getEventRoomCode, ROOM_OWNER_CACHE };
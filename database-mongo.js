@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const RoleRegistry = require('./role-registry');
 
 class VelmoraDatabase {
 	constructor() {
@@ -72,7 +73,36 @@ class VelmoraDatabase {
 			username: { type: String, required: true },
 			role: { type: String, required: true },
 			survived: { type: Boolean, required: true },
-			won: { type: Boolean, required: true }
+			won: { type: Boolean, required: true },
+			last_will: { type: String, default: null },
+			last_words: { type: [String], default: [] }
+		});
+
+		// Live room state, saved periodically so lobbies and games survive a restart
+		const roomSnapshotSchema = new mongoose.Schema({
+			room_code: { type: String, required: true, unique: true, index: true },
+			instance_id: { type: String, default: null, index: true }, // Server instance that saved it
+			data: { type: String, required: true }, // JSON of the room (Maps and Sets tagged)
+			saved_at: { type: Date, default: Date.now }
+		});
+
+		// Shared room directory for running several server instances (see room-store.js)
+		const roomOwnerSchema = new mongoose.Schema({
+			room_code: { type: String, required: true, unique: true, index: true },
+			instance_id: { type: String, required: true, index: true },
+			expires_at: { type: Date, required: true }
+		});
+
+		const userConnectionSchema = new mongoose.Schema({
+			user_id: { type: String, required: true, unique: true, index: true },
+			socket_id: { type: String, required: true },
+			updated_at: { type: Date, default: Date.now }
+		});
+
+		const publicLobbySchema = new mongoose.Schema({
+			room_code: { type: String, required: true, unique: true, index: true },
+			lobby: { type: mongoose.Schema.Types.Mixed, required: true },
+			updated_at: { type: Date, default: Date.now }
 		});
 
 		const directMessageSchema = new mongoose.Schema({
@@ -88,6 +118,10 @@ class VelmoraDatabase {
 		this.GameSession = mongoose.model('GameSession', gameSessionSchema);
 		this.GameParticipant = mongoose.model('GameParticipant', gameParticipantSchema);
 		this.DirectMessage = mongoose.model('DirectMessage', directMessageSchema);
+		this.RoomSnapshot = mongoose.model('RoomSnapshot', roomSnapshotSchema);
+		this.RoomOwner = mongoose.model('RoomOwner', roomOwnerSchema);
+		this.UserConnection = mongoose.model('UserConnection', userConnectionSchema);
+		this.PublicLobby = mongoose.model('PublicLobby', publicLobbySchema);
 
 		this.connected = true;
 		console.log('Connected to MongoDB Atlas');
@@ -389,8 +423,7 @@ class VelmoraDatabase {
 		if (teamWon === 'mafia') update.$inc.mafia_wins = (update.$inc.mafia_wins || 0) + 1;
 		if (teamWon === 'innocents') update.$inc.civilian_wins = (update.$inc.civilian_wins || 0) + 1;
 		// Track games by alignment for rate calculations
-		const mafiaRoles = new Set(['mafia', 'suicide_bomber', 'manipulator']);
-		if (mafiaRoles.has(role)) {
+		if (RoleRegistry.isMafiaAligned(role)) {
 			update.$inc.mafia_games = (update.$inc.mafia_games || 0) + 1;
 		} else {
 			update.$inc.civilian_games = (update.$inc.civilian_games || 0) + 1;
@@ -414,7 +447,7 @@ class VelmoraDatabase {
 		});
 	}
 
-	async addGameParticipant(sessionId, userId, username, role, survived, won) {
+	async addGameParticipant(sessionId, userId, username, role, survived, won, extra = {}) {
 		await this.ensureReady();
 		await this.GameParticipant.create({
 			game_session_id: sessionId,
@@ -422,7 +455,9 @@ class VelmoraDatabase {
 			username,
 			role,
 			survived,
-			won
+			won,
+			last_will: extra.lastWill || null,
+			last_words: extra.lastWords || []
 		});
 	}
 
@@ -448,6 +483,35 @@ class VelmoraDatabase {
 		});
 	}
 
+	// Replace an instance's stored room snapshots with its current set ({ roomCode, data, savedAt }); rooms no longer open are dropped
+	async saveRoomSnapshots(instanceId, snapshots) {
+		await this.ensureReady();
+		if (snapshots.length > 0) {
+			await this.RoomSnapshot.bulkWrite(snapshots.map(snapshot => ({
+				updateOne: {
+					filter: { room_code: snapshot.roomCode },
+					update: { instance_id: instanceId, data: snapshot.data, saved_at: snapshot.savedAt },
+					upsert: true
+				}
+			})));
+		}
+		await this.RoomSnapshot.deleteMany({
+			instance_id: instanceId,
+			room_code: { $nin: snapshots.map(snapshot => snapshot.roomCode) }
+		});
+	}
+
+	async deleteRoomSnapshot(roomCode) {
+		await this.ensureReady();
+		await this.RoomSnapshot.deleteOne({ room_code: roomCode });
+	}
+
+	async getRoomSnapshots() {
+		await this.ensureReady();
+		const snapshots = await this.RoomSnapshot.find({}).lean();
+		return snapshots.map(s => ({ roomCode: s.room_code, data: s.data, savedAt: s.saved_at }));
+	}
+
 	async searchUsers(queryText, currentUserId, limit = 10) {
 		await this.ensureReady();
 		const q = (queryText || '').trim();
@@ -0,0 +1,2987 @@
+// Game Engine for The Fall of Velmora
+// Headless rules engine: takes commands, updates the room's game state and
+// returns the events the socket layer should deliver. No sockets, no real timers.
+
+const RoleRegistry = require('./role-registry');
+const { ROLES } = RoleRegistry;
+
+// Game configuration
+const MIN_PLAYERS = 4;
+const MAX_PLAYERS = 20;
+// Default phase lengths in seconds (hosts can change each one in the room settings)
+const DAY_DURATION = 120; // 2 minutes (the discussion part when the day is split)
+const NIGHT_DURATION = 60; // 1 minute
+const VOTING_DURATION = 60; // 1 minute
+const SUICIDE_BOMBER_DURATION = 30; // 30 seconds to pick targets
+const DEFENSE_DURATION = 30; // Accused's defense speech in a trial
+const VERDICT_DURATION = 20; // Guilty / innocent ballot after the defense
+const LAST_WORDS_DURATION = 15; // A player voted out speaks before night falls
+const LAST_WILL_MAX_LENGTH = 500;
+const VERDICTS = ['guilty', 'innocent', 'abstain'];
+const NO_LYNCH = 'no_lynch'; // Ballot target for a deliberate skip
+const RECONNECT_GRACE = 60; // Seconds a disconnected player's seat (and role) is held for them
+const MAX_PHASE_EXTENSION = 300; // Most seconds the host can add to a phase at once
+
+// Socket room shared by a game's dead players (spectator chat and feed)
+function graveyardChannel(roomCode) {
+    return `${roomCode}:graveyard`;
+}
+
+// Small seeded PRNG (mulberry32) so games can be replayed deterministically
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Get maximum allowed mafia count for given player count
+function getMaxMafiaCount(playerCount) {
+    if (playerCount >= 15 && playerCount <= 20) return 4;  // 15-20 players: max 4 mafia
+    if (playerCount >= 7 && playerCount <= 14) return 3;   // 7-14 players: max 3 mafia
+    if (playerCount >= 5 && playerCount <= 6) return 2;    // 5-6 players: max 2 mafia
+    if (playerCount >= 4 && playerCount <= 4) return 1;    // 4 players: max 1 mafia
+    return 1; // Default fallback
+}
+
+// Shuffle a role list in place (Fisher-Yates)
+function shuffleRoles(roles, random) {
+    for (let i = roles.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [roles[i], roles[j]] = [roles[j], roles[i]];
+    }
+    return roles;
+}
+
+// Check a host-defined role setup ({ roles: { role: count } }, rest Civilian) against a player count.
+// Returns an error message, or null when the setup is usable.
+function validateRoleSetup(setup, playerCount) {
+    if (!setup || typeof setup.roles !== 'object' || setup.roles === null) {
+        return 'Role setup is missing its role list';
+    }
+
+    let total = 0;
+    let mafiaAligned = 0;
+    let mafiaTeam = 0;
+    for (const [role, count] of Object.entries(setup.roles)) {
+        if (!RoleRegistry.isRole(role)) return `Unknown role: ${role}`;
+        if (!Number.isInteger(count) || count < 0) return `Invalid count for ${role}`;
+        total += count;
+        if (RoleRegistry.isMafiaAligned(role)) mafiaAligned += count;
+        if (RoleRegistry.isOnTeam(role, 'mafia')) mafiaTeam += count;
+    }
+
+    if (mafiaTeam === 0) return 'The role setup needs at least one Mafia member';
+    if (total > playerCount) return `The role setup lists ${total} roles but there are only ${playerCount} players`;
+    if (mafiaAligned >= playerCount - mafiaAligned) {
+        return `${mafiaAligned} Mafia-aligned roles is too many for ${playerCount} players`;
+    }
+    return null;
+}
+
+// Number of roles a setup lists explicitly (the rest are Civilians)
+function countRoleSetup(setup, predicate = () => true) {
+    return Object.entries(setup.roles)
+        .filter(([role]) => predicate(role))
+        .reduce((sum, [, count]) => sum + count, 0);
+}
+
+// Build the shuffled role list for a game
+function generateRoles(playerCount, settings, random = Math.random) {
+    // Host-defined setup: exactly the listed roles, rest Civilian
+    if (settings.roleSetup) {
+        const roles = [];
+        for (const [role, count] of Object.entries(settings.roleSetup.roles)) {
+            for (let i = 0; i < count; i++) roles.push(role);
+        }
+        while (roles.length < playerCount) {
+            roles.push(ROLES.CIVILIAN);
+        }
+        console.log(`Generated custom role setup for ${playerCount} players: ${roles.join(', ')}`);
+        return shuffleRoles(roles, random);
+    }
+
+    const roles = [];
+    const { mafiaCount, suicideBomberEnabled, manipulatorEnabled, autoPoliceRoles } = settings;
+
+    let specialMafiaCount = 0;
+    let policeCount = 0;
+    let detectiveCount = 0;
+    let doctorCount = 0;
+
+    // Add base mafia members
+    let baseMafiaCount = mafiaCount;
+
+    // Handle special mafia roles
+    if (mafiaCount >= 3 && suicideBomberEnabled) {
+        roles.push(ROLES.SUICIDE_BOMBER);
+        specialMafiaCount++;
+        baseMafiaCount--; // Replace one regular mafia with suicide bomber
+    }
+
+    if (manipulatorEnabled) {
+        roles.push(ROLES.MANIPULATOR);
+        specialMafiaCount++;
+        baseMafiaCount--; // Replace one regular mafia with manipulator
+    }
+
+    // Add remaining regular mafia members
+    for (let i = 0; i < baseMafiaCount; i++) {
+        roles.push(ROLES.MAFIA);
+    }
+
+    // Add police roles for 10+ players
+    if (playerCount >= 10 && autoPoliceRoles) {
+        // Start with three Gray Police; they will choose White or Black alignment later
+        roles.push(ROLES.GRAY_POLICE);
+        roles.push(ROLES.GRAY_POLICE);
+        roles.push(ROLES.GRAY_POLICE);
+        policeCount = 3;
+    }
+
+    // Add one detective if enough players (minimum 5 players for detective)
+    if (playerCount >= 5) {
+        roles.push(ROLES.DETECTIVE);
+        detectiveCount = 1;
+    }
+
+    // Add one doctor if 5 or more players
+    if (playerCount >= 5) {
+        roles.push(ROLES.DOCTOR);
+        doctorCount = 1;
+    }
+
+    // Fill remaining slots with civilians
+    while (roles.length < playerCount) {
+        roles.push(ROLES.CIVILIAN);
+    }
+
+    // Shuffle roles randomly for fair distribution
+    shuffleRoles(roles, random);
+
+    const totalMafiaCount = mafiaCount; // Original total mafia count
+    const civilianCount = playerCount - totalMafiaCount - detectiveCount - doctorCount - policeCount;
+
+    console.log(`Generated roles for ${playerCount} players:`);
+    console.log(`- ${totalMafiaCount} Total Mafia (${baseMafiaCount} regular, ${specialMafiaCount} special)`);
+    console.log(`- ${detectiveCount} Detective, ${doctorCount} Doctor`);
+    console.log(`- ${policeCount} Police (White/Black/Gray)`);
+    console.log(`- ${civilianCount} Civilians`);
+
+    return roles;
+}
+
+// Public dawn messages per attacking action (killed: null keeps the default elimination text)
+const ATTACK_MESSAGES = {
+    kill: {
+        killed: null,
+        saved: (otherAttacks) => otherAttacks
+            ? `The Mafia's attack failed tonight.`
+            : `No one died tonight. The village is safe... for now.`
+    },
+    shoot: {
+        killed: (name) => `${name} was shot dead during the night.`,
+        saved: () => `A shot rang out in the night, but the Doctor's care saved its target.`
+    }
+};
+
+// An attack kills its target unless a protection resolved on them earlier tonight
+function resolveAttack(engine, night, entry, actor, target) {
+    if (engine.room.deadPlayers.has(target.id) || night.deaths.has(target.id)) return;
+
+    const protectors = night.protectedBy.get(target.id);
+    night.attacks.push({ entry, saved: !!protectors });
+    if (!protectors) {
+        night.deaths.set(target.id, entry);
+        return;
+    }
+
+    engine.addNightResult(night, target.id, { action: entry.action, saved: true, message: 'You were attacked tonight, but someone protected you.' });
+    for (const protectorId of protectors) {
+        if (protectorId === target.id) continue;
+        engine.addNightResult(night, protectorId, { action: 'protect', saved: true, message: `${target.name} was attacked tonight and your protection saved them.` });
+    }
+    console.log(`${target.name} was attacked (${entry.action}) by ${actor.name} but protected in room ${engine.room.roomCode}`);
+}
+
+// How the spectator feed words each night action
+const SPECTATOR_ACTION_VERBS = {
+    investigate: 'investigates',
+    investigateAlignment: 'checks the alignment of',
+    shoot: 'takes aim at',
+    protect: 'protects'
+};
+
+// What each night action does when the dawn pipeline reaches it (immediate actions run on
+// submission instead, with no night context).
+// Handlers receive (engine, night, entry, actor, target) and write into the night context;
+// a new interacting role only needs a NIGHT_ACTIONS entry in the registry and a handler here.
+const NIGHT_EFFECTS = {
+    protect(engine, night, entry, actor, target) {
+        if (!night.protectedBy.has(target.id)) night.protectedBy.set(target.id, []);
+        night.protectedBy.get(target.id).push(actor.id);
+    },
+
+    kill: resolveAttack,
+    shoot: resolveAttack,
+
+    investigate(engine, night, entry, actor, target) {
+        const room = engine.room;
+        // The room's investigation matrix decides what each role reads as
+        const result = target.id === room.godfatherId
+            ? 'innocent'
+            : RoleRegistry.getInvestigationResult(target.role, room.settings.investigationMatrix);
+
+        engine.emitTo(actor.id, 'investigationResult', {
+            targetName: target.name,
+            result,
+            role: result === 'exact' ? target.role : undefined
+        });
+        engine.spectate(`🔍 ${engine.describeActor(actor)} learns ${target.name} reads as ${result === 'exact' ? RoleRegistry.getRoleDefinition(target.role).name : result}`);
+        console.log(`${actor.name} (${actor.role}) investigated ${target.name}: ${result} in room ${room.roomCode}`);
+    },
+
+    investigateAlignment(engine, night, entry, actor, target) {
+        const room = engine.room;
+        const alignment = RoleRegistry.getAlignment(target.role);
+        room.policeInvestigations.push({
+            investigatorId: actor.id,
+            targetId: target.id,
+            targetName: target.name,
+            alignment,
+            night: room.dayCount,
+            shared: false
+        });
+
+        engine.emitTo(actor.id, 'policeInvestigationResult', {
+            targetId: target.id,
+            targetName: target.name,
+            alignment
+        });
+        engine.spectate(`🔍 ${engine.describeActor(actor)} learns ${target.name} is aligned with ${alignment}`);
+        console.log(`${actor.name} (${actor.role}) checked ${target.name}: ${alignment} in room ${room.roomCode}`);
+    }
+};
+
+class GameEngine {
+    // room: the room state object (players Map, deadPlayers Set, votes Map, settings...)
+    // options.clock: object with now() in milliseconds (defaults to Date)
+    // options.random: function returning [0, 1) (defaults to a PRNG seeded from options.seed)
+    constructor(room, options = {}) {
+        this.room = room;
+        this.clock = options.clock || { now: () => Date.now() };
+        this.random = options.random || createSeededRandom(options.seed !== undefined ? options.seed : this.clock.now());
+        this.events = [];
+
+        if (!this.room.scheduledCommands) this.room.scheduledCommands = [];
+        if (!this.room.manipulations) this.room.manipulations = [];
+        if (!this.room.policeInvestigations) this.room.policeInvestigations = [];
+        if (!this.room.nightActionUses) this.room.nightActionUses = new Map();
+        if (!this.room.nightQueue) this.room.nightQueue = [];
+        if (!this.room.mafiaNominations) this.room.mafiaNominations = new Map();
+        if (this.room.killLeaderId === undefined) this.room.killLeaderId = null;
+        if (!this.room.grayPoliceDecided) this.room.grayPoliceDecided = new Set();
+        if (!this.room.lynchedPlayers) this.room.lynchedPlayers = new Set();
+        if (this.room.trial === undefined) this.room.trial = null;
+        if (this.room.runoff === undefined) this.room.runoff = null;
+        if (!this.room.lastWills) this.room.lastWills = new Map();
+        if (!this.room.lastWordsLog) this.room.lastWordsLog = [];
+        if (this.room.lastWords === undefined) this.room.lastWords = null;
+        if (!this.room.activePlayers) this.room.activePlayers = new Set();
+        if (!this.room.missedPhases) this.room.missedPhases = new Map();
+        if (this.room.phaseTimer === undefined) this.room.phaseTimer = null;
+        if (this.room.paused === undefined) this.room.paused = null;
+        if (this.room.moderatorId === undefined) this.room.moderatorId = null;
+    }
+
+    // ---- Event helpers ----
+
+    // Queue an event for a single player
+    emitTo(playerId, event, data) {
+        this.events.push({ type: 'emit', to: playerId, event, data });
+    }
+
+    // Queue an event for everyone in the room
+    emitToRoom(event, data) {
+        this.events.push({ type: 'emit', to: null, event, data });
+    }
+
+    // Queue an event for the dead players watching from the graveyard
+    emitToGraveyard(event, data) {
+        this.events.push({ type: 'emit', to: graveyardChannel(this.room.roomCode), event, data });
+    }
+
+    // One line of the spectator feed (night actions and private results the living never see)
+    spectate(message) {
+        this.emitToGraveyard('spectatorEvent', { message });
+    }
+
+    // Queue an internal notification for the socket layer (state broadcast, bots, stats)
+    notify(type, data = {}) {
+        this.events.push({ type, ...data });
+    }
+
+    // Hand the collected events to the caller
+    flush(extra = {}) {
+        const events = this.events;
+        this.events = [];
+        return { ok: true, ...extra, state: this.room, events };
+    }
+
+    reject(error = null) {
+        const events = this.events;
+        this.events = [];
+        return { ok: false, error, state: this.room, events };
+    }
+
+    // ---- Timing ----
+
+    // Run a command after a delay (measured with the injected clock)
+    schedule(delayMs, command, ...args) {
+        this.room.scheduledCommands.push({ at: this.clock.now() + delayMs, command, args });
+    }
+
+    cancelScheduled(command) {
+        this.room.scheduledCommands = this.room.scheduledCommands.filter(entry => entry.command !== command);
+    }
+
+    // Start the countdown for the current phase; onExpire is the command to run at zero
+    startPhaseTimer(duration, onExpire) {
+        this.room.timeRemaining = duration;
+        this.room.phaseTimer = { endsAt: this.clock.now() + duration * 1000, onExpire };
+    }
+
+    stopPhaseTimer() {
+        this.room.phaseTimer = null;
+        this.room.timeRemaining = 0;
+    }
+
+    // Seconds left on the phase countdown (frozen while the game is paused)
+    getPhaseSecondsLeft() {
+        const room = this.room;
+        if (!room.phaseTimer) return 0;
+        const now = room.paused ? room.paused.at : this.clock.now();
+        return Math.max(0, Math.ceil((room.phaseTimer.endsAt - now) / 1000));
+    }
+
+    // Advance time: run due scheduled commands and expire the phase timer.
+    // The socket layer calls this once per second while a game is running.
+    tick() {
+        const room = this.room;
+        const now = this.clock.now();
+
+        // A paused game keeps its clock frozen; resumeGame() shifts every deadline
+        if (room.paused) {
+            this.notify('state');
+            return this.flush();
+        }
+
+        const due = room.scheduledCommands.filter(entry => entry.at <= now);
+        if (due.length > 0) {
+            room.scheduledCommands = room.scheduledCommands.filter(entry => entry.at > now);
+            due.sort((a, b) => a.at - b.at);
+            for (const entry of due) {
+                this.run(entry.command, entry.args);
+            }
+        }
+
+        if (room.phaseTimer) {
+            const remainingMs = room.phaseTimer.endsAt - now;
+            room.timeRemaining = Math.max(0, Math.ceil(remainingMs / 1000));
+
+            if (remainingMs <= 0) {
+                const { onExpire } = room.phaseTimer;
+                room.phaseTimer = null;
+                this.run(onExpire, []);
+            }
+        }
+
+        this.notify('state');
+        return this.flush();
+    }
+
+    // Dispatch an internal (scheduled or timer) command by name
+    run(command, args) {
+        switch (command) {
+            case 'assignRoles':
+                this.assignRoles();
+                break;
+            case 'startFirstPhase':
+                this.startFirstPhase();
+                break;
+            case 'startDay':
+                this.startDayPhase();
+                break;
+            case 'startNight':
+                this.startNightPhase();
+                break;
+            case 'startVoting':
+                this.startVotingPhase();
+                break;
+            case 'processVotesAndStartNight':
+                this.processVotesAndStartNight();
+                break;
+            case 'startVerdict':
+                this.startVerdictStage();
+                break;
+            case 'resolveTrial':
+                this.resolveTrial();
+                break;
+            case 'grayPoliceDeadline':
+                this.resolveGrayPoliceDeadline();
+                break;
+            case 'completeSuicideBomber':
+                this.completeSuicideBomberElimination(...args);
+                break;
+            default:
+                console.warn(`Unknown engine command: ${command}`);
+        }
+    }
+
+    // ---- Queries ----
+
+    // Living players still in the game (a non-playing moderator never counts)
+    getAlivePlayers() {
+        return Array.from(this.room.players.values())
+            .filter(p => !this.room.deadPlayers.has(p.id) && !this.isModerator(p.id));
+    }
+
+    isModerator(playerId) {
+        return !!playerId && this.room.moderatorId === playerId;
+    }
+
+    // With moderator mode on the host runs the game instead of taking a seat (never in tutorials)
+    isModerated() {
+        const room = this.room;
+        return !!room.settings.moderatorMode && !room.tutorial?.enabled && !room.tutorial?.active && room.players.has(room.hostId);
+    }
+
+    // Everyone who gets a role: all players, minus the moderator
+    getSeatedPlayers() {
+        const moderatorId = this.isModerated() ? this.room.hostId : null;
+        return Array.from(this.room.players.values()).filter(p => p.id !== moderatorId);
+    }
+
+    // Phase length in seconds from the room settings, falling back to the default
+    getDuration(setting, fallback) {
+        const value = this.room.settings?.[setting];
+        return Number.isInteger(value) && value > 0 ? value : fallback;
+    }
+
+    // Day covers its sub-phases: discussion, voting and any trial
+    isDaytime() {
+        return this.room.phase === 'day' || this.room.phase === 'voting' || this.room.phase === 'trial';
+    }
+
+    // Ballots are accepted in the voting sub-phase, or all day when the day is not split
+    isVotingOpen() {
+        const room = this.room;
+        return room.phase === 'voting' || (room.phase === 'day' && !room.settings.splitDayPhases);
+    }
+
+    // During a defense speech or last words only that one player may talk in the day chat
+    // (the dead talk in the graveyard instead)
+    canUseDayChat(playerId) {
+        const { trial, lastWords } = this.room;
+        if (lastWords) return lastWords.playerId === playerId;
+        if (this.room.deadPlayers.has(playerId)) return false;
+        return !(trial && trial.stage === 'defense' && trial.accusedId !== playerId);
+    }
+
+    getLastWill(playerId) {
+        return this.room.lastWills.get(playerId) || null;
+    }
+
+    // What the town learns about a dead player: full role, alignment only or nothing
+    // (roleRevealMode setting; everything comes out at game over)
+    getDeathReveal(playerId) {
+        const player = this.room.players.get(playerId);
+        if (!player || !player.role) return {};
+
+        // A player removed for inactivity may be revealed differently (afkRevealMode)
+        const mode = player.revealMode || this.room.settings.roleRevealMode || 'role';
+        if (mode === 'role') {
+            return { role: player.role, alignment: RoleRegistry.getAlignment(player.role) };
+        }
+        if (mode === 'alignment') {
+            return { alignment: RoleRegistry.getAlignment(player.role) };
+        }
+        return {};
+    }
+
+    isTutorial() {
+        return this.room.tutorial?.active === true;
+    }
+
+    // ---- Commands: game setup ----
+
+    // Validate the lobby and begin a new game
+    startGame() {
+        const room = this.room;
+
+        const seatedPlayers = this.getSeatedPlayers();
+        if (seatedPlayers.length < MIN_PLAYERS) {
+            return this.reject(this.isModerated()
+                ? `Need at least ${MIN_PLAYERS} players besides the moderator to start`
+                : `Need at least ${MIN_PLAYERS} players to start`);
+        }
+
+        // Ensure there's at least 1 human player
+        const humanPlayerCount = seatedPlayers.filter(p => !p.isBot).length;
+        if (humanPlayerCount === 0) {
+            return this.reject('Cannot start game with only bots');
+        }
+
+        if (room.gameStarted) {
+            return this.reject('Game already started');
+        }
+
+        const currentPlayerCount = seatedPlayers.length;
+        const setup = room.tutorial?.enabled ? null : room.settings.roleSetup;
+        let mafiaCount = room.settings.mafiaCount;
+
+        if (setup) {
+            // Validate the host's role setup (bots always play Civilian, so listed roles must fit the humans)
+            const setupError = validateRoleSetup(setup, currentPlayerCount);
+            if (setupError) {
+                return this.reject(`Cannot start game: ${setupError}`);
+            }
+            const listedRoles = countRoleSetup(setup);
+            if (listedRoles > humanPlayerCount) {
+                return this.reject(`Cannot start game: the role setup lists ${listedRoles} roles but there are only ${humanPlayerCount} human players (bots always play Civilian)`);
+            }
+            mafiaCount = countRoleSetup(setup, role => RoleRegistry.isOnTeam(role, 'mafia'));
+        } else {
+            // Validate mafia count against total player count (roles generated normally, but bots get civilians)
+            const maxAllowedMafia = getMaxMafiaCount(currentPlayerCount);
+
+            if (room.settings.mafiaCount > maxAllowedMafia && !room.tutorial?.enabled) {
+                return this.reject(`Cannot start game: ${room.settings.mafiaCount} Mafia is too many for ${currentPlayerCount} players. Maximum allowed: ${maxAllowedMafia}`);
+            }
+        }
+
+        console.log(`✅ Role validation passed: ${mafiaCount} mafia for ${currentPlayerCount} total players (${humanPlayerCount} humans, ${currentPlayerCount - humanPlayerCount} bots)`);
+
+        // Send game start announcement to all players
+        this.emitToRoom('gameStarting', {
+            message: `🎮 Game is starting! ${currentPlayerCount} players, ${mafiaCount} mafia members. The night begins... Roles are being assigned.`,
+            playerCount: currentPlayerCount,
+            mafiaCount: mafiaCount
+        });
+
+        // Brief delay before role assignment for dramatic effect
+        this.schedule(1200, 'assignRoles');
+        return this.flush();
+    }
+
+    // Hand out roles (tutorial scripts or the normal distribution)
+    assignRoles() {
+        const room = this.room;
+
+        if (room.tutorial?.active || room.tutorial?.enabled) {
+            this.assignTutorialRoles();
+        } else {
+            // The moderator sits out; everyone else gets a role
+            const seatedPlayers = this.getSeatedPlayers();
+            room.moderatorId = this.isModerated() ? room.hostId : null;
+            if (room.moderatorId) {
+                this.emitTo(room.moderatorId, 'moderatorAssigned', {
+                    message: '📜 You are the moderator: you see every role, night action and private chat, and can pause, extend, modkill and narrate.'
+                });
+            }
+
+            // Generate roles for all players normally
+            const allRoles = generateRoles(seatedPlayers.length, room.settings, this.random);
+
+            // Remove civilian roles equal to number of bots (so bots don't take special roles)
+            const botCount = seatedPlayers.filter(p => p.isBot).length;
+            const roles = [];
+            let civiliansRemoved = 0;
+
+            for (const role of allRoles) {
+                if (role === ROLES.CIVILIAN && civiliansRemoved < botCount) {
+                    civiliansRemoved++; // Skip this civilian role (bot will get it)
+                } else {
+                    roles.push(role); // Keep this role for humans
+                }
+            }
+
+            const botPlayers = seatedPlayers.filter(player => player.isBot);
+            for (const player of botPlayers) {
+                player.role = ROLES.CIVILIAN;
+                console.log(`🤖 Bot ${player.name} assigned role: ${player.role} (pre-assigned)`);
+            }
+            const humanPlayers = seatedPlayers.filter(player => !player.isBot);
+            let roleIndex = 0;
+            for (const player of humanPlayers) {
+                player.role = roles[roleIndex++];
+                console.log(`👤 Human ${player.name} assigned role: ${player.role}`);
+                this.emitTo(player.id, 'roleAssigned', {
+                    role: player.role,
+                    description: RoleRegistry.getRoleDescription(player.role)
+                });
+            }
+
+            this.notify('mafiaTeamChanged');
+            this.sendPoliceTeamInfo();
+            this.assignGodfather();
+
+            // Prompt Gray Police to choose alignment before the deadline
+            const deadline = room.settings.grayPoliceDeadline || 0;
+            let grayPoliceCount = 0;
+            for (const [pid, rp] of room.players) {
+                if (rp.role === ROLES.GRAY_POLICE && !room.deadPlayers.has(pid)) {
+                    grayPoliceCount++;
+                    this.emitTo(pid, 'policeAlignmentChoice', {
+                        deadline,
+                        timeoutChoice: room.settings.grayPoliceTimeout || 'random'
+                    });
+                }
+            }
+            if (grayPoliceCount > 0 && deadline > 0) {
+                this.schedule(deadline * 1000, 'grayPoliceDeadline');
+            }
+        }
+
+        room.gameStarted = true;
+        room.gameStartTime = this.clock.now();
+        room.manipulations = [];
+        room.policeInvestigations = [];
+        room.nightActionUses.clear();
+        room.grayPoliceDecided.clear();
+        room.lynchedPlayers.clear();
+        room.killLeaderId = null;
+        room.trial = null;
+        room.runoff = null;
+        room.lastWills.clear();
+        room.lastWordsLog = [];
+        room.lastWords = null;
+        room.activePlayers.clear();
+        room.missedPhases.clear();
+        room.paused = null;
+        this.notify('gameStarted', { players: Array.from(room.players.values()) });
+
+        // Start initial phase after a brief delay for players to read role
+        this.schedule(1500, 'startFirstPhase');
+    }
+
+    // Godfather preset: one regular Mafia member reads innocent to investigations
+    assignGodfather() {
+        const room = this.room;
+        room.godfatherId = null;
+
+        const preset = RoleRegistry.INVESTIGATION_PRESETS[room.settings.investigationPreset];
+        if (!preset?.godfather) return;
+
+        const candidates = Array.from(room.players.values()).filter(p => p.role === ROLES.MAFIA);
+        if (candidates.length === 0) return;
+
+        const godfather = candidates[Math.floor(this.random() * candidates.length)];
+        room.godfatherId = godfather.id;
+
+        for (const p of room.players.values()) {
+            if (!RoleRegistry.isOnTeam(p.role, 'mafia')) continue;
+            this.emitTo(p.id, 'mafiaNotification', {
+                message: p.id === godfather.id
+                    ? 'You are the Godfather: investigations will read you as innocent.'
+                    : `${godfather.name} is the Godfather: investigations will read them as innocent.`
+            });
+        }
+        console.log(`${godfather.name} is the Godfather in room ${room.roomCode}`);
+    }
+
+    // Scripted role setups used by the interactive tutorial
+    assignTutorialRoles() {
+        const room = this.room;
+        const bots = Array.from(room.players.values()).filter(p => p.isBot);
+        const humans = Array.from(room.players.values()).filter(p => !p.isBot);
+        const human = humans[0];
+
+        // Reset all roles
+        for (const player of room.players.values()) {
+            player.role = ROLES.CIVILIAN;
+        }
+
+        // Ensure at least one mafia bot when needed
+        const ensureMafiaBot = () => {
+            if (bots[0]) {
+                bots[0].role = ROLES.MAFIA;
+            }
+        };
+
+        const assign = (role, step, message) => {
+            if (!human) return;
+            human.role = role;
+            this.emitTo(human.id, 'roleAssigned', { role, description: RoleRegistry.getRoleDescription(role) });
+            this.emitTo(human.id, 'tutorialInfo', { step, message });
+        };
+
+        switch (room.tutorial.step) {
+            case 'mafia':
+                assign(ROLES.MAFIA, 'mafia', 'You are Mafia. Learn how to eliminate at night and blend in during the day.');
+                break;
+            case 'doctor':
+                ensureMafiaBot();
+                assign(ROLES.DOCTOR, 'doctor', 'You are the Doctor. At night, protect a player from being killed.');
+                break;
+            case 'detective':
+                ensureMafiaBot();
+                assign(ROLES.DETECTIVE, 'detective', 'You are the Detective. Investigate a player at night to learn their alignment.');
+                break;
+            case 'police':
+                ensureMafiaBot();
+                assign(ROLES.WHITE_POLICE, 'police', 'You are Police. Coordinate and use your unique win conditions wisely.');
+                break;
+            case 'gray_police':
+                // Let client choose alignment; keep as civilian placeholder for now
+                if (human) {
+                    this.emitTo(human.id, 'tutorialInfo', { step: 'gray_police', message: 'Choose your allegiance: Black (Mafia) or White (Town).' });
+                }
+                break;
+            case 'suicide_bomber':
+                // Ensure another mafia-aligned entity exists for context
+                ensureMafiaBot();
+                assign(ROLES.SUICIDE_BOMBER, 'suicide_bomber', 'You are the Suicide Bomber. If discovered and about to be eliminated, choose who to take down with you. Doctor protection applies.');
+                break;
+        }
+
+        // Notify mafia team if applicable
+        this.notify('mafiaTeamChanged');
+    }
+
+    // Inform Detective and Police about police presence (names only, colors hidden)
+    // onlyPlayerId limits the update to one player (e.g. after they reconnect)
+    sendPoliceTeamInfo(onlyPlayerId = null) {
+        const room = this.room;
+        const policeMembers = Array.from(room.players.values())
+            .filter(p => RoleRegistry.isOnTeam(p.role, 'police'))
+            .map(p => ({ id: p.id, name: p.name }));
+        for (const [pid, rp] of room.players) {
+            if (onlyPlayerId && pid !== onlyPlayerId) continue;
+            if (RoleRegistry.canUseChatChannel(rp.role, 'police')) {
+                this.emitTo(pid, 'policeTeamInfo', { members: policeMembers });
+            }
+        }
+    }
+
+    startFirstPhase() {
+        const room = this.room;
+        if (room.tutorial?.active || room.tutorial?.enabled) {
+            const step = room.tutorial?.step;
+            const startAtNight = step === 1 || step === 'mafia' || step === 2 || step === 'doctor' || step === 3 || step === 'detective';
+            if (startAtNight) this.startNightPhase(); else this.startDayPhase();
+        } else {
+            this.startNightPhase();
+        }
+    }
+
+    // Gray Police choose alignment => becomes WHITE_POLICE or BLACK_POLICE,
+    // or 'gray' to commit to staying neutral
+    choosePoliceAlignment(playerId, alignment) {
+        const room = this.room;
+        this.markActive(playerId);
+        const p = room.players.get(playerId);
+        if (!p || p.role !== ROLES.GRAY_POLICE) return this.reject();
+        if (alignment !== 'white' && alignment !== 'black' && alignment !== 'gray') return this.reject();
+        if (room.grayPoliceDecided.has(playerId)) {
+            return this.reject('You have already committed to staying Gray');
+        }
+
+        this.applyPoliceAlignment(p, alignment);
+        console.log(`${p.name} chose ${alignment.toUpperCase()} Police in room ${room.roomCode}`);
+        return this.flush();
+    }
+
+    applyPoliceAlignment(p, alignment, auto = false) {
+        const room = this.room;
+
+        if (alignment === 'gray') {
+            room.grayPoliceDecided.add(p.id);
+            this.emitTo(p.id, 'actionConfirmed', {
+                action: 'policeAlignment',
+                message: auto
+                    ? 'Time is up! You remain Gray Police - survive to the end to win.'
+                    : 'You remain Gray Police - survive to the end to win.'
+            });
+            this.notify('state');
+            return;
+        }
+
+        p.role = alignment === 'white' ? ROLES.WHITE_POLICE : ROLES.BLACK_POLICE;
+        this.emitTo(p.id, 'roleAssigned', {
+            role: p.role,
+            description: RoleRegistry.getRoleDescription(p.role),
+            shotsLeft: p.role === ROLES.BLACK_POLICE ? this.getNightActionUsesLeft(p, 'shoot') : undefined,
+            autoAssigned: auto
+        });
+        // If black, grant mafia chat and team visibility
+        if (p.role === ROLES.BLACK_POLICE) {
+            this.notify('mafiaTeamChanged');
+        }
+        // Re-emit police roster to detective/police with updated roles (still hidden colors to others)
+        this.sendPoliceTeamInfo();
+        this.notify('state');
+    }
+
+    // Deadline reached: undecided Gray Police get the host's timeout choice
+    resolveGrayPoliceDeadline() {
+        const room = this.room;
+        const timeoutChoice = room.settings.grayPoliceTimeout || 'random';
+
+        for (const p of this.getAlivePlayers()) {
+            if (p.role !== ROLES.GRAY_POLICE || room.grayPoliceDecided.has(p.id)) continue;
+
+            const alignment = timeoutChoice === 'random'
+                ? (this.random() < 0.5 ? 'white' : 'black')
+                : timeoutChoice;
+            this.applyPoliceAlignment(p, alignment, true);
+            console.log(`${p.name} was auto-assigned ${alignment.toUpperCase()} Police in room ${room.roomCode}`);
+        }
+    }
+
+    // ---- Commands: day ----
+
+    vote(voterId, targetPlayerId) {
+        const room = this.room;
+        this.markActive(voterId);
+
+        if (!room.players.has(voterId)) return this.reject();
+        if (!room.gameStarted || room.deadPlayers.has(voterId)) return this.reject();
+        if (this.isModerator(voterId)) return this.reject('The moderator does not vote');
+
+        if (!this.isVotingOpen()) {
+            if (room.phase === 'day') return this.reject('Voting opens once the discussion is over');
+            if (room.phase === 'trial') return this.reject('The vote is closed while a trial is under way');
+            return this.reject('Voting is only allowed during day phase');
+        }
+
+        if (targetPlayerId === NO_LYNCH) {
+            // Deliberate skip ballot
+            if (!room.settings.allowNoLynch) {
+                return this.reject('No-lynch votes are not allowed in this room');
+            }
+        } else {
+            const targetPlayer = room.players.get(targetPlayerId);
+            if (!targetPlayer) return this.reject();
+
+            if (room.deadPlayers.has(targetPlayerId)) {
+                return this.reject('Cannot vote for dead player');
+            }
+            if (this.isModerator(targetPlayerId)) {
+                return this.reject('The moderator is not in the game');
+            }
+
+            if (targetPlayerId === voterId) {
+                return this.reject('Cannot vote for yourself');
+            }
+
+            if (room.runoff && !room.runoff.candidates.includes(targetPlayerId)) {
+                return this.reject(`The runoff is only between ${this.describeRunoffCandidates()}`);
+            }
+        }
+
+        // Store the vote
+        room.votes.set(voterId, targetPlayerId);
+        const voterPlayer = room.players.get(voterId);
+        const targetName = this.getBallotLabel(targetPlayerId);
+
+        this.emitTo(voterId, 'voteConfirmed', {
+            target: targetPlayerId,
+            targetName
+        });
+
+        // Broadcast detailed vote information to all players (dynamically visible)
+        this.emitToRoom('voteUpdate', {
+            ...this.buildVoteSummary(),
+            latestVote: {
+                voterName: voterPlayer.name,
+                targetName,
+                isBot: !!voterPlayer.isBot
+            }
+        });
+
+        console.log(`${voterPlayer.name} voted for ${targetName} in room ${room.roomCode}`);
+
+        // Check if all alive players have voted
+        const alivePlayers = this.getAlivePlayers();
+        const votersWhoVoted = Array.from(room.votes.keys()).filter(id => !room.deadPlayers.has(id));
+
+        if (votersWhoVoted.length === alivePlayers.length && room.phaseTimer) {
+            // All alive players have voted, process immediately
+            console.log(`All ${alivePlayers.length} alive players voted in room ${room.roomCode} - processing votes early`);
+            this.stopPhaseTimer();
+
+            // Notify clients that voting ended early
+            this.emitToRoom('phaseEnded', {
+                reason: 'All players voted',
+                message: 'All players have voted! Processing results...'
+            });
+
+            // Process votes after a brief delay
+            this.schedule(2000, 'processVotesAndStartNight');
+        }
+
+        return this.flush();
+    }
+
+    // Manipulator day action: secretly move one cast ballot (voterId given) or
+    // add a phantom vote (no voterId) to targetId. Applied when votes are tallied.
+    manipulateVote(playerId, voterId, targetId) {
+        const room = this.room;
+        this.markActive(playerId);
+        const player = room.players.get(playerId);
+
+        if (!player || !room.gameStarted || room.deadPlayers.has(playerId)) return this.reject();
+        if (!RoleRegistry.hasDayAction(player.role, 'manipulate')) {
+            return this.reject('Only the Manipulator can alter votes');
+        }
+
+        if (!this.isVotingOpen() || !room.phaseTimer) {
+            return this.reject('Votes can only be manipulated while voting is open');
+        }
+
+        const usedByPlayer = room.manipulations.filter(m => m.manipulatorId === playerId);
+        if (usedByPlayer.some(m => m.day === room.dayCount)) {
+            return this.reject('You have already manipulated the vote today');
+        }
+        if (usedByPlayer.length >= room.settings.manipulatorUses) {
+            return this.reject('You have no manipulations left this game');
+        }
+
+        const targetPlayer = room.players.get(targetId);
+        if (!targetPlayer || room.deadPlayers.has(targetId) || this.isModerator(targetId)) {
+            return this.reject('You can only direct votes at a living player');
+        }
+        if (room.runoff && !room.runoff.candidates.includes(targetId)) {
+            return this.reject(`The runoff is only between ${this.describeRunoffCandidates()}`);
+        }
+
+        const manipulation = {
+            day: room.dayCount,
+            type: voterId ? 'redirect' : 'phantom',
+            manipulatorId: playerId,
+            manipulatorName: player.name,
+            voterId: voterId || null,
+            voterName: null,
+            originalTargetName: null,
+            targetId,
+            targetName: targetPlayer.name,
+            applied: false
+        };
+
+        if (voterId) {
+            const voter = room.players.get(voterId);
+            if (!voter || room.deadPlayers.has(voterId) || !room.votes.has(voterId)) {
+                return this.reject('That player has not cast a ballot');
+            }
+            if (voterId === targetId) {
+                return this.reject('A ballot cannot be moved onto its own voter');
+            }
+            if (room.votes.get(voterId) === targetId) {
+                return this.reject(`${voter.name} is already voting for ${targetPlayer.name}`);
+            }
+            manipulation.voterName = voter.name;
+            manipulation.originalTargetName = room.players.get(room.votes.get(voterId))?.name || null;
+        }
+
+        room.manipulations.push(manipulation);
+        const usesLeft = room.settings.manipulatorUses - usedByPlayer.length - 1;
+
+        this.emitTo(playerId, 'actionConfirmed', {
+            action: 'manipulate',
+            message: manipulation.type === 'redirect'
+                ? `${manipulation.voterName}'s ballot will secretly count against ${targetPlayer.name}. (${usesLeft} use(s) left)`
+                : `A phantom vote against ${targetPlayer.name} will be counted. (${usesLeft} use(s) left)`
+        });
+
+        console.log(`${player.name} (Manipulator) ${manipulation.type === 'redirect' ? `redirected ${manipulation.voterName}'s ballot` : 'added a phantom vote'} to ${targetPlayer.name} in room ${room.roomCode}`);
+        return this.flush();
+    }
+
+    // Living ballots for the tally, with today's manipulations applied
+    getTalliedBallots() {
+        const room = this.room;
+        const ballots = new Map();
+        for (const [voter, target] of room.votes) {
+            if (!room.deadPlayers.has(voter)) ballots.set(voter, target);
+        }
+
+        const phantomVotes = [];
+        for (const manipulation of room.manipulations) {
+            if (manipulation.day !== room.dayCount || manipulation.applied || room.deadPlayers.has(manipulation.targetId)) continue;
+            if (manipulation.type === 'redirect') {
+                // The ballot only moves if the voter still has one at the close of voting
+                if (!ballots.has(manipulation.voterId)) continue;
+                ballots.set(manipulation.voterId, manipulation.targetId);
+            } else {
+                phantomVotes.push(manipulation.targetId);
+            }
+            manipulation.applied = true;
+        }
+
+        return { ballots, phantomVotes };
+    }
+
+    // Current tally of votes from living players
+    buildVoteSummary() {
+        const room = this.room;
+        const voteCounts = new Map();
+        const voteDetails = []; // Array of individual votes with voter and target names
+
+        for (const [voter, target] of room.votes) {
+            if (!room.deadPlayers.has(voter)) {
+                voteCounts.set(target, (voteCounts.get(target) || 0) + 1);
+
+                // Add individual vote details for transparency
+                voteDetails.push({
+                    voterName: room.players.get(voter).name,
+                    targetName: this.getBallotLabel(target),
+                    voterId: voter,
+                    targetId: target
+                });
+            }
+        }
+
+        return {
+            totalVotes: room.votes.size,
+            alivePlayers: this.getAlivePlayers().length,
+            voteCounts: Array.from(voteCounts.entries()).map(([playerId, votes]) => ({
+                playerName: this.getBallotLabel(playerId),
+                votes: votes
+            })),
+            voteDetails: voteDetails
+        };
+    }
+
+    startDayPhase() {
+        const room = this.room;
+
+        // Process night actions before starting day phase
+        const gameCanContinue = this.processNightActions();
+        if (!gameCanContinue) {
+            return; // Game ended during night action processing
+        }
+
+        // Removing an inactive player can decide the game on the spot
+        if (this.reviewActivity('night')) {
+            const winCondition = this.checkWinCondition();
+            if (winCondition) {
+                this.endGame(winCondition);
+                return;
+            }
+        }
+
+        room.phase = 'day';
+        room.dayCount++;
+        room.votes.clear();
+
+        const alivePlayers = this.getAlivePlayers();
+        const dayDuration = this.isTutorial() ? 25 : this.getDuration('dayDuration', DAY_DURATION);
+
+        // Split day: discussion first, then a separate voting sub-phase
+        if (room.settings.splitDayPhases && !this.isTutorial()) {
+            this.emitToRoom('phaseChange', {
+                phase: 'day',
+                stage: 'discussion',
+                message: `Day ${room.dayCount} begins! Discuss - voting opens in ${dayDuration} seconds. ${alivePlayers.length} players deciding fate.`
+            });
+
+            this.startPhaseTimer(dayDuration, 'startVoting');
+            this.notify('phaseStarted', { phase: 'day' });
+            this.notify('state');
+            console.log(`Day ${room.dayCount} started in room ${room.roomCode} - ${dayDuration} seconds of discussion`);
+            return;
+        }
+
+        this.emitToRoom('phaseChange', {
+            phase: 'day',
+            message: `Day ${room.dayCount} begins! Discuss and vote - ${alivePlayers.length} players deciding fate.`
+        });
+
+        // Day phase includes voting - when timer ends, process votes and go to night
+        this.startPhaseTimer(dayDuration, 'processVotesAndStartNight');
+        this.notify('phaseStarted', { phase: 'day' });
+        this.notify('state');
+        console.log(`Day ${room.dayCount} started in room ${room.roomCode} - ${dayDuration} seconds for discussion and voting`);
+    }
+
+    // Voting sub-phase of a split day; the timer then tallies the ballots
+    startVotingPhase() {
+        const room = this.room;
+
+        room.phase = 'voting';
+        room.votes.clear();
+
+        const votingDuration = this.getDuration('votingDuration', VOTING_DURATION);
+        this.emitToRoom('phaseChange', {
+            phase: 'voting',
+            stage: 'voting',
+            message: `🗳️ Voting is open! ${votingDuration} seconds to cast your vote.`
+        });
+
+        this.startPhaseTimer(votingDuration, 'processVotesAndStartNight');
+        this.notify('phaseStarted', { phase: 'voting' });
+        this.notify('state');
+        console.log(`Voting opened on day ${room.dayCount} in room ${room.roomCode} - ${votingDuration} seconds`);
+    }
+
+    processVotes() {
+        const room = this.room;
+        const isRunoff = !!room.runoff;
+        room.runoff = null;
+
+        const voteCounts = new Map();
+        const voteDetails = new Map(); // Track who voted for whom
+
+        console.log(`📊 Processing votes for room ${room.roomCode}: ${room.votes.size} votes stored`);
+
+        // Count votes from alive players only (after any Manipulator interference)
+        const { ballots, phantomVotes } = this.getTalliedBallots();
+        for (const [voter, target] of ballots) {
+            voteCounts.set(target, (voteCounts.get(target) || 0) + 1);
+            if (!voteDetails.has(target)) {
+                voteDetails.set(target, []);
+            }
+            voteDetails.get(target).push(room.players.get(voter).name);
+        }
+        for (const target of phantomVotes) {
+            voteCounts.set(target, (voteCounts.get(target) || 0) + 1);
+        }
+
+        // Find the option(s) with the most votes; a no-lynch ballot competes like any player
+        let maxVotes = 0;
+        let leaders = [];
+        for (const [target, votes] of voteCounts) {
+            if (votes > maxVotes) {
+                maxVotes = votes;
+                leaders = [target];
+            } else if (votes === maxVotes && votes > 0) {
+                leaders.push(target);
+            }
+        }
+
+        const voteCountList = Array.from(voteCounts.entries()).map(([playerId, votes]) => ({
+            playerName: this.getBallotLabel(playerId),
+            votes: votes
+        }));
+
+        const aliveCount = this.getAlivePlayers().length;
+        const requiredVotes = room.settings.lynchThreshold === 'majority' ? Math.floor(aliveCount / 2) + 1 : 1;
+        const tieRule = room.settings.voteTieRule || 'none';
+        const leaderNames = leaders.map(id => this.getBallotLabel(id)).join(' and ');
+
+        let eliminated = null;
+        let decision = null; // { type, decidedBy, message } when no one is eliminated
+
+        if (maxVotes === 0) {
+            decision = { type: 'noVotes', decidedBy: 'noVotes', message: 'No votes were cast. No one was eliminated.' };
+        } else if (maxVotes < requiredVotes) {
+            decision = {
+                type: 'noMajority',
+                decidedBy: 'majority',
+                message: `No one reached a majority (${requiredVotes} of ${aliveCount} votes needed). No one was eliminated.`
+            };
+        } else if (leaders.length > 1 && tieRule === 'runoff' && !isRunoff) {
+            this.startRunoff(leaders, voteCountList);
+            return { eliminated: null, maxVotes, tie: true, decidedBy: 'runoff', voteCounts, voteDetails };
+        } else if (leaders.length > 1 && tieRule === 'random') {
+            const pick = leaders[Math.floor(this.random() * leaders.length)];
+            if (pick === NO_LYNCH) {
+                decision = {
+                    type: 'noLynch',
+                    decidedBy: 'random',
+                    message: `Tie between ${leaderNames}, broken at random: no lynch. No one was eliminated.`
+                };
+            } else {
+                eliminated = pick;
+                decision = { decidedBy: 'random', ruleMessage: `Tie between ${leaderNames}, broken at random` };
+            }
+        } else if (leaders.length > 1) {
+            decision = {
+                type: 'tie',
+                decidedBy: 'tie',
+                message: isRunoff
+                    ? `The runoff between ${leaderNames} was tied too! No one was eliminated.`
+                    : `Voting resulted in a tie between ${leaderNames}! No one was eliminated.`
+            };
+        } else if (leaders[0] === NO_LYNCH) {
+            decision = { type: 'noLynch', decidedBy: 'noLynch', message: `The town voted not to lynch (${maxVotes} vote(s)). No one was eliminated.` };
+        } else {
+            eliminated = leaders[0];
+            if (isRunoff) {
+                decision = { decidedBy: 'runoff', ruleMessage: 'Won the runoff vote' };
+            } else if (requiredVotes > 1) {
+                decision = { decidedBy: 'majority', ruleMessage: `Majority reached (${maxVotes} of ${aliveCount} living players)` };
+            } else {
+                decision = { decidedBy: 'plurality', ruleMessage: 'Most votes' };
+            }
+        }
+
+        const result = {
+            eliminated: eliminated,
+            maxVotes: maxVotes,
+            tie: leaders.length > 1,
+            decidedBy: decision.decidedBy,
+            voteCounts: voteCounts,
+            voteDetails: voteDetails
+        };
+
+        if (eliminated && this.isTrialEnabled()) {
+            // Trial mode: the most-voted player only goes to the stand
+            this.startTrial(eliminated, maxVotes, voteCountList, decision);
+        } else if (eliminated) {
+            this.eliminateByVote(eliminated, maxVotes, voteCountList, decision);
+        } else {
+            this.emitToRoom('votingResult', {
+                type: decision.type,
+                decidedBy: decision.decidedBy,
+                message: decision.message,
+                voteCounts: decision.type === 'noVotes' ? [] : voteCountList
+            });
+            console.log(`No elimination in room ${room.roomCode} (${decision.decidedBy})`);
+        }
+
+        return result;
+    }
+
+    // Tied leaders face one revote; ballots may only go to them (or no lynch, if allowed)
+    startRunoff(candidates, voteCountList) {
+        const room = this.room;
+
+        room.runoff = { candidates };
+        room.phase = 'voting';
+        room.votes.clear();
+
+        const names = this.describeRunoffCandidates();
+        const votingDuration = this.getDuration('votingDuration', VOTING_DURATION);
+
+        this.emitToRoom('votingResult', {
+            type: 'runoff',
+            decidedBy: 'runoff',
+            message: `Tie between ${names}! A runoff vote will decide.`,
+            candidates: candidates.map(id => ({ id, name: this.getBallotLabel(id) })),
+            voteCounts: voteCountList
+        });
+
+        this.emitToRoom('phaseChange', {
+            phase: 'voting',
+            stage: 'runoff',
+            candidates,
+            message: `🗳️ Runoff! ${votingDuration} seconds to choose between ${names}.`
+        });
+
+        this.startPhaseTimer(votingDuration, 'processVotesAndStartNight');
+        this.notify('phaseStarted', { phase: 'voting' });
+        this.notify('state');
+        console.log(`Runoff between ${names} in room ${room.roomCode} - ${votingDuration} seconds`);
+    }
+
+    // Display name for a ballot target (a player or the no-lynch option)
+    getBallotLabel(targetId) {
+        if (targetId === NO_LYNCH) return 'No lynch';
+        return this.room.players.get(targetId)?.name || 'Unknown Player';
+    }
+
+    describeRunoffCandidates() {
+        return (this.room.runoff?.candidates || []).map(id => this.getBallotLabel(id)).join(' and ');
+    }
+
+    // Remove a player the town voted out (a Suicide Bomber first gets to pick targets)
+    // decision: { decidedBy, ruleMessage } explaining which voting rule picked them
+    eliminateByVote(eliminated, maxVotes, voteCountList, decision = {}) {
+        const room = this.room;
+        const eliminatedPlayer = room.players.get(eliminated);
+
+        // Check if eliminated player is a Suicide Bomber
+        if (eliminatedPlayer.role === ROLES.SUICIDE_BOMBER) {
+            // Don't eliminate immediately - give Suicide Bomber a chance to activate ability
+            const bomberDuration = this.getDuration('suicideBomberDuration', SUICIDE_BOMBER_DURATION);
+            this.emitTo(eliminated, 'suicideBomberActivation', {
+                message: `💥 You've been discovered! Choose up to 2 players to eliminate with you!`,
+                timeLimit: bomberDuration,
+                availableTargets: this.getAlivePlayers()
+                    .filter(player => player.id !== eliminated)
+                    .map(player => ({ id: player.id, name: player.name }))
+            });
+
+            this.emitToRoom('votingResult', {
+                type: 'suicideBomberDiscovered',
+                decidedBy: decision.decidedBy,
+                ruleMessage: decision.ruleMessage,
+                message: `${eliminatedPlayer.name} was discovered! They have ${bomberDuration} seconds to make their final choice...`,
+                eliminatedPlayer: {
+                    name: eliminatedPlayer.name
+                },
+                voteCounts: voteCountList
+            });
+
+            // Time's up - proceed with normal elimination
+            room.pendingSuicideBomber = { playerId: eliminated, votes: maxVotes };
+            this.schedule(bomberDuration * 1000, 'completeSuicideBomber', eliminated, [], maxVotes);
+
+            console.log(`${eliminatedPlayer.name} (Suicide Bomber) discovered in room ${room.roomCode} - awaiting target selection`);
+        } else {
+            // Normal elimination
+            room.deadPlayers.add(eliminated);
+            room.lynchedPlayers.add(eliminated);
+            room.lastWords = { playerId: eliminated };
+
+            this.emitToRoom('playerEliminated', {
+                playerId: eliminated,
+                playerName: eliminatedPlayer.name,
+                phase: 'day',
+                votes: maxVotes,
+                lastWill: this.getLastWill(eliminated),
+                ...this.getDeathReveal(eliminated)
+            });
+
+            this.emitToRoom('votingResult', {
+                type: 'elimination',
+                decidedBy: decision.decidedBy,
+                ruleMessage: decision.ruleMessage,
+                message: `${eliminatedPlayer.name} was eliminated with ${maxVotes} vote(s)!`,
+                eliminatedPlayer: {
+                    name: eliminatedPlayer.name
+                },
+                voteCounts: voteCountList
+            });
+
+            console.log(`${eliminatedPlayer.name} eliminated in room ${room.roomCode} with ${maxVotes} votes`);
+        }
+    }
+
+    processVotesAndStartNight() {
+        const room = this.room;
+        console.log(`Processing votes for room ${room.roomCode}...`);
+
+        this.stopPhaseTimer();
+        this.processVotes();
+
+        // A runoff, a trial or a discovered Suicide Bomber holds the day open
+        if (room.runoff || room.trial || room.pendingSuicideBomber) return;
+
+        this.endDay();
+    }
+
+    // Check for a winner after the day's eliminations, then fall into night
+    endDay() {
+        const room = this.room;
+        const winCondition = this.checkWinCondition();
+        if (winCondition) {
+            room.lastWords = null;
+            this.endGame(winCondition);
+            return;
+        }
+
+        // A player voted out gets the chat to themselves for their last words
+        const speaker = room.lastWords && room.players.get(room.lastWords.playerId);
+        if (speaker && !this.isTutorial()) {
+            const duration = this.getDuration('lastWordsDuration', LAST_WORDS_DURATION);
+            this.emitToRoom('lastWordsStarted', {
+                playerId: speaker.id,
+                playerName: speaker.name,
+                duration,
+                message: `💬 ${speaker.name} has ${duration} seconds for their last words.`
+            });
+            this.startPhaseTimer(duration, 'startNight');
+            this.notify('state');
+            console.log(`${speaker.name} given ${duration} seconds of last words in room ${room.roomCode}`);
+            return;
+        }
+        room.lastWords = null;
+
+        // Transition to night phase after a brief delay to show voting results
+        this.schedule(3000, 'startNight');
+    }
+
+    // ---- Commands: last will / last words ----
+
+    // Private note revealed to the room when its author dies
+    setLastWill(playerId, text) {
+        const room = this.room;
+        this.markActive(playerId);
+
+        if (!room.players.has(playerId)) return this.reject();
+        if (!room.gameStarted) return this.reject('Last wills can only be written during a game');
+        if (room.deadPlayers.has(playerId)) return this.reject('Your last will is sealed');
+        if (this.isModerator(playerId)) return this.reject('The moderator has no last will');
+
+        const lastWill = typeof text === 'string' ? text.trim().slice(0, LAST_WILL_MAX_LENGTH) : '';
+        if (lastWill) {
+            room.lastWills.set(playerId, lastWill);
+        } else {
+            room.lastWills.delete(playerId);
+        }
+
+        this.emitTo(playerId, 'lastWillSaved', { lastWill: lastWill || null });
+        return this.flush();
+    }
+
+    // Keep a voted-out player's final chat lines with the game record
+    recordLastWords(playerId, message) {
+        const room = this.room;
+        if (room.lastWords?.playerId !== playerId) return;
+
+        room.lastWordsLog.push({
+            playerId,
+            playerName: room.players.get(playerId)?.name,
+            day: room.dayCount,
+            message
+        });
+    }
+
+    // ---- Commands: trial ----
+
+    isTrialEnabled() {
+        return !!this.room.settings.trialMode && !this.isTutorial();
+    }
+
+    // Everyone alive except the accused decides the verdict
+    getJurors() {
+        const trial = this.room.trial;
+        return this.getAlivePlayers().filter(p => !trial || p.id !== trial.accusedId);
+    }
+
+    // Put the day's top vote-getter on the stand for a timed defense speech
+    startTrial(accusedId, nominationVotes, voteCountList, decision = {}) {
+        const room = this.room;
+        const accused = room.players.get(accusedId);
+        const defenseDuration = this.getDuration('defenseDuration', DEFENSE_DURATION);
+
+        room.phase = 'trial';
+        room.trial = {
+            accusedId,
+            stage: 'defense',
+            nominationVotes,
+            verdicts: new Map() // juror id -> 'guilty' | 'innocent' | 'abstain'
+        };
+
+        this.emitToRoom('votingResult', {
+            type: 'nominated',
+            decidedBy: decision.decidedBy,
+            ruleMessage: decision.ruleMessage,
+            message: `${accused.name} was put on trial with ${nominationVotes} vote(s)!`,
+            accusedPlayer: {
+                id: accusedId,
+                name: accused.name
+            },
+            voteCounts: voteCountList
+        });
+
+        this.emitToRoom('phaseChange', {
+            phase: 'trial',
+            stage: 'defense',
+            accusedId,
+            accusedName: accused.name,
+            message: `⚖️ ${accused.name} is on trial! ${defenseDuration} seconds for their defense - only the accused may speak.`
+        });
+
+        this.startPhaseTimer(defenseDuration, 'startVerdict');
+        this.notify('phaseStarted', { phase: 'trial', stage: 'defense' });
+        this.notify('state');
+        console.log(`${accused.name} put on trial in room ${room.roomCode} with ${nominationVotes} votes - ${defenseDuration} seconds of defense`);
+    }
+
+    // Defense is over: the jury votes guilty, innocent or abstain
+    startVerdictStage() {
+        const room = this.room;
+        const trial = room.trial;
+        if (!trial) return;
+
+        const accused = room.players.get(trial.accusedId);
+        const verdictDuration = this.getDuration('verdictDuration', VERDICT_DURATION);
+        trial.stage = 'verdict';
+
+        this.emitToRoom('phaseChange', {
+            phase: 'trial',
+            stage: 'verdict',
+            accusedId: trial.accusedId,
+            accusedName: accused?.name,
+            message: `⚖️ Is ${accused?.name || 'the accused'} guilty? ${verdictDuration} seconds to cast your verdict.`
+        });
+
+        this.startPhaseTimer(verdictDuration, 'resolveTrial');
+        this.notify('phaseStarted', { phase: 'trial', stage: 'verdict' });
+        this.notify('state');
+        console.log(`Verdict stage started in room ${room.roomCode} - ${verdictDuration} seconds`);
+    }
+
+    castVerdict(playerId, verdict) {
+        const room = this.room;
+        this.markActive(playerId);
+        const trial = room.trial;
+
+        if (!room.players.has(playerId)) return this.reject();
+        if (!room.gameStarted || room.deadPlayers.has(playerId) || this.isModerator(playerId)) return this.reject();
+
+        if (!trial || trial.stage !== 'verdict' || !room.phaseTimer) {
+            return this.reject('There is no verdict to cast right now');
+        }
+
+        if (playerId === trial.accusedId) {
+            return this.reject('You cannot vote on your own trial');
+        }
+
+        if (!VERDICTS.includes(verdict)) {
+            return this.reject('Verdict must be guilty, innocent or abstain');
+        }
+
+        // Verdicts stay secret (and can be changed) until the trial is settled
+        trial.verdicts.set(playerId, verdict);
+        const jurors = this.getJurors();
+        const verdictsCast = jurors.filter(p => trial.verdicts.has(p.id)).length;
+
+        this.emitTo(playerId, 'verdictConfirmed', { verdict });
+        this.emitToRoom('verdictUpdate', {
+            accusedId: trial.accusedId,
+            verdictsCast,
+            jurorCount: jurors.length
+        });
+
+        console.log(`${room.players.get(playerId).name} cast a verdict in room ${room.roomCode}`);
+
+        // The whole jury has decided - settle the trial early
+        if (verdictsCast === jurors.length) {
+            this.stopPhaseTimer();
+            this.emitToRoom('phaseEnded', {
+                reason: 'All verdicts are in',
+                message: 'Every juror has decided! Reading the verdict...'
+            });
+            this.schedule(2000, 'resolveTrial');
+        }
+
+        return this.flush();
+    }
+
+    // Read the verdict: the accused is eliminated only when guilty outnumbers innocent
+    // (abstentions count for neither side, except against a majority threshold)
+    resolveTrial() {
+        const room = this.room;
+        const trial = room.trial;
+        if (!trial) return;
+
+        this.stopPhaseTimer();
+        room.trial = null;
+
+        const accused = room.players.get(trial.accusedId);
+        const tally = { guilty: [], innocent: [], abstain: [] };
+        for (const juror of this.getAlivePlayers()) {
+            if (juror.id === trial.accusedId) continue;
+            tally[trial.verdicts.get(juror.id) || 'abstain'].push(juror.name);
+        }
+
+        // Guilty must outnumber Innocent; with the majority threshold it also needs most of the living jurors
+        const jurorCount = tally.guilty.length + tally.innocent.length + tally.abstain.length;
+        const requiredGuilty = room.settings.lynchThreshold === 'majority' ? Math.floor(jurorCount / 2) + 1 : 1;
+        const convicted = !!accused && !room.deadPlayers.has(trial.accusedId) &&
+            tally.guilty.length > tally.innocent.length && tally.guilty.length >= requiredGuilty;
+        const accusedName = accused?.name || 'The accused';
+        const shortOfMajority = !convicted && tally.guilty.length > tally.innocent.length;
+
+        this.emitToRoom('trialResult', {
+            accusedId: trial.accusedId,
+            accusedName,
+            verdict: convicted ? 'guilty' : 'innocent',
+            guilty: tally.guilty,
+            innocent: tally.innocent,
+            abstain: tally.abstain,
+            message: convicted
+                ? `⚖️ ${accusedName} was found guilty (${tally.guilty.length}-${tally.innocent.length})!`
+                : shortOfMajority
+                    ? `⚖️ ${accusedName} walks free: ${tally.guilty.length} guilty of the ${requiredGuilty} needed for a majority.`
+                    : `⚖️ ${accusedName} was acquitted (${tally.guilty.length}-${tally.innocent.length}) and walks free.`
+        });
+
+        console.log(`Trial of ${accusedName} in room ${room.roomCode}: ${convicted ? 'guilty' : 'acquitted'} (${tally.guilty.length}-${tally.innocent.length}, ${tally.abstain.length} abstained)`);
+
+        if (convicted) {
+            this.eliminateByVote(trial.accusedId, tally.guilty.length, [], { decidedBy: 'verdict', ruleMessage: 'Found guilty at trial' });
+        }
+
+        this.notify('state');
+
+        // A convicted Suicide Bomber holds the day open until they choose
+        if (room.pendingSuicideBomber) return;
+
+        this.endDay();
+    }
+
+    suicideBomberTargets(playerId, selectedTargets) {
+        const room = this.room;
+        this.markActive(playerId);
+
+        const player = room.players.get(playerId);
+        if (!player || player.role !== ROLES.SUICIDE_BOMBER) {
+            return this.reject('Only Suicide Bombers can use this action');
+        }
+
+        if (room.deadPlayers.has(playerId)) {
+            return this.reject('Dead players cannot take actions');
+        }
+
+        if (room.pendingSuicideBomber?.playerId !== playerId) {
+            return this.reject('You have not been discovered');
+        }
+
+        // Validate selected targets (max 2, alive players only)
+        const validTargets = (Array.isArray(selectedTargets) ? selectedTargets : []).filter(targetId => {
+            return targetId !== playerId && // Can't target self
+                   !room.deadPlayers.has(targetId) && // Target must be alive
+                   !this.isModerator(targetId) && // The moderator isn't in the game
+                   room.players.has(targetId); // Target must exist
+        }).slice(0, 2); // Maximum 2 targets
+
+        // Complete the suicide bomber elimination with selected targets
+        this.completeSuicideBomberElimination(playerId, validTargets, room.pendingSuicideBomber.votes);
+
+        console.log(`Suicide Bomber ${player.name} selected targets: ${validTargets.join(', ')} in room ${room.roomCode}`);
+        return this.flush();
+    }
+
+    completeSuicideBomberElimination(suicideBomberId, selectedTargets, originalVotes) {
+        const room = this.room;
+        const suicideBomber = room.players.get(suicideBomberId);
+
+        this.cancelScheduled('completeSuicideBomber');
+        room.pendingSuicideBomber = null;
+        if (!suicideBomber) return;
+
+        // Eliminate the suicide bomber
+        room.deadPlayers.add(suicideBomberId);
+        room.lynchedPlayers.add(suicideBomberId);
+        room.lastWords = { playerId: suicideBomberId };
+
+        // Eliminate selected targets (checking for Doctor protection)
+        const eliminatedTargets = [];
+        const eliminatedPlayers = []; // Each target's last will and whatever the reveal mode shows
+        const protectedTargets = [];
+
+        for (const targetId of selectedTargets) {
+            if (!room.deadPlayers.has(targetId)) {
+                const targetPlayer = room.players.get(targetId);
+
+                // Check if target was protected by doctor
+                if (room.protectedPlayers && room.protectedPlayers.has(targetId)) {
+                    // Target was protected, they survive the bombing
+                    protectedTargets.push(targetPlayer.name);
+                    console.log(`${targetPlayer.name} was targeted by Suicide Bomber but protected by Doctor in room ${room.roomCode}`);
+                } else {
+                    // No protection, target is eliminated
+                    room.deadPlayers.add(targetId);
+                    eliminatedTargets.push(targetPlayer.name);
+                    eliminatedPlayers.push({
+                        playerId: targetId,
+                        playerName: targetPlayer.name,
+                        lastWill: this.getLastWill(targetId),
+                        ...this.getDeathReveal(targetId)
+                    });
+                }
+            }
+        }
+
+        // Send elimination notification
+        this.emitToRoom('playerEliminated', {
+            playerId: suicideBomberId,
+            playerName: suicideBomber.name,
+            phase: 'day',
+            votes: originalVotes,
+            suicideBomberTargets: eliminatedTargets,
+            protectedTargets: protectedTargets,
+            lastWill: this.getLastWill(suicideBomberId),
+            ...this.getDeathReveal(suicideBomberId)
+        });
+
+        // Send special message about the suicide bombing
+        let message = `💥 ${suicideBomber.name}`;
+
+        if (eliminatedTargets.length > 0 && protectedTargets.length > 0) {
+            message += ` went out with a bang, taking ${eliminatedTargets.join(' and ')} with them! 🛡️ However, ${protectedTargets.join(' and ')} were protected by the Doctor!`;
+        } else if (eliminatedTargets.length > 0) {
+            message += ` went out with a bang, taking ${eliminatedTargets.join(' and ')} with them!`;
+        } else if (protectedTargets.length > 0) {
+            message += ` tried to take ${protectedTargets.join(' and ')} with them, but the Doctor's protection saved them! 🛡️`;
+        } else {
+            message += ` chose not to take anyone with them...`;
+        }
+
+        this.emitToRoom('suicideBomberResult', {
+            bomberName: suicideBomber.name,
+            targetsEliminated: eliminatedTargets,
+            targetsProtected: protectedTargets,
+            bomber: { playerId: suicideBomberId, playerName: suicideBomber.name, ...this.getDeathReveal(suicideBomberId) },
+            eliminatedPlayers,
+            message: message
+        });
+
+        let logMessage = `Suicide Bomber ${suicideBomber.name} eliminated in room ${room.roomCode}`;
+        if (eliminatedTargets.length > 0) {
+            logMessage += `, eliminated ${eliminatedTargets.length} targets: ${eliminatedTargets.join(', ')}`;
+        }
+        if (protectedTargets.length > 0) {
+            logMessage += `, ${protectedTargets.length} targets protected: ${protectedTargets.join(', ')}`;
+        }
+        console.log(logMessage);
+
+        this.notify('state');
+        if (this.isDaytime()) {
+            this.endDay();
+        }
+    }
+
+    // ---- Commands: night ----
+
+    startNightPhase() {
+        const room = this.room;
+
+        room.phase = 'night';
+        room.votes.clear();
+        room.lastWords = null; // Night ends any last words
+        room.nightActionsUsed.clear(); // Reset night actions for new night
+        room.nightQueue = []; // Clear actions queued on the previous night
+        room.protectedPlayers = new Set(); // Clear doctor protections from previous night
+        room.mafiaNominations.clear(); // Fresh kill vote every night
+
+        // Determine if this is the first night or a regular night
+        const isFirstNight = room.dayCount === 0;
+
+        // Only check win condition after the first night (not at game start)
+        if (!isFirstNight) {
+            this.reviewActivity('day');
+            const winCondition = this.checkWinCondition();
+            if (winCondition) {
+                this.endGame(winCondition);
+                return;
+            }
+        }
+        const nightMessage = isFirstNight
+            ? '🌙 The game begins under cover of darkness. Special roles, make your first moves!'
+            : `🌙 Night ${room.dayCount} falls on Volmora. Special roles, make your moves!`;
+
+        this.emitToRoom('phaseChange', {
+            phase: 'night',
+            message: nightMessage
+        });
+
+        // Kill leader is (re)appointed when the previous one has died
+        this.ensureKillLeader();
+
+        const nightDuration = this.isTutorial() ? 20 : this.getDuration('nightDuration', NIGHT_DURATION);
+        this.startPhaseTimer(nightDuration, 'startDay');
+        this.notify('phaseStarted', { phase: 'night' });
+        this.notify('state');
+
+        const nightLabel = isFirstNight ? 'Night 0 (First Night)' : `Night ${room.dayCount}`;
+        console.log(`${nightLabel} started in room ${room.roomCode} - ${nightDuration} seconds for actions`);
+    }
+
+    nightAction(playerId, action, target) {
+        const room = this.room;
+        this.markActive(playerId);
+
+        if (!room.players.has(playerId)) return this.reject();
+        if (!room.gameStarted || room.deadPlayers.has(playerId)) return this.reject();
+        if (room.phase !== 'night') return this.reject();
+
+        // Once every action is in (or time is up) the night is locked until dawn
+        if (!room.phaseTimer) return this.reject('Night actions are locked in until dawn');
+
+        const player = room.players.get(playerId);
+
+        // The role must hold this ability in the registry
+        const actionRules = RoleRegistry.getNightActionRules(action);
+        if (!actionRules || !RoleRegistry.hasNightAction(player.role, action)) {
+            return this.reject('Your role cannot do that at night');
+        }
+
+        // Limited-use abilities run dry (re-aiming a use already queued tonight is free)
+        const queued = this.findQueuedNightAction(playerId, action);
+        if (!queued && this.getNightActionUsesLeft(player, action) <= 0) {
+            return this.reject('You have no uses of that ability left');
+        }
+
+        // Declining an optional action still counts as acting this night
+        if (!target && actionRules.canPass) {
+            return this.passNightAction(player, action);
+        }
+
+        const targetPlayer = room.players.get(target);
+        if (!targetPlayer) return this.reject();
+        if (this.isModerator(target)) return this.reject('The moderator is not in the game');
+
+        // Prevent players from targeting themselves (unless the action allows it)
+        if (target === playerId && !actionRules.allowSelfTarget) {
+            return this.reject('You cannot target yourself');
+        }
+
+        const actionKey = RoleRegistry.getNightActionKey(player.role, action, playerId);
+        const team = RoleRegistry.getRoleDefinition(player.role).team;
+
+        // Team kill: every living member nominates a target, the team vote decides.
+        // Nominations can be switched until the night locks in.
+        if (action === 'kill') {
+            // Check if target is already dead
+            if (room.deadPlayers.has(target)) {
+                return this.reject('This player is already dead');
+            }
+
+            // Check if target is a teammate (mafia cannot kill other mafia)
+            if (RoleRegistry.isOnTeam(targetPlayer.role, team)) {
+                return this.reject('You cannot eliminate a fellow mafia member');
+            }
+
+            const previousTarget = room.mafiaNominations.get(playerId);
+            if (previousTarget === target) {
+                return this.reject(`You have already nominated ${targetPlayer.name}`);
+            }
+            room.mafiaNominations.set(playerId, target);
+
+            this.emitTo(playerId, 'actionConfirmed', {
+                action: 'kill',
+                targetId: target,
+                targetName: targetPlayer.name,
+                changed: !!previousTarget,
+                message: previousTarget
+                    ? `You switched your nomination to ${targetPlayer.name}.`
+                    : `You nominated ${targetPlayer.name} for elimination. The team vote decides the kill.`
+            });
+
+            this.notifyKillTeam(previousTarget
+                ? `🔄 ${player.name} switches their nomination to ${targetPlayer.name} (${this.describeMafiaNominations()})`
+                : `🗳️ ${player.name} nominates ${targetPlayer.name} (${this.describeMafiaNominations()})`);
+            this.settleMafiaKill();
+
+            console.log(`${player.name} (${player.role}) nominated ${targetPlayer.name} for the kill in room ${room.roomCode}`);
+        }
+
+        // Investigation (only one investigation per night)
+        if (action === 'investigate') {
+            // Check if this player has already investigated this night
+            if (room.nightActionsUsed.has(actionKey)) {
+                return this.reject('You have already investigated someone this night');
+            }
+
+            // Check if target is dead
+            if (room.deadPlayers.has(target)) {
+                return this.reject('You cannot investigate a dead player');
+            }
+
+            // Mark that this player has investigated this night; the result comes back straight away
+            room.nightActionsUsed.add(actionKey);
+            this.resolveImmediateNightAction(player, action, targetPlayer);
+
+            this.emitTo(playerId, 'actionConfirmed', {
+                message: `Investigation completed on ${targetPlayer.name}`
+            });
+        }
+
+        // Police alignment check (only one per night, reveals town/mafia/neutral)
+        if (action === 'investigateAlignment') {
+            if (room.nightActionsUsed.has(actionKey)) {
+                return this.reject('You have already investigated someone this night');
+            }
+
+            if (room.deadPlayers.has(target)) {
+                return this.reject('You cannot investigate a dead player');
+            }
+
+            room.nightActionsUsed.add(actionKey);
+            this.resolveImmediateNightAction(player, action, targetPlayer);
+
+            this.emitTo(playerId, 'actionConfirmed', {
+                message: `Alignment check completed on ${targetPlayer.name}`
+            });
+        }
+
+        // Black Police shot (limited ammo, resolved at dawn with the Mafia kill; can be re-aimed)
+        if (action === 'shoot') {
+            if (room.deadPlayers.has(target)) {
+                return this.reject('This player is already dead');
+            }
+
+            if (queued?.targetId === target) {
+                return this.reject(`You are already aiming at ${targetPlayer.name}`);
+            }
+
+            room.nightActionsUsed.add(actionKey);
+            if (queued) {
+                queued.targetId = target;
+            } else {
+                this.consumeNightActionUse(player, action);
+                this.queueNightAction(player, action, target);
+            }
+
+            this.emitTo(playerId, 'actionConfirmed', {
+                action: 'shoot',
+                targetId: target,
+                targetName: targetPlayer.name,
+                changed: !!queued,
+                shotsLeft: this.getNightActionUsesLeft(player, action),
+                message: `You take aim at ${targetPlayer.name}. The shot will be fired at dawn.`
+            });
+
+            console.log(`${player.name} (${player.role}) shot at ${targetPlayer.name} in room ${room.roomCode}`);
+        }
+
+        // Protection (one per night; the target can be switched until the night locks in)
+        if (action === 'protect') {
+            // Check if target is dead
+            if (room.deadPlayers.has(target)) {
+                return this.reject('You cannot protect a dead player');
+            }
+
+            if (queued?.targetId === target) {
+                return this.reject(target === playerId ? 'You are already protecting yourself' : `You are already protecting ${targetPlayer.name}`);
+            }
+
+            // Mark that this player has protected this night and queue the protection
+            room.nightActionsUsed.add(actionKey);
+            if (queued) {
+                queued.targetId = target;
+            } else {
+                this.queueNightAction(player, action, target);
+            }
+
+            const protectedName = target === playerId ? 'yourself' : targetPlayer.name;
+            this.emitTo(playerId, 'actionConfirmed', {
+                action: 'protect',
+                targetId: target,
+                targetName: targetPlayer.name,
+                changed: !!queued,
+                message: queued ? `You are now protecting ${protectedName} instead` : `You have protected ${protectedName}`
+            });
+
+            console.log(`${player.name} (${player.role}) protected ${targetPlayer.name} in room ${room.roomCode}`);
+        }
+
+        // Kill nominations reach the graveyard through the kill team feed, investigations with their result
+        if (action !== 'kill' && !actionRules.immediate) {
+            this.spectate(`${this.describeActor(player)} ${SPECTATOR_ACTION_VERBS[action] || action} ${targetPlayer.name}`);
+        }
+
+        // Check if all night actions are complete
+        if (this.checkAllNightActionsComplete()) {
+            this.endPhaseEarly('All night actions completed');
+        }
+
+        return this.flush();
+    }
+
+    // Living players who take part in the team kill vote
+    getKillTeamMembers() {
+        return this.getAlivePlayers().filter(p => RoleRegistry.hasNightAction(p.role, 'kill'));
+    }
+
+    // Send a line to every member of the kill team (shown in mafia chat), mirrored to the graveyard
+    notifyKillTeam(message, extra = {}) {
+        for (const member of this.getKillTeamMembers()) {
+            this.emitTo(member.id, 'mafiaNotification', { message, ...extra });
+        }
+        this.spectate(message);
+    }
+
+    // "Alice (Doctor)" for the spectator feed
+    describeActor(player) {
+        return `${player.name} (${RoleRegistry.getRoleDefinition(player.role).name})`;
+    }
+
+    // Current nomination tally, e.g. "Alice: 2, Bob: 1"
+    describeMafiaNominations() {
+        const tally = this.tallyMafiaNominations();
+        return Array.from(tally.entries())
+            .map(([targetId, count]) => `${this.room.players.get(targetId)?.name}: ${count}`)
+            .join(', ');
+    }
+
+    tallyMafiaNominations() {
+        const tally = new Map();
+        for (const member of this.getKillTeamMembers()) {
+            const targetId = this.room.mafiaNominations.get(member.id);
+            if (targetId) tally.set(targetId, (tally.get(targetId) || 0) + 1);
+        }
+        return tally;
+    }
+
+    // Pick a living kill leader when the room's kill rules need one (announced to the team)
+    ensureKillLeader() {
+        const room = this.room;
+        const needsLeader = room.settings.mafiaKillMode === 'leader' || room.settings.mafiaKillTieRule === 'leader';
+        const members = this.getKillTeamMembers();
+        if (!needsLeader || members.length === 0) {
+            room.killLeaderId = null;
+            return;
+        }
+        if (members.some(m => m.id === room.killLeaderId)) return;
+
+        const leader = members[Math.floor(this.random() * members.length)];
+        room.killLeaderId = leader.id;
+        this.notifyKillTeam(`👑 ${leader.name} is the kill leader${room.settings.mafiaKillMode === 'leader' ? ' and has the final say on the kill' : ' and breaks ties'}.`);
+        console.log(`${leader.name} is the kill leader in room ${room.roomCode}`);
+    }
+
+    // Work out the team kill from the nominations: the kill leader's pick (leader mode) or a
+    // majority of living members. Once everyone has nominated, or the night ends (final),
+    // the most-nominated target wins and ties follow the room's tie rule.
+    // Returns null while the vote is still open, otherwise { targetId, reason } (targetId null = no kill).
+    decideMafiaKill(final = false) {
+        const room = this.room;
+        const members = this.getKillTeamMembers();
+        const tally = this.tallyMafiaNominations();
+        const nominationCount = Array.from(tally.values()).reduce((sum, count) => sum + count, 0);
+        if (nominationCount === 0) return null;
+
+        const leaderPick = room.mafiaNominations.get(room.killLeaderId) || null;
+        if (room.settings.mafiaKillMode === 'leader' && leaderPick) {
+            return { targetId: leaderPick, reason: 'the kill leader decided' };
+        }
+        for (const [candidateId, count] of tally) {
+            if (count > members.length / 2) return { targetId: candidateId, reason: 'majority vote' };
+        }
+
+        if (!final && nominationCount < members.length) return null; // Still waiting for nominations
+
+        const topCount = Math.max(...tally.values());
+        const tied = Array.from(tally.keys()).filter(id => tally.get(id) === topCount);
+        const tieRule = room.settings.mafiaKillTieRule || 'random';
+        if (tied.length === 1) {
+            return { targetId: tied[0], reason: 'most nominations' };
+        }
+        if (tieRule === 'leader' && tied.includes(leaderPick)) {
+            return { targetId: leaderPick, reason: 'tie broken by the kill leader' };
+        }
+        if (tieRule === 'none') {
+            return { targetId: null, reason: 'tie' };
+        }
+        // Keep an earlier random pick while it is still among the tied targets
+        const current = room.nightQueue.find(entry => entry.action === 'kill')?.targetId;
+        const pick = tied.includes(current) ? current : tied[Math.floor(this.random() * tied.length)];
+        return { targetId: pick, reason: 'tie broken at random' };
+    }
+
+    // Bring the queued team kill in line with the current nominations and tell the team what changed
+    settleMafiaKill(final = false) {
+        const room = this.room;
+        const killKey = RoleRegistry.getNightActionKey(ROLES.MAFIA, 'kill');
+        const queued = room.nightQueue.find(entry => entry.action === 'kill');
+        const wasDecided = room.nightActionsUsed.has(killKey);
+        const decision = this.decideMafiaKill(final);
+
+        if (!decision) {
+            // A switched or withdrawn nomination can reopen the vote
+            if (wasDecided) {
+                room.nightActionsUsed.delete(killKey);
+                if (queued) this.removeQueuedNightAction(queued.actorId, 'kill');
+                this.notifyKillTeam('🔓 The kill is undecided again. Keep voting.', { decided: false });
+            }
+            return;
+        }
+        if (wasDecided && (queued?.targetId || null) === decision.targetId) return; // Nothing changed
+
+        room.nightActionsUsed.add(killKey);
+        if (queued) this.removeQueuedNightAction(queued.actorId, 'kill');
+
+        if (!decision.targetId) {
+            this.notifyKillTeam('⚖️ The Mafia could not agree on a target. No one will be attacked tonight.');
+            console.log(`Mafia kill vote tied with no tie-break in room ${room.roomCode}`);
+            return;
+        }
+
+        const members = this.getKillTeamMembers();
+        const leaderPick = room.mafiaNominations.get(room.killLeaderId);
+        const actor = room.players.get(leaderPick === decision.targetId
+            ? room.killLeaderId
+            : members.find(m => room.mafiaNominations.get(m.id) === decision.targetId)?.id);
+        const targetPlayer = room.players.get(decision.targetId);
+        this.queueNightAction(actor, 'kill', decision.targetId);
+        this.notifyKillTeam(`🎯 The Mafia will eliminate ${targetPlayer.name} (${decision.reason}). The kill will be processed at dawn.`, { decided: true, targetName: targetPlayer.name });
+        console.log(`Mafia decided to eliminate ${targetPlayer.name} (${decision.reason}) in room ${room.roomCode}`);
+    }
+
+    findQueuedNightAction(actorId, action) {
+        return this.room.nightQueue.find(entry => entry.actorId === actorId && entry.action === action) || null;
+    }
+
+    removeQueuedNightAction(actorId, action) {
+        const entry = this.findQueuedNightAction(actorId, action);
+        if (entry) this.room.nightQueue = this.room.nightQueue.filter(e => e !== entry);
+        return entry;
+    }
+
+    // Withdraw a pending night action before dawn (only changeable actions; investigations are final)
+    cancelNightAction(playerId, action) {
+        const room = this.room;
+        this.markActive(playerId);
+        const player = room.players.get(playerId);
+
+        if (!player || !room.gameStarted || room.deadPlayers.has(playerId)) return this.reject();
+        if (room.phase !== 'night') return this.reject();
+        if (!room.phaseTimer) return this.reject('Night actions are locked in until dawn');
+
+        const actionRules = RoleRegistry.getNightActionRules(action);
+        if (!actionRules || !RoleRegistry.hasNightAction(player.role, action)) {
+            return this.reject('Your role cannot do that at night');
+        }
+        if (!actionRules.changeable) {
+            return this.reject('That action is final once made');
+        }
+
+        // Team kill: withdraw this member's nomination and re-count
+        if (action === 'kill') {
+            if (!room.mafiaNominations.has(playerId)) {
+                return this.reject('You have not nominated anyone tonight');
+            }
+            room.mafiaNominations.delete(playerId);
+
+            this.emitTo(playerId, 'actionConfirmed', { action, cancelled: true, message: 'You withdrew your nomination.' });
+            const tally = this.describeMafiaNominations();
+            this.notifyKillTeam(`↩️ ${player.name} withdrew their nomination${tally ? ` (${tally})` : ''}`);
+            this.settleMafiaKill();
+            return this.flush();
+        }
+
+        const actionKey = RoleRegistry.getNightActionKey(player.role, action, playerId);
+        if (!room.nightActionsUsed.has(actionKey)) {
+            return this.reject('You have nothing to cancel tonight');
+        }
+        room.nightActionsUsed.delete(actionKey);
+
+        // A cancelled shot goes back in the magazine (a cancelled pass had used nothing)
+        const entry = this.removeQueuedNightAction(playerId, action);
+        if (entry && actionRules.usesSetting) {
+            this.refundNightActionUse(player, action);
+        }
+
+        const cancelMessages = {
+            protect: 'You are no longer protecting anyone tonight.',
+            shoot: 'You lower your weapon. No shot will be fired unless you aim again.'
+        };
+        this.emitTo(playerId, 'actionConfirmed', {
+            action,
+            cancelled: true,
+            shotsLeft: actionRules.usesSetting ? this.getNightActionUsesLeft(player, action) : undefined,
+            message: cancelMessages[action] || 'Your night action was cancelled.'
+        });
+
+        this.spectate(`↩️ ${this.describeActor(player)} cancels their ${action}`);
+        console.log(`${player.name} (${player.role}) cancelled ${action} in room ${room.roomCode}`);
+        return this.flush();
+    }
+
+    // Queue an action for the dawn resolution pipeline
+    // Investigations don't wait for dawn: the effect runs on submission, outside the night queue
+    resolveImmediateNightAction(player, action, target) {
+        const entry = { actorId: player.id, role: player.role, action, targetId: target.id };
+        NIGHT_EFFECTS[action](this, null, entry, player, target);
+    }
+
+    queueNightAction(player, action, targetId) {
+        this.room.nightQueue.push({
+            actorId: player.id,
+            role: player.role,
+            action,
+            targetId,
+            priority: RoleRegistry.getNightActionPriority(action)
+        });
+    }
+
+    // Remaining uses of a limited night action this game (Infinity when unlimited)
+    getNightActionUsesLeft(player, action) {
+        const rules = RoleRegistry.getNightActionRules(action);
+        if (!rules?.usesSetting) return Infinity;
+        const used = this.room.nightActionUses.get(`${action}_${player.id}`) || 0;
+        return Math.max(0, (this.room.settings[rules.usesSetting] || 0) - used);
+    }
+
+    consumeNightActionUse(player, action) {
+        const key = `${action}_${player.id}`;
+        this.room.nightActionUses.set(key, (this.room.nightActionUses.get(key) || 0) + 1);
+    }
+
+    refundNightActionUse(player, action) {
+        const key = `${action}_${player.id}`;
+        this.room.nightActionUses.set(key, Math.max(0, (this.room.nightActionUses.get(key) || 0) - 1));
+    }
+
+    // Player declines an optional night action for tonight (switching from a queued use refunds it)
+    passNightAction(player, action) {
+        const room = this.room;
+        const actionKey = RoleRegistry.getNightActionKey(player.role, action, player.id);
+        const queued = this.findQueuedNightAction(player.id, action);
+        if (room.nightActionsUsed.has(actionKey) && !queued) {
+            return this.reject('You have already acted this night');
+        }
+        room.nightActionsUsed.add(actionKey);
+        if (queued) {
+            this.removeQueuedNightAction(player.id, action);
+            this.refundNightActionUse(player, action);
+        }
+
+        this.emitTo(player.id, 'actionConfirmed', {
+            action,
+            passed: true,
+            cancelled: true,
+            shotsLeft: this.getNightActionUsesLeft(player, action),
+            message: 'You hold your fire tonight.'
+        });
+        this.spectate(`${this.describeActor(player)} holds their fire tonight`);
+
+        if (this.checkAllNightActionsComplete()) {
+            this.endPhaseEarly('All night actions completed');
+        }
+        return this.flush();
+    }
+
+    // Post a police alignment result into the police chat channel
+    sharePoliceInvestigation(playerId, targetId) {
+        const room = this.room;
+        this.markActive(playerId);
+        const player = room.players.get(playerId);
+        if (!player || !room.gameStarted) return this.reject();
+
+        if (!RoleRegistry.canUseChatChannel(player.role, 'police')) {
+            return this.reject('Only Detective/Police can use this chat');
+        }
+
+        // Only results this player actually received can be shared (latest one for the target)
+        const result = room.policeInvestigations
+            .filter(entry => entry.investigatorId === playerId && entry.targetId === targetId)
+            .pop();
+        if (!result) {
+            return this.reject('You have no investigation result for that player');
+        }
+        if (result.shared) {
+            return this.reject('You have already shared that result');
+        }
+        result.shared = true;
+
+        const alignmentLabels = { town: 'Town', mafia: 'the Mafia', neutral: 'no side (Neutral)' };
+        const message = `🔎 Night ${result.night} investigation: ${result.targetName} is aligned with ${alignmentLabels[result.alignment] || 'an unknown side'}`;
+        for (const [pid, roomPlayer] of room.players) {
+            if (RoleRegistry.canUseChatChannel(roomPlayer.role, 'police')) {
+                this.emitTo(pid, 'policeChatMessage', { playerName: player.name, message, investigation: true });
+            }
+        }
+        this.emitToGraveyard('spectatorEvent', { channel: 'police', playerName: player.name, message });
+
+        console.log(`${player.name} shared a police investigation on ${result.targetName} in room ${room.roomCode}`);
+        return this.flush();
+    }
+
+    checkAllNightActionsComplete() {
+        const room = this.room;
+        if (room.phase !== 'night' || !room.phaseTimer) return false;
+
+        // Every night action held by a living player must have been used or passed
+        // (team actions share one key, so one member acting covers the team)
+        for (const player of this.getAlivePlayers()) {
+            for (const action of RoleRegistry.getNightActions(player.role)) {
+                if (this.getNightActionUsesLeft(player, action) <= 0) continue;
+                if (!room.nightActionsUsed.has(RoleRegistry.getNightActionKey(player.role, action, player.id))) {
+                    return false;
+                }
+            }
+        }
+        return true;
+    }
+
+    endPhaseEarly(reason) {
+        const room = this.room;
+
+        this.stopPhaseTimer();
+
+        // Notify players
+        this.emitToRoom('phaseEnded', { reason });
+
+        // Transition to next phase
+        if (room.phase === 'night') {
+            this.schedule(2000, 'startDay'); // Brief delay to show the message
+        }
+
+        console.log(`Phase ended early in room ${room.roomCode}: ${reason}`);
+    }
+
+    // Dawn: resolve every queued night action in priority order (blocks, protections,
+    // kills, investigations), then announce deaths and send each player their own results
+    processNightActions() {
+        const room = this.room;
+
+        // Settle a kill vote the timer cut short
+        this.settleMafiaKill(true);
+
+        const night = {
+            blocked: new Set(), // Actors whose action is cancelled tonight
+            protectedBy: new Map(), // targetId -> ids of the players protecting them
+            attacks: [], // { entry, saved } for every attack that reached its target
+            deaths: new Map(), // targetId -> queue entry that killed them
+            visits: [], // { actorId, targetId, action } for roles that track movement
+            results: new Map() // playerId -> private results delivered at dawn
+        };
+
+        // Array sort is stable, so actions in the same stage keep submission order
+        const queue = [...room.nightQueue].sort((a, b) => a.priority - b.priority);
+        for (const entry of queue) {
+            const actor = room.players.get(entry.actorId);
+            const target = room.players.get(entry.targetId);
+            if (!actor || !target) continue;
+
+            if (night.blocked.has(entry.actorId)) {
+                this.addNightResult(night, entry.actorId, { action: entry.action, blocked: true, message: 'You were blocked tonight. Your action had no effect.' });
+                continue;
+            }
+
+            night.visits.push({ actorId: entry.actorId, targetId: entry.targetId, action: entry.action });
+            const effect = NIGHT_EFFECTS[entry.action];
+            if (effect) {
+                effect(this, night, entry, actor, target);
+            } else {
+                console.warn(`No night effect for action: ${entry.action}`);
+            }
+        }
+
+        // Deaths land together once every action has resolved
+        for (const targetId of night.deaths.keys()) {
+            room.deadPlayers.add(targetId);
+        }
+        // Tonight's protections also cover the following day (Suicide Bomber blasts)
+        room.protectedPlayers = new Set(night.protectedBy.keys());
+
+        this.announceNightOutcome(night, queue);
+
+        for (const [playerId, results] of night.results) {
+            this.emitTo(playerId, 'nightResults', { night: room.dayCount, results });
+            const player = room.players.get(playerId);
+            for (const result of results) {
+                this.spectate(`🌅 ${player ? this.describeActor(player) : 'Unknown'}: ${result.message}`);
+            }
+        }
+        room.nightQueue = [];
+
+        // Don't check win condition immediately after night actions
+        // Let the day phase proceed and check win condition after voting
+        return true; // Indicate game continues
+    }
+
+    addNightResult(night, playerId, result) {
+        if (!night.results.has(playerId)) night.results.set(playerId, []);
+        night.results.get(playerId).push(result);
+    }
+
+    // Public dawn messages: who died, which attacks were stopped, or a quiet night
+    announceNightOutcome(night, queue) {
+        const room = this.room;
+
+        for (const [targetId, entry] of night.deaths) {
+            const targetPlayer = room.players.get(targetId);
+            const protectedSomeone = queue.some(e => e.actorId === targetId && e.action === 'protect');
+            let message = ATTACK_MESSAGES[entry.action]?.killed?.(targetPlayer.name);
+            if (!message && protectedSomeone) {
+                message = `${targetPlayer.name} was eliminated by the Mafia. Someone was protected tonight.`;
+            }
+            this.emitToRoom('playerEliminated', {
+                playerId: targetId,
+                playerName: targetPlayer.name,
+                phase: 'night',
+                lastWill: this.getLastWill(targetId),
+                ...this.getDeathReveal(targetId),
+                ...(message ? { message } : {})
+            });
+            console.log(`${targetPlayer.name} (${targetPlayer.role}) died in the night (${entry.action}) in room ${room.roomCode}`);
+        }
+
+        for (const attack of night.attacks.filter(a => a.saved)) {
+            const otherAttacks = night.attacks.length > 1;
+            this.emitToRoom('playerSaved', {
+                playerId: null,
+                playerName: null,
+                message: ATTACK_MESSAGES[attack.entry.action]?.saved(otherAttacks) || 'An attack was stopped in the night.'
+            });
+        }
+
+        if (night.attacks.length === 0 && night.protectedBy.size > 0) {
+            this.emitToRoom('playerSaved', {
+                playerId: null,
+                playerName: null,
+                message: `The night was peaceful. No one was attacked.`
+            });
+        }
+    }
+
+    // ---- Game end ----
+
+    checkWinCondition() {
+        const room = this.room;
+        const alivePlayers = this.getAlivePlayers();
+
+        // Count mafia-aligned vs town-aligned players
+        const aliveMafia = alivePlayers.filter(p => RoleRegistry.isMafiaAligned(p.role));
+        const aliveInnocents = alivePlayers.filter(p => RoleRegistry.isTownAligned(p.role));
+
+        // Neutral roles (Gray Police) don't count for either side in win conditions
+        // (They can choose their allegiance during gameplay)
+
+        console.log(`Win condition check for room ${room.roomCode}: ${aliveMafia.length} Mafia, ${aliveInnocents.length} Innocents`);
+
+        // Innocents win if all mafia are eliminated
+        if (aliveMafia.length === 0) {
+            return {
+                winner: 'innocents',
+                reason: 'All Mafia members have been eliminated!',
+                survivors: aliveInnocents.map(p => ({ name: p.name, role: p.role })),
+                totalDays: room.dayCount
+            };
+        }
+
+        // Mafia wins if they equal or outnumber innocents
+        if (aliveMafia.length >= aliveInnocents.length) {
+            return {
+                winner: 'mafia',
+                reason: `Mafia (${aliveMafia.length}) equal or outnumber innocents (${aliveInnocents.length})!`,
+                survivors: aliveMafia.map(p => ({ name: p.name, role: p.role })),
+                totalDays: room.dayCount
+            };
+        }
+
+        return null; // Game continues
+    }
+
+    // Did this player end up on the winning side?
+    didPlayerWin(player, winCondition) {
+        return RoleRegistry.didRoleWin(player.role, winCondition.winner, {
+            survived: !this.room.deadPlayers.has(player.id),
+            lynched: this.room.lynchedPlayers.has(player.id)
+        });
+    }
+
+    endGame(winCondition) {
+        const room = this.room;
+
+        this.stopPhaseTimer();
+        room.scheduledCommands = [];
+        room.paused = null;
+
+        // Update win statistics
+        room.winStats.totalGames++;
+        if (winCondition.winner === 'mafia') {
+            room.winStats.mafiaWins++;
+        } else if (winCondition.winner === 'innocents') {
+            room.winStats.civilianWins++;
+        }
+
+        // Neutral roles that met their own goal (survived, got lynched) win alongside the winning side
+        winCondition.neutralWinners = Array.from(room.players.values())
+            .filter(p => !this.isModerator(p.id))
+            .filter(p => RoleRegistry.hasIndependentWin(p.role) && this.didPlayerWin(p, winCondition))
+            .map(p => ({ name: p.name, role: p.role }));
+
+        // Post-game reveal of every vote the Manipulator tampered with
+        winCondition.manipulations = room.manipulations.map(m => ({
+            day: m.day,
+            type: m.type,
+            manipulatorName: m.manipulatorName,
+            voterName: m.voterName,
+            originalTargetName: m.originalTargetName,
+            targetName: m.targetName,
+            applied: m.applied
+        }));
+
+        // Game over reveals everyone, whatever the reveal mode during play
+        winCondition.revealedPlayers = Array.from(room.players.values()).filter(p => !this.isModerator(p.id)).map(p => ({
+            name: p.name,
+            role: p.role,
+            alignment: RoleRegistry.getAlignment(p.role),
+            alive: !room.deadPlayers.has(p.id)
+        }));
+
+        // Add win stats to the win condition data
+        winCondition.winStats = {
+            mafiaWins: room.winStats.mafiaWins,
+            civilianWins: room.winStats.civilianWins,
+            totalGames: room.winStats.totalGames
+        };
+
+        room.phase = 'gameOver';
+        this.emitToRoom('gameOver', winCondition);
+
+        // Broadcast updated game state with new win stats
+        this.notify('state');
+        this.notify('gameEnded', { winCondition });
+
+        console.log(`Game ended in room ${room.roomCode}: ${winCondition.winner} wins after ${winCondition.totalDays} days`);
+        console.log(`Room ${room.roomCode} stats: Mafia ${room.winStats.mafiaWins} - ${room.winStats.civilianWins} Civilians (${room.winStats.totalGames} total games)`);
+    }
+
+    // ---- Lobby transitions ----
+
+    // Reset game state but keep players and room settings
+    reset() {
+        const room = this.room;
+
+        room.phase = 'lobby';
+        room.gameStarted = false;
+        room.dayCount = 0;
+        room.deadPlayers.clear();
+        room.votes.clear();
+        room.nightActionsUsed.clear();
+        room.nightQueue = [];
+        room.protectedPlayers = new Set();
+        room.mafiaNominations.clear();
+        room.killLeaderId = null;
+        room.pendingSuicideBomber = null;
+        room.trial = null;
+        room.runoff = null;
+        room.lastWills.clear();
+        room.lastWordsLog = [];
+        room.lastWords = null;
+        room.activePlayers.clear();
+        room.missedPhases.clear();
+        room.manipulations = [];
+        room.policeInvestigations = [];
+        room.nightActionUses.clear();
+        room.grayPoliceDecided.clear();
+        room.lynchedPlayers.clear();
+        room.godfatherId = null;
+        room.scheduledCommands = [];
+        room.paused = null;
+        room.moderatorId = null;
+        this.stopPhaseTimer();
+
+        // Reset player roles
+        for (const player of room.players.values()) {
+            player.role = null;
+            player.alive = true;
+            player.revealMode = null;
+        }
+
+        console.log(`Game state reset for room ${room.roomCode}`);
+        this.notify('gameStopped');
+        this.notify('state');
+        return this.flush();
+    }
+
+    // ---- Commands: host timer controls ----
+
+    // Freeze the phase countdown and every scheduled command; players can still chat and act
+    pauseGame() {
+        const room = this.room;
+        if (!room.gameStarted || room.phase === 'gameOver') return this.reject('No game in progress');
+        if (room.paused) return this.reject('The game is already paused');
+
+        room.paused = { at: this.clock.now() };
+        room.timeRemaining = this.getPhaseSecondsLeft();
+        this.emitToRoom('gamePaused', {
+            paused: true,
+            timeRemaining: room.timeRemaining,
+            message: '⏸️ The host paused the game.'
+        });
+        this.notify('state');
+
+        console.log(`Game paused in room ${room.roomCode}`);
+        return this.flush();
+    }
+
+    resumeGame() {
+        const room = this.room;
+        if (!room.paused) return this.reject('The game is not paused');
+
+        this.unpause();
+        this.emitToRoom('gamePaused', {
+            paused: false,
+            timeRemaining: room.timeRemaining,
+            message: '▶️ The host resumed the game.'
+        });
+        this.notify('state');
+
+        console.log(`Game resumed in room ${room.roomCode}`);
+        return this.flush();
+    }
+
+    // Back from a server restart: push every deadline back by the downtime (a paused game stays paused)
+    resumeAfterRestart(savedAt) {
+        if (this.room.paused) return;
+        this.room.paused = { at: savedAt };
+        this.unpause();
+    }
+
+    // Push every deadline back by the time spent paused
+    unpause() {
+        const room = this.room;
+        const pausedMs = this.clock.now() - room.paused.at;
+
+        if (room.phaseTimer) room.phaseTimer.endsAt += pausedMs;
+        for (const entry of room.scheduledCommands) {
+            entry.at += pausedMs;
+        }
+        room.paused = null;
+        room.timeRemaining = this.getPhaseSecondsLeft();
+    }
+
+    // Add time to the current phase countdown
+    extendPhase(seconds) {
+        const room = this.room;
+        if (!room.gameStarted || room.phase === 'gameOver') return this.reject('No game in progress');
+        if (!room.phaseTimer) return this.reject('There is no phase timer to extend right now');
+        if (!Number.isInteger(seconds) || seconds < 1 || seconds > MAX_PHASE_EXTENSION) {
+            return this.reject(`Time added must be between 1 and ${MAX_PHASE_EXTENSION} seconds`);
+        }
+
+        room.phaseTimer.endsAt += seconds * 1000;
+        room.timeRemaining = this.getPhaseSecondsLeft();
+        this.emitToRoom('phaseExtended', {
+            seconds,
+            timeRemaining: room.timeRemaining,
+            message: `⏱️ The host added ${seconds} seconds to the ${room.phase} phase.`
+        });
+        this.notify('state');
+
+        console.log(`Phase extended by ${seconds}s in room ${room.roomCode}`);
+        return this.flush();
+    }
+
+    // End the current phase now, as if its timer had run out (also lifts a pause)
+    skipPhase() {
+        const room = this.room;
+        if (!room.gameStarted || room.phase === 'gameOver') return this.reject('No game in progress');
+        if (!room.phaseTimer) return this.reject('There is no phase to skip right now');
+
+        if (room.paused) this.unpause();
+        const { onExpire } = room.phaseTimer;
+        const skipped = room.phase;
+        this.stopPhaseTimer();
+        this.emitToRoom('phaseEnded', { reason: `the host skipped the ${skipped} phase` });
+        this.run(onExpire, []);
+        this.notify('state');
+
+        console.log(`Host skipped the ${skipped} phase in room ${room.roomCode}`);
+        return this.flush();
+    }
+
+    // ---- Commands: moderator ----
+
+    // The moderator removes a player from the game (rule breaks, players who had to leave...)
+    modkillPlayer(targetId) {
+        const room = this.room;
+        if (!room.gameStarted || room.phase === 'gameOver') return this.reject('No game in progress');
+
+        const player = room.players.get(targetId);
+        if (!player || room.deadPlayers.has(targetId) || this.isModerator(targetId)) {
+            return this.reject('You can only modkill a living player');
+        }
+
+        this.modkill(player, 'moderator', `⚖️ The moderator removed ${player.name} from the game.`);
+        console.log(`Moderator modkilled ${player.name} in room ${room.roomCode}`);
+
+        const winCondition = this.checkWinCondition();
+        if (winCondition) {
+            this.endGame(winCondition);
+        } else if (this.checkAllNightActionsComplete()) {
+            this.endPhaseEarly('All night actions completed');
+        }
+        return this.flush();
+    }
+
+    // ---- Inactivity ----
+
+    // Any command (or chat line) from a player counts as taking part in the current phase
+    markActive(playerId) {
+        if (this.room.gameStarted && this.room.players.has(playerId)) {
+            this.room.activePlayers.add(playerId);
+        }
+    }
+
+    // End of a day or night: living humans who could have acted but didn't miss a phase.
+    // afkPhaseLimit misses in a row earn a warning; the next one removes the player
+    // (modkill or bot takeover). Returns true when someone was modkilled.
+    reviewActivity(phase) {
+        const room = this.room;
+        const active = room.activePlayers;
+        room.activePlayers = new Set();
+
+        const limit = room.settings.afkPhaseLimit || 0;
+        if (!limit || this.isTutorial()) return false;
+
+        let modkilled = false;
+        for (const player of this.getAlivePlayers()) {
+            if (player.isBot) continue;
+            // At night only roles with a night action left to use (e.g. a Black Police with ammo) have something to do
+            if (phase === 'night' && !RoleRegistry.getNightActions(player.role)
+                .some(action => this.getNightActionUsesLeft(player, action) > 0)) continue;
+
+            if (active.has(player.id)) {
+                room.missedPhases.delete(player.id);
+                continue;
+            }
+
+            const missed = (room.missedPhases.get(player.id) || 0) + 1;
+            room.missedPhases.set(player.id, missed);
+            if (missed === limit) {
+                const consequence = room.settings.afkAction === 'bot' ? 'a bot will take over your seat' : 'you will be removed from the game';
+                this.emitTo(player.id, 'afkWarning', {
+                    missedPhases: missed,
+                    message: `⚠️ You have been inactive for ${missed} phase(s). Miss the next one and ${consequence}.`
+                });
+            } else if (missed > limit) {
+                modkilled = this.removeInactivePlayer(player) || modkilled;
+            }
+        }
+        return modkilled;
+    }
+
+    // Replace an inactive player with a bot (done by the socket layer) or modkill them
+    removeInactivePlayer(player) {
+        const room = this.room;
+        room.missedPhases.delete(player.id);
+
+        if (room.settings.afkAction === 'bot') {
+            this.notify('replaceWithBot', {
+                playerId: player.id,
+                message: 'You were replaced by a bot after being inactive for too long.'
+            });
+            return false;
+        }
+
+        player.revealMode = room.settings.afkRevealMode || null;
+        this.modkill(player, 'inactivity', `⌛ ${player.name} was removed from the game for inactivity.`);
+
+        console.log(`${player.name} was modkilled for inactivity in room ${room.roomCode}`);
+        return true;
+    }
+
+    // Take a player out of the game outside the normal day/night flow (inactivity or the moderator)
+    modkill(player, cause, message) {
+        const room = this.room;
+        room.deadPlayers.add(player.id);
+        room.votes.delete(player.id);
+        room.mafiaNominations.delete(player.id);
+
+        // Whatever they queued tonight is dropped; a team kill they carried goes back to the living members
+        const dropped = room.nightQueue.filter(entry => entry.actorId === player.id);
+        room.nightQueue = room.nightQueue.filter(entry => entry.actorId !== player.id);
+        if (dropped.some(entry => entry.action === 'kill')) this.settleMafiaKill();
+
+        this.emitToRoom('playerEliminated', {
+            playerId: player.id,
+            playerName: player.name,
+            cause,
+            message,
+            lastWill: this.getLastWill(player.id),
+            ...this.getDeathReveal(player.id)
+        });
+        this.notify('state');
+    }
+
+    // A bot takes over a human's seat and keeps their role (inactivity, or a reconnect window that ran out)
+    replaceWithBot(playerId, bot) {
+        const room = this.room;
+        const player = room.players.get(playerId);
+        if (!player || player.isBot) return this.reject();
+
+        const formerName = player.name;
+        this.replacePlayerId(playerId, bot.id);
+        room.missedPhases.delete(bot.id);
+        Object.assign(player, {
+            name: bot.name,
+            userId: null,
+            isAuthenticated: false,
+            isBot: true,
+            disconnected: false,
+            rejoinToken: null
+        });
+
+        this.emitToRoom('playerReplaced', {
+            oldPlayerId: playerId,
+            playerId: bot.id,
+            playerName: bot.name,
+            formerName,
+            message: `🤖 ${bot.name} takes over ${formerName}'s seat.`
+        });
+        // Teammates and police see the seat under its new id
+        this.notify('mafiaTeamChanged');
+        this.sendPoliceTeamInfo();
+        this.notify('state');
+
+        console.log(`${bot.name} replaced ${formerName} in room ${room.roomCode}`);
+        return this.flush();
+    }
+
+    // ---- Commands: connection ----
+
+    // Hold a disconnected player's seat and role; the socket layer removes them once the grace period ends
+    disconnectPlayer(playerId) {
+        const player = this.room.players.get(playerId);
+        if (!player || player.isBot) return this.reject();
+
+        player.disconnected = true;
+        this.emitToRoom('playerDisconnected', {
+            playerId,
+            playerName: player.name,
+            graceSeconds: RECONNECT_GRACE,
+            message: `📵 ${player.name} lost connection. Their seat is held for ${RECONNECT_GRACE} seconds.`
+        });
+        this.notify('state');
+
+        console.log(`${player.name} disconnected from room ${this.room.roomCode} - seat held for ${RECONNECT_GRACE}s`);
+        return this.flush();
+    }
+
+    // Move a returning player's seat from their old socket id to the new one, then bring them up to date
+    reconnectPlayer(oldId, newId) {
+        const room = this.room;
+        const player = room.players.get(oldId);
+        if (!player || player.isBot) return this.reject('Your seat in this room is no longer available');
+
+        this.replacePlayerId(oldId, newId);
+        player.disconnected = false;
+
+        this.emitToRoom('playerReconnected', {
+            oldPlayerId: oldId,
+            playerId: newId,
+            playerName: player.name,
+            message: `📶 ${player.name} is back.`
+        });
+
+        if (room.gameStarted && player.role) {
+            this.emitTo(newId, 'roleAssigned', {
+                role: player.role,
+                description: RoleRegistry.getRoleDescription(player.role),
+                shotsLeft: player.role === ROLES.BLACK_POLICE ? this.getNightActionUsesLeft(player, 'shoot') : undefined,
+                rejoined: true
+            });
+            this.notify('mafiaTeamChanged', { playerId: newId });
+            this.sendPoliceTeamInfo(newId);
+
+            // Pending personal decisions are offered again with the time they have left
+            if (player.role === ROLES.GRAY_POLICE && !room.grayPoliceDecided.has(newId) && !room.deadPlayers.has(newId)) {
+                this.emitTo(newId, 'policeAlignmentChoice', {
+                    deadline: this.getScheduledSecondsLeft('grayPoliceDeadline'),
+                    timeoutChoice: room.settings.grayPoliceTimeout || 'random'
+                });
+            }
+            if (room.pendingSuicideBomber?.playerId === newId) {
+                this.emitTo(newId, 'suicideBomberActivation', {
+                    message: `💥 You've been discovered! Choose up to 2 players to eliminate with you!`,
+                    timeLimit: this.getScheduledSecondsLeft('completeSuicideBomber'),
+                    availableTargets: this.getAlivePlayers()
+                        .filter(p => p.id !== newId)
+                        .map(p => ({ id: p.id, name: p.name }))
+                });
+            }
+        }
+
+        this.notify('state');
+        console.log(`${player.name} reconnected to room ${room.roomCode}`);
+        return this.flush();
+    }
+
+    // Seconds until a scheduled command runs (0 when it is not scheduled)
+    getScheduledSecondsLeft(command) {
+        const entry = this.room.scheduledCommands.find(e => e.command === command);
+        return entry ? Math.max(0, Math.ceil((entry.at - this.clock.now()) / 1000)) : 0;
+    }
+
+    // Rewrite every reference to a player id (seats, ballots, night actions, timers...) in place
+    replacePlayerId(oldId, newId) {
+        const room = this.room;
+        const swap = id => (id === oldId ? newId : id);
+        const swapKey = key => (key.endsWith(`_${oldId}`) ? `${key.slice(0, -oldId.length)}${newId}` : key);
+        const swapSet = (set, fn = swap) => {
+            const entries = [...set];
+            set.clear();
+            entries.forEach(entry => set.add(fn(entry)));
+        };
+        // Rebuilt in order so seat order (players map) stays the same
+        const swapMap = (map, keyFn = swap) => {
+            const entries = [...map];
+            map.clear();
+            entries.forEach(([key, value]) => map.set(keyFn(key), swap(value)));
+        };
+
+        room.players.get(oldId).id = newId;
+        swapMap(room.players);
+        swapSet(room.deadPlayers);
+        swapMap(room.votes);
+        swapSet(room.nightActionsUsed, swapKey);
+        swapMap(room.nightActionUses, swapKey);
+        swapSet(room.protectedPlayers);
+        swapMap(room.mafiaNominations);
+        swapSet(room.grayPoliceDecided);
+        swapSet(room.lynchedPlayers);
+        swapMap(room.lastWills);
+        swapSet(room.activePlayers);
+        swapMap(room.missedPhases);
+
+        for (const entry of room.nightQueue) {
+            entry.actorId = swap(entry.actorId);
+            entry.targetId = swap(entry.targetId);
+        }
+        for (const entry of room.manipulations) {
+            entry.manipulatorId = swap(entry.manipulatorId);
+            entry.voterId = swap(entry.voterId);
+            entry.targetId = swap(entry.targetId);
+        }
+        for (const entry of room.policeInvestigations) {
+            entry.investigatorId = swap(entry.investigatorId);
+            entry.targetId = swap(entry.targetId);
+        }
+        for (const entry of room.lastWordsLog) {
+            entry.playerId = swap(entry.playerId);
+        }
+        for (const entry of room.scheduledCommands) {
+            entry.args = entry.args.map(arg => (Array.isArray(arg) ? arg.map(swap) : swap(arg)));
+        }
+
+        room.hostId = swap(room.hostId);
+        room.moderatorId = swap(room.moderatorId);
+        room.killLeaderId = swap(room.killLeaderId);
+        room.godfatherId = swap(room.godfatherId);
+        if (room.pendingSuicideBomber) room.pendingSuicideBomber.playerId = swap(room.pendingSuicideBomber.playerId);
+        if (room.lastWords) room.lastWords.playerId = swap(room.lastWords.playerId);
+        if (room.runoff) room.runoff.candidates = room.runoff.candidates.map(swap);
+        if (room.trial) {
+            room.trial.accusedId = swap(room.trial.accusedId);
+            swapMap(room.trial.verdicts);
+        }
+    }
+
+    // Drop a player who left; abort the game if too few remain
+    removePlayer(playerId) {
+        const room = this.room;
+
+        room.players.delete(playerId);
+        room.deadPlayers.delete(playerId);
+        room.votes.delete(playerId);
+        if (room.moderatorId === playerId) room.moderatorId = null;
+
+        const seatedCount = room.players.size - (room.moderatorId ? 1 : 0);
+        if (room.players.size > 0 && seatedCount < MIN_PLAYERS && room.gameStarted) {
+            this.reset();
+            this.emitToRoom('gameReset', 'Not enough players, returning to lobby');
+        }
+
+        return this.flush();
+    }
+}
+
+GameEngine.ROLES = ROLES;
+GameEngine.MIN_PLAYERS = MIN_PLAYERS;
+GameEngine.MAX_PLAYERS = MAX_PLAYERS;
+GameEngine.DAY_DURATION = DAY_DURATION;
+GameEngine.NIGHT_DURATION = NIGHT_DURATION;
+GameEngine.VOTING_DURATION = VOTING_DURATION;
+GameEngine.SUICIDE_BOMBER_DURATION = SUICIDE_BOMBER_DURATION;
+GameEngine.DEFENSE_DURATION = DEFENSE_DURATION;
+GameEngine.VERDICT_DURATION = VERDICT_DURATION;
+GameEngine.NO_LYNCH = NO_LYNCH;
+GameEngine.LAST_WORDS_DURATION = LAST_WORDS_DURATION;
+GameEngine.LAST_WILL_MAX_LENGTH = LAST_WILL_MAX_LENGTH;
+GameEngine.RECONNECT_GRACE = RECONNECT_GRACE;
+GameEngine.MAX_PHASE_EXTENSION = MAX_PHASE_EXTENSION;
+GameEngine.generateRoles = generateRoles;
+GameEngine.validateRoleSetup = validateRoleSetup;
+GameEngine.getMaxMafiaCount = getMaxMafiaCount;
+GameEngine.createSeededRandom = createSeededRandom;
+GameEngine.graveyardChannel = graveyardChannel;
+
+module.exports = GameEngine;
@@ -38,6 +38,7 @@ class VelmoraGame {
         this.playerColors = new Map(); // Store player colors
         this.usedColors = new Set(); // Track used colors to prevent duplicates
         this.votingResults = null; // Store voting results to display
+        this.myVoteTarget = null; // Own ballot this vote (player id or 'no_lynch')
         this.gameState = {
             phase: 'lobby',
             players: [],
@@ -58,6 +59,7 @@ class VelmoraGame {
         this.currentScreen = 'lobby';
         this.isConnected = false;
         this.countdownInterval = null; // For game over countdown timer
+        this.activeVoteKick = null; // Running vote-kick ({ targetId, targetName, yes, no, needed, voted })
         this.gameOverInfo = null; // Store game over data for canvas display
         
         // Initialize animated stars
@@ -69,6 +71,7 @@ class VelmoraGame {
         
         // Initialize mafia team information
         this.mafiaTeammates = [];
+        this.pendingNightActions = {}; // action -> targetId of tonight's switchable actions
         
         // Initialize audio system
         this.audioInitialized = false;
@@ -293,6 +296,50 @@ class VelmoraGame {
         // Game events
         document.getElementById('startGameButton').addEventListener('click', () => this.startGame());
         document.getElementById('updateSettingsButton').addEventListener('click', () => this.handleUpdateSettings());
+        this.setupRoleSetupEditor();
+
+        // Skip ballot on the round table
+        const noLynchButton = document.getElementById('noLynchButton');
+        if (noLynchButton) {
+            noLynchButton.addEventListener('click', () => this.vote('no_lynch'));
+        }
+
+        // Vote-kick banner
+        const voteKickYesButton = document.getElementById('voteKickYesButton');
+        if (voteKickYesButton) {
+            voteKickYesButton.addEventListener('click', () => this.castVoteKick(true));
+        }
+        const voteKickNoButton = document.getElementById('voteKickNoButton');
+        if (voteKickNoButton) {
+            voteKickNoButton.addEventListener('click', () => this.castVoteKick(false));
+        }
+
+        // Moderator tools
+        const sendNarratorButton = document.getElementById('sendNarratorButton');
+        if (sendNarratorButton) {
+            sendNarratorButton.addEventListener('click', () => this.sendNarratorMessage());
+        }
+        const narratorInput = document.getElementById('narratorInput');
+        if (narratorInput) {
+            narratorInput.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') this.sendNarratorMessage();
+            });
+        }
+        const modkillButton = document.getElementById('modkillButton');
+        if (modkillButton) {
+            modkillButton.addEventListener('click', () => this.modkillSelectedPlayer());
+        }
+
+        // Private last will
+        const saveLastWillButton = document.getElementById('saveLastWillButton');
+        if (saveLastWillButton) {
+            saveLastWillButton.addEventListener('click', () => this.saveLastWill());
+        }
+
+        // Trial verdict buttons on the round table
+        document.querySelectorAll('#trialPanel .verdict-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.castVerdict(btn.dataset.verdict));
+        });
 
         // Chat events
         const sendChatBtn = document.getElementById('sendChatButton');
@@ -301,6 +348,8 @@ class VelmoraGame {
         const mafiaInput = document.getElementById('mafiaInput');
         const sendPoliceChatBtn = document.getElementById('sendPoliceChatButton');
         const policeInput = document.getElementById('policeInput');
+        const sendGraveyardChatBtn = document.getElementById('sendGraveyardChatButton');
+        const graveyardInput = document.getElementById('graveyardInput');
         
         if (sendChatBtn) {
             sendChatBtn.addEventListener('click', () => this.sendChat());
@@ -334,6 +383,17 @@ class VelmoraGame {
             });
         }
 
+        // Graveyard chat events
+        if (sendGraveyardChatBtn) {
+            sendGraveyardChatBtn.addEventListener('click', () => this.sendGraveyardChat());
+        }
+        
+        if (graveyardInput) {
+            graveyardInput.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') this.sendGraveyardChat();
+            });
+        }
+
         // No more modal events - actions are integrated into the player table
         document.getElementById('returnToLobbyButton').addEventListener('click', () => this.returnToLobby());
         
@@ -343,6 +403,11 @@ class VelmoraGame {
         // Close game button (host only)
         document.getElementById('closeGameBtn').addEventListener('click', () => this.closeGame());
 
+        // Host timer controls
+        document.getElementById('pauseGameBtn').addEventListener('click', () => this.togglePause());
+        document.getElementById('addTimeBtn').addEventListener('click', () => this.extendPhase(30));
+        document.getElementById('skipPhaseBtn').addEventListener('click', () => this.skipPhase());
+
 
         // Canvas click events for player interaction
         this.canvas.addEventListener('click', (e) => this.handleCanvasClick(e));
@@ -529,6 +594,44 @@ class VelmoraGame {
         }
     }
 
+    // The rejoin token lives in sessionStorage so a reload or reconnect in this tab can reclaim the seat
+    saveRejoinInfo(data) {
+        if (!data.rejoinToken) return;
+        try {
+            sessionStorage.setItem('velmoraRejoin', JSON.stringify({ roomCode: data.roomCode, rejoinToken: data.rejoinToken }));
+        } catch {}
+    }
+
+    clearRejoinInfo() {
+        try {
+            sessionStorage.removeItem('velmoraRejoin');
+        } catch {}
+    }
+
+    tryRejoinRoom() {
+        let info = null;
+        try {
+            info = JSON.parse(sessionStorage.getItem('velmoraRejoin') || 'null');
+        } catch {}
+        if (info?.roomCode && info?.rejoinToken) {
+            this.socket.emit('rejoinRoom', info);
+        }
+    }
+
+    // A seat moved to a new id (its player reconnected, or a bot took over): carry the colour and team marker over
+    handleSeatIdChanged(data) {
+        if (data.playerId === this.playerId) return;
+        if (this.playerColors.has(data.oldPlayerId)) {
+            this.playerColors.set(data.playerId, this.playerColors.get(data.oldPlayerId));
+            this.playerColors.delete(data.oldPlayerId);
+        }
+        this.mafiaTeammates.forEach(mate => {
+            if (mate.id === data.oldPlayerId) mate.id = data.playerId;
+        });
+        if (this.myVoteTarget === data.oldPlayerId) this.myVoteTarget = data.playerId;
+        this.showToast(data.message, 'success');
+    }
+
     leaveRoom() {
         if (this.currentRoomCode) {
             // Send leave room event to server
@@ -545,6 +648,8 @@ class VelmoraGame {
             console.log('Connected to server');
             this.isConnected = true;
             this.updateConnectionStatus('connected', 'Connected');
+            // Take our seat back if this tab was in a room before the connection dropped
+            this.tryRejoinRoom();
         });
 
         this.socket.on('disconnect', () => {
@@ -597,6 +702,7 @@ class VelmoraGame {
 		});
 
         this.socket.on('roomCreated', (data) => {
+            this.saveRejoinInfo(data);
             this.playerId = data.playerId;
             this.playerName = data.playerName;
             this.currentRoomCode = data.roomCode;
@@ -632,6 +738,7 @@ class VelmoraGame {
         });
 
         this.socket.on('roomJoined', (data) => {
+            this.saveRejoinInfo(data);
             this.playerId = data.playerId;
             this.playerName = data.playerName;
             this.currentRoomCode = data.roomCode;
@@ -662,6 +769,57 @@ class VelmoraGame {
             this.showToast(`Joined lobby successfully!`);
         });
 
+        this.socket.on('roomRejoined', (data) => {
+            this.saveRejoinInfo(data);
+            this.playerId = data.playerId;
+            this.playerName = data.playerName;
+            this.currentRoomCode = data.roomCode;
+            this.currentLobbyInfo = data.lobbyInfo;
+            document.getElementById('currentLobbyName').textContent = data.lobbyInfo?.lobbyName || `Room ${data.roomCode}`;
+            
+            // In-game rejoins switch screens when the role arrives
+            if (!data.gameStarted) {
+                this.showRoomInfo();
+            }
+            this.showToast('📶 Reconnected - welcome back!', 'success');
+        });
+
+        this.socket.on('rejoinFailed', (message) => {
+            this.clearRejoinInfo();
+            this.showToast(message, 'info');
+        });
+
+        this.socket.on('chatScrollback', (data) => {
+            this.clearChatMessages();
+            (data.public || []).forEach(m => this.addChatMessage(m.playerName, m.message, m.playerName === this.playerName));
+            if (this.isModerator()) {
+                // The moderator follows the private chats through the spectator feed
+                (data.mafia || []).forEach(m => this.addGraveyardChatMessage(`🔪 Mafia chat · ${m.playerName}`, m.message, false, true));
+                (data.police || []).forEach(m => this.addGraveyardChatMessage(`🚔 Police chat · ${m.playerName}`, m.message, false, true));
+            } else {
+                (data.mafia || []).forEach(m => this.addMafiaChatMessage(m.playerName, m.message, m.playerName === this.playerName));
+                (data.police || []).forEach(m => this.addPoliceChatMessage(m.playerName, m.message, m.playerName === this.playerName));
+            }
+            (data.graveyard || []).forEach(m => this.addGraveyardChatMessage(m.playerName, m.message, m.playerName === this.playerName));
+        });
+
+        this.socket.on('playerDisconnected', (data) => {
+            this.showToast(data.message, 'warning');
+        });
+
+        this.socket.on('playerReconnected', (data) => {
+            this.handleSeatIdChanged(data);
+        });
+
+        this.socket.on('playerReplaced', (data) => {
+            this.handleSeatIdChanged(data);
+            this.addChatMessage('System', data.message, false);
+        });
+
+        this.socket.on('afkWarning', (data) => {
+            this.showToast(data.message, 'warning');
+        });
+
         this.socket.on('playerJoined', (data) => {
             this.showToast(`${data.playerName} joined the room`);
         });
@@ -680,6 +838,19 @@ class VelmoraGame {
         this.socket.on('roleAssigned', (data) => {
             console.log('Role assigned:', data);
             this.playerRole = data.role;
+            this.policeShotsLeft = data.shotsLeft || 0;
+            
+            // A Gray Police decision was made (or forced by the deadline)
+            if (data.autoAssigned) {
+                this.showToast(`⏰ Time is up! You are now ${data.role === 'white_police' ? 'White' : 'Black'} Police.`, 'warning');
+            }
+            this.closePoliceAlignmentChoice();
+            
+            // Switch directly to game screen (no role popup)
+            if (data.rejoined) {
+                this.switchToGameScreen();
+                return;
+            }
             
             // Play role reveal sound
             if (window.audioManager) {
@@ -714,8 +885,12 @@ class VelmoraGame {
             
             this.handlePhaseChange(data);
             
+            if (data.phase === 'night') {
+                this.pendingNightActions = {};
+            }
+            
             // Clear voting results when phase changes
-            if (data.phase !== 'day') {
+            if (data.phase !== 'day' && data.phase !== 'voting') {
                 this.votingResults = null;
                 this.currentVoteDetails = [];
                 this.votingVisualizationData = null;
@@ -740,6 +915,14 @@ class VelmoraGame {
             this.showToast(`🛡️ ${data.message}`, 'success');
         });
 
+        // Private outcomes of the night for this player (saved, blocked...)
+        this.socket.on('nightResults', (data) => {
+            (data.results || []).forEach(result => {
+                this.addChatMessage('System', `🌙 ${result.message}`, false);
+                this.showToast(`🌙 ${result.message}`, result.saved ? 'success' : 'info');
+            });
+        });
+
         this.socket.on('gameOver', (data) => {
             // Play game end audio
             if (window.audioManager) {
@@ -895,6 +1078,8 @@ class VelmoraGame {
             
             this.showToast(`Vote cast for ${data.targetName}`, 'info');
             this.closeModal('votingModal');
+            this.myVoteTarget = data.target;
+            this.updateNoLynchButton();
         });
 
         this.socket.on('voteUpdate', (data) => {
@@ -933,7 +1118,8 @@ class VelmoraGame {
             // Build toast message
             let message = `Room settings updated: ${data.maxPlayers} max players, ${data.mafiaCount} mafia`;
             const specialRoles = [];
-            if (data.manipulatorEnabled) specialRoles.push('Manipulator');
+            if (data.manipulatorEnabled) specialRoles.push(`Manipulator (${data.manipulatorUses || 2} uses)`);
+            if (data.autoPoliceRoles) specialRoles.push(`Black Police ammo: ${data.blackPoliceAmmo ?? 1}`);
             if (data.suicideBomberEnabled) specialRoles.push('Suicide Bomber');
             if (data.autoPoliceRoles && data.maxPlayers >= 10) specialRoles.push('Police Roles');
             
@@ -959,6 +1145,13 @@ class VelmoraGame {
             }
             
             this.showToast(data.message, 'warning');
+            if (data.bomber) {
+                this.showDeathReveal(data.bomber.playerName, data.bomber);
+            }
+            (data.eliminatedPlayers || []).forEach(entry => {
+                this.showDeathReveal(entry.playerName, entry);
+                this.showLastWill(entry.playerName, entry.lastWill);
+            });
         });
 
         this.socket.on('investigationResult', (data) => {
@@ -967,7 +1160,9 @@ class VelmoraGame {
                 window.audioManager.onInvestigation();
             }
             
-            const result = data.result === 'suspicious' ? 'SUSPICIOUS (Likely Mafia)' : 'INNOCENT';
+            const result = data.result === 'exact'
+                ? (data.role || 'unknown').replace(/_/g, ' ').toUpperCase()
+                : data.result === 'suspicious' ? 'SUSPICIOUS (Likely Mafia)' : 'INNOCENT';
             const message = `🔍 Investigation Result: ${data.targetName} appears ${result}`;
             
             // Show as both toast and alert for better visibility
@@ -977,8 +1172,35 @@ class VelmoraGame {
             this.showInvestigationResultModal(data.targetName, result);
         });
 
+        this.socket.on('policeInvestigationResult', (data) => {
+            if (window.audioManager) {
+                window.audioManager.onInvestigation();
+            }
+            
+            const labels = { town: 'TOWN', mafia: 'MAFIA', neutral: 'NEUTRAL' };
+            const result = labels[data.alignment] || 'UNKNOWN';
+            this.showToast(`🚔 Alignment Check: ${data.targetName} is ${result}`, 'info');
+            
+            // Offer to post the result into the police chat
+            this.showInvestigationResultModal(data.targetName, result, () => {
+                this.socket.emit('sharePoliceInvestigation', { roomCode: this.currentRoomCode, targetId: data.targetId });
+            });
+        });
+
         this.socket.on('actionConfirmed', (data) => {
-            if (data.action === 'kill') {
+            if (data.shotsLeft !== undefined) {
+                this.policeShotsLeft = data.shotsLeft;
+            }
+            if (data.action === 'policeAlignment') {
+                this.closePoliceAlignmentChoice();
+            }
+            // Remember switchable picks so the seat menu can offer to cancel them
+            if (data.cancelled) {
+                delete this.pendingNightActions[data.action];
+            } else if (data.targetId) {
+                this.pendingNightActions[data.action] = data.targetId;
+            }
+            if (data.action === 'kill' || data.action === 'shoot') {
                 this.showToast(`🔪 ${data.message}`, 'warning');
             } else {
                 this.showToast(`✅ ${data.message}`, 'success');
@@ -987,13 +1209,42 @@ class VelmoraGame {
         });
 
         this.socket.on('mafiaNotification', (data) => {
-            this.showToast(`🔪 ${data.message}`, 'info');
+            this.showToast(`🔪 ${data.message}`, data.decided ? 'warning' : 'info');
+            // Kill vote updates also land in the mafia chat log
+            this.addMafiaChatMessage('System', data.message);
         });
 
         this.socket.on('chatMessage', (data) => {
             this.addChatMessage(data.playerName, data.message, data.playerName === this.playerName);
         });
 
+        this.socket.on('lastWillSaved', (data) => {
+            this.showToast(data.lastWill ? '📜 Last will saved' : '📜 Last will cleared', 'success');
+        });
+
+        this.socket.on('lastWordsStarted', (data) => {
+            this.showToast(data.playerId === this.playerId
+                ? `💬 You have ${data.duration} seconds for your last words.`
+                : data.message, 'info');
+            this.addChatMessage('System', data.message, false);
+        });
+
+        this.socket.on('verdictConfirmed', (data) => {
+            if (this.gameState.trial) this.gameState.trial.myVerdict = data.verdict;
+            this.updateTrialPanel();
+        });
+
+        this.socket.on('verdictUpdate', (data) => {
+            this.trialVerdictCount = data;
+            this.updateTrialPanel();
+        });
+
+        this.socket.on('trialResult', (data) => {
+            this.showToast(data.message, data.verdict === 'guilty' ? 'error' : 'success');
+            const names = (list) => list.length > 0 ? list.join(', ') : 'nobody';
+            this.addChatMessage('System', `${data.message} Guilty: ${names(data.guilty)} | Innocent: ${names(data.innocent)} | Abstained: ${names(data.abstain)}`, false);
+        });
+
         this.socket.on('mafiaChatMessage', (data) => {
             this.addMafiaChatMessage(data.playerName, data.message, data.playerName === this.playerName);
         });
@@ -1002,8 +1253,27 @@ class VelmoraGame {
             this.showToast(`⏰ Phase ended early: ${data.reason}`, 'info');
         });
 
+        this.socket.on('gamePaused', (data) => {
+            this.gameState.paused = data.paused;
+            this.gameState.timeRemaining = data.timeRemaining;
+            this.showToast(data.message, 'info');
+            this.addChatMessage('System', data.message, false);
+            this.updateUI();
+        });
+
+        this.socket.on('phaseExtended', (data) => {
+            this.gameState.timeRemaining = data.timeRemaining;
+            this.showToast(data.message, 'info');
+            this.updateUI();
+        });
+
         this.socket.on('roomLeft', (data) => {
-            this.showToast(`✅ ${data.message}`, 'success');
+            if (data.kicked) {
+                this.showToast(`👢 ${data.message}`, 'error');
+            } else {
+                this.showToast(`✅ ${data.message}`, 'success');
+            }
+            this.clearRejoinInfo();
             
             // Clear chat messages when leaving room
             this.clearChatMessages();
@@ -1018,6 +1288,8 @@ class VelmoraGame {
             this.currentVoteDetails = [];
             this.votingVisualizationData = null;
             this.mafiaTeammates = [];
+            this.activeVoteKick = null;
+            this.updateVoteKickBanner();
             
             // Reset game state
             this.gameState = {
@@ -1063,6 +1335,51 @@ class VelmoraGame {
             this.addPoliceChatMessage(data.playerName, data.message, data.playerName === this.playerName);
         });
 
+        // Graveyard: chat between the dead, plus the spectator feed of hidden channels and night actions
+        this.socket.on('graveyardChatMessage', (data) => {
+            this.addGraveyardChatMessage(data.playerName, data.message, data.playerName === this.playerName);
+        });
+
+        this.socket.on('playerKicked', (data) => {
+            this.addChatMessage('System', this.escapeHtml(data.message), false);
+        });
+
+        this.socket.on('voteKickStarted', (data) => {
+            this.activeVoteKick = { targetId: data.targetId, targetName: data.targetName, voted: data.startedById === this.playerId };
+            this.showToast(data.message, 'warning');
+            this.addChatMessage('System', this.escapeHtml(data.message), false);
+            this.updateVoteKickBanner();
+        });
+
+        this.socket.on('voteKickUpdated', (data) => {
+            if (!this.activeVoteKick) return;
+            Object.assign(this.activeVoteKick, { yes: data.yes, no: data.no, needed: data.needed });
+            this.updateVoteKickBanner();
+        });
+
+        this.socket.on('voteKickEnded', (data) => {
+            this.activeVoteKick = null;
+            this.addChatMessage('System', this.escapeHtml(data.message), false);
+            this.updateVoteKickBanner();
+        });
+
+        this.socket.on('moderatorAssigned', (data) => {
+            this.showToast(data.message, 'info');
+        });
+
+        this.socket.on('narratorMessage', (data) => {
+            this.addChatMessage('📜 Narrator', this.escapeHtml(data.message), false);
+        });
+
+        this.socket.on('spectatorEvent', (data) => {
+            if (data.channel) {
+                const label = data.channel === 'mafia' ? '🔪 Mafia chat' : '🚔 Police chat';
+                this.addGraveyardChatMessage(`${label} · ${data.playerName}`, data.message, false, true);
+            } else {
+                this.addGraveyardChatMessage('👁️', data.message, false, true);
+            }
+        });
+
         // Inform detective/police of team presence (names but hidden colors)
         this.socket.on('policeTeamInfo', (data) => {
             const names = (data?.members || []).map(m => m.name).join(', ');
@@ -1070,8 +1387,8 @@ class VelmoraGame {
         });
 
         // Prompt gray police to choose alignment
-        this.socket.on('policeAlignmentChoice', () => {
-            this.showPoliceAlignmentChoice();
+        this.socket.on('policeAlignmentChoice', (data) => {
+            this.showPoliceAlignmentChoice(data || {});
         });
     }
 
@@ -1197,6 +1514,23 @@ class VelmoraGame {
         }
     }
 
+    togglePause() {
+        if (!this.isHost() || !this.currentRoomCode) return;
+        this.socket.emit(this.gameState.paused ? 'resumeGame' : 'pauseGame', this.currentRoomCode);
+    }
+
+    extendPhase(seconds) {
+        if (!this.isHost() || !this.currentRoomCode) return;
+        this.socket.emit('extendPhase', { roomCode: this.currentRoomCode, seconds });
+    }
+
+    skipPhase() {
+        if (!this.isHost() || !this.currentRoomCode) return;
+        if (confirm('Skip to the next phase now? The current phase ends as if its timer ran out.')) {
+            this.socket.emit('skipPhase', this.currentRoomCode);
+        }
+    }
+
     closeGame() {
         if (!this.isHost()) {
             this.showToast('❌ Only the host can close the game!', 'error');
@@ -1243,7 +1577,8 @@ class VelmoraGame {
         }
     }
 
-    updateRoomSettings(maxPlayers, mafiaCount, suicideBomberEnabled, manipulatorEnabled, autoPoliceRoles, enableBots, botCount) {
+    // extraSettings: any further room settings to send along (e.g. { manipulatorUses })
+    updateRoomSettings(maxPlayers, mafiaCount, suicideBomberEnabled, manipulatorEnabled, autoPoliceRoles, enableBots, botCount, extraSettings = {}) {
         if (this.currentRoomCode) {
             this.socket.emit('updateRoomSettings', {
                 roomCode: this.currentRoomCode,
@@ -1253,7 +1588,8 @@ class VelmoraGame {
                 manipulatorEnabled: manipulatorEnabled,
                 autoPoliceRoles: autoPoliceRoles,
                 enableBots: enableBots,
-                botCount: parseInt(botCount)
+                botCount: parseInt(botCount),
+                ...extraSettings
             });
         }
     }
@@ -1266,6 +1602,22 @@ class VelmoraGame {
         const autoPoliceToggle = document.getElementById('autoPoliceToggle');
         const botToggle = document.getElementById('botToggle');
         const botCountLobby = document.getElementById('botCountLobby');
+        const manipulatorUsesInput = document.getElementById('manipulatorUsesInput');
+        const blackPoliceAmmoInput = document.getElementById('blackPoliceAmmoInput');
+        const grayPoliceDeadlineInput = document.getElementById('grayPoliceDeadlineInput');
+        const grayPoliceTimeoutSelect = document.getElementById('grayPoliceTimeoutSelect');
+        const mafiaKillModeSelect = document.getElementById('mafiaKillModeSelect');
+        const mafiaKillTieRuleSelect = document.getElementById('mafiaKillTieRuleSelect');
+        const splitDayToggle = document.getElementById('splitDayToggle');
+        const trialModeToggle = document.getElementById('trialModeToggle');
+        const allowNoLynchToggle = document.getElementById('allowNoLynchToggle');
+        const lynchThresholdSelect = document.getElementById('lynchThresholdSelect');
+        const voteTieRuleSelect = document.getElementById('voteTieRuleSelect');
+        const roleRevealModeSelect = document.getElementById('roleRevealModeSelect');
+        const afkPhaseLimitInput = document.getElementById('afkPhaseLimitInput');
+        const afkActionSelect = document.getElementById('afkActionSelect');
+        const afkRevealModeSelect = document.getElementById('afkRevealModeSelect');
+        const investigationPresetSelect = document.getElementById('investigationPresetSelect');
         
         const maxPlayers = parseInt(maxPlayersInput.value);
         const mafiaCount = parseInt(mafiaCountInput.value);
@@ -1274,24 +1626,99 @@ class VelmoraGame {
         const autoPoliceRoles = autoPoliceToggle?.checked || true;
         const enableBots = botToggle?.checked || false;
         const botCount = botCountLobby ? parseInt(botCountLobby.value) : 1;
+        const manipulatorUses = manipulatorUsesInput ? parseInt(manipulatorUsesInput.value) : 2;
+        const blackPoliceAmmo = blackPoliceAmmoInput ? parseInt(blackPoliceAmmoInput.value) : 1;
+        const grayPoliceDeadline = grayPoliceDeadlineInput ? parseInt(grayPoliceDeadlineInput.value) : 60;
+        const grayPoliceTimeout = grayPoliceTimeoutSelect?.value || 'random';
+        const mafiaKillMode = mafiaKillModeSelect?.value || 'majority';
+        const mafiaKillTieRule = mafiaKillTieRuleSelect?.value || 'random';
+        const splitDayPhases = splitDayToggle?.checked || false;
+        const moderatorMode = document.getElementById('moderatorModeToggle')?.checked || false;
+        const trialMode = trialModeToggle?.checked || false;
+        const allowNoLynch = allowNoLynchToggle?.checked || false;
+        const lynchThreshold = lynchThresholdSelect?.value || 'plurality';
+        const voteTieRule = voteTieRuleSelect?.value || 'none';
+        const roleRevealMode = roleRevealModeSelect?.value || 'role';
+        const afkPhaseLimit = afkPhaseLimitInput ? parseInt(afkPhaseLimitInput.value) : 0;
+        const afkAction = afkActionSelect?.value || 'modkill';
+        const afkRevealMode = afkRevealModeSelect?.value || null;
+        // Phase lengths in seconds: [input id, setting, min, max, label]
+        const durationFields = [
+            ['dayDurationInput', 'dayDuration', 30, 600, 'Day / discussion length'],
+            ['votingDurationInput', 'votingDuration', 15, 300, 'Voting length'],
+            ['nightDurationInput', 'nightDuration', 15, 300, 'Night length'],
+            ['suicideBomberDurationInput', 'suicideBomberDuration', 10, 120, 'Suicide Bomber timer'],
+            ['defenseDurationInput', 'defenseDuration', 10, 120, 'Defense speech length'],
+            ['verdictDurationInput', 'verdictDuration', 10, 120, 'Verdict length'],
+            ['lastWordsDurationInput', 'lastWordsDuration', 5, 60, 'Last words length']
+        ];
+        const durations = {};
+        for (const [inputId, setting, min, max, label] of durationFields) {
+            const value = parseInt(document.getElementById(inputId)?.value);
+            if (isNaN(value) || value < min || value > max) {
+                this.showToast(`${label} must be between ${min} and ${max} seconds`, 'error');
+                return;
+            }
+            durations[setting] = value;
+        }
+        const investigationPreset = investigationPresetSelect?.value || 'classic';
+        const investigationOverrides = {};
+        document.querySelectorAll('#investigationMatrixRows select[data-role]').forEach(select => {
+            investigationOverrides[select.dataset.role] = select.value;
+        });
+        const roleSetup = this.getRoleSetupFromInputs();
         
         if (maxPlayers < 4 || maxPlayers > 20) {
             this.showToast('Max players must be between 4 and 20', 'error');
             return;
         }
         
+        // A custom role setup replaces the Mafia count and Suicide Bomber options
         const maxAllowedMafia = this.getMaxMafiaCount(maxPlayers);
-        if (mafiaCount < 1 || mafiaCount > maxAllowedMafia) {
+        if (!roleSetup && (mafiaCount < 1 || mafiaCount > maxAllowedMafia)) {
             this.showToast(`Mafia count must be between 1 and ${maxAllowedMafia} for ${maxPlayers} players`, 'error');
             return;
         }
         
-        if (suicideBomberEnabled && mafiaCount < 3) {
+        if (!roleSetup && suicideBomberEnabled && mafiaCount < 3) {
             this.showToast('Suicide Bomber requires at least 3 Mafia members', 'error');
             return;
         }
         
-        this.updateRoomSettings(maxPlayers, mafiaCount, suicideBomberEnabled, manipulatorEnabled, autoPoliceRoles, enableBots, botCount);
+        if (manipulatorEnabled && (isNaN(manipulatorUses) || manipulatorUses < 1 || manipulatorUses > 5)) {
+            this.showToast('Manipulator uses must be between 1 and 5', 'error');
+            return;
+        }
+        
+        if (isNaN(blackPoliceAmmo) || blackPoliceAmmo < 0 || blackPoliceAmmo > 3) {
+            this.showToast('Black Police ammo must be between 0 and 3', 'error');
+            return;
+        }
+        
+        if (isNaN(afkPhaseLimit) || afkPhaseLimit < 0 || afkPhaseLimit > 5) {
+            this.showToast('Inactive phases before warning must be between 0 and 5', 'error');
+            return;
+        }
+        
+        if (isNaN(grayPoliceDeadline) || grayPoliceDeadline < 0 || grayPoliceDeadline > 300) {
+            this.showToast('Gray Police deadline must be between 0 and 300 seconds', 'error');
+            return;
+        }
+        
+        if (roleSetup) {
+            const counts = Object.entries(roleSetup.roles);
+            const totalRoles = counts.reduce((sum, [, count]) => sum + count, 0);
+            if (!counts.some(([role]) => RoleRegistry.isOnTeam(role, 'mafia'))) {
+                this.showToast('The role setup needs at least one Mafia member', 'error');
+                return;
+            }
+            if (totalRoles > maxPlayers) {
+                this.showToast(`The role setup lists ${totalRoles} roles but the room holds ${maxPlayers} players`, 'error');
+                return;
+            }
+        }
+        
+        this.updateRoomSettings(maxPlayers, mafiaCount, suicideBomberEnabled, manipulatorEnabled, autoPoliceRoles, enableBots, botCount, { manipulatorUses, blackPoliceAmmo, grayPoliceDeadline, grayPoliceTimeout, mafiaKillMode, mafiaKillTieRule, splitDayPhases, trialMode, allowNoLynch, lynchThreshold, voteTieRule, roleRevealMode, afkPhaseLimit, afkAction, afkRevealMode, moderatorMode, ...durations, investigationPreset, investigationOverrides, roleSetup });
     }
 
     updateGameState(state) {
@@ -1332,22 +1759,23 @@ class VelmoraGame {
             phaseIndicator.className = `phase-indicator ${this.gameState.phase}`;
         }
 
-        // Update timer with visual urgency
+        // Update timer with visual urgency (frozen with a pause marker while the host has paused)
         const timer = document.getElementById('timer');
         if (timer) {
+            timer.classList.toggle('paused', !!this.gameState.paused);
             if (this.gameState.timeRemaining > 0) {
                 const minutes = Math.floor(this.gameState.timeRemaining / 60);
                 const seconds = this.gameState.timeRemaining % 60;
-                timer.textContent = `${minutes}:${seconds.toString().padStart(2, '0')}`;
+                timer.textContent = `${this.gameState.paused ? '⏸️ ' : ''}${minutes}:${seconds.toString().padStart(2, '0')}`;
                 
                 // Add urgency styling for last 30 seconds
-                if (this.gameState.timeRemaining <= 30) {
+                if (this.gameState.timeRemaining <= 30 && !this.gameState.paused) {
                     timer.classList.add('urgent');
                 } else {
                     timer.classList.remove('urgent');
                 }
             } else {
-                timer.textContent = '--:--';
+                timer.textContent = this.gameState.paused ? '⏸️ --:--' : '--:--';
                 timer.classList.remove('urgent');
             }
         }
@@ -1413,6 +1841,18 @@ class VelmoraGame {
             }
         }
 
+        // Host timer controls share the close button's visibility
+        const timerControls = document.getElementById('hostTimerControls');
+        if (timerControls) {
+            const showControls = this.isHost() && this.gameState.gameStarted && this.currentScreen === 'game' && this.gameState.phase !== 'gameOver';
+            timerControls.style.display = showControls ? 'inline-flex' : 'none';
+            const pauseBtn = document.getElementById('pauseGameBtn');
+            if (pauseBtn) {
+                pauseBtn.textContent = this.gameState.paused ? '▶️' : '⏸️';
+                pauseBtn.title = this.gameState.paused ? 'Resume (Host Only)' : 'Pause (Host Only)';
+            }
+        }
+
         // Update minimum players text
         const minPlayersText = document.getElementById('min-players-text') || 
                                document.querySelector('.min-players-text');
@@ -1479,6 +1919,53 @@ class VelmoraGame {
         
         // Update chat input enabled/disabled state
         this.updateChatInputs();
+
+        // Verdict buttons while a trial is running, skip ballot while voting
+        this.updateTrialPanel();
+        this.updateNoLynchButton();
+        this.updateLastWillPanel();
+        this.updateModeratorPanel();
+    }
+
+    // Show the guilty / innocent / abstain panel over the round table during a verdict
+    updateTrialPanel() {
+        const panel = document.getElementById('trialPanel');
+        if (!panel) return;
+
+        const trial = this.gameState.trial;
+        if (!trial || this.isSpectating()) {
+            panel.style.display = 'none';
+            return;
+        }
+
+        const accusedName = this.getPlayerName(trial.accusedId);
+        const isAccused = trial.accusedId === this.playerId;
+        const canVote = trial.stage === 'verdict' && !isAccused;
+
+        document.getElementById('trialPanelTitle').textContent = isAccused
+            ? '⚖️ You are on trial'
+            : `⚖️ ${accusedName} is on trial`;
+
+        let status = trial.stage === 'defense' ? 'Defense speech in progress...' : 'Guilty needs more votes than innocent';
+        if (trial.stage === 'verdict' && this.trialVerdictCount) {
+            status += ` • ${this.trialVerdictCount.verdictsCast}/${this.trialVerdictCount.jurorCount} verdicts in`;
+        }
+        document.getElementById('trialPanelStatus').textContent = status;
+
+        panel.querySelectorAll('.verdict-btn').forEach(btn => {
+            btn.style.display = canVote ? '' : 'none';
+            btn.classList.toggle('selected', trial.myVerdict === btn.dataset.verdict);
+        });
+        panel.style.display = 'block';
+    }
+
+    castVerdict(verdict) {
+        if (!this.gameState.trial || this.isSpectating()) return;
+
+        this.socket.emit('castVerdict', {
+            roomCode: this.currentRoomCode,
+            verdict: verdict
+        });
     }
 
     updatePlayerLists() {
@@ -1507,8 +1994,25 @@ class VelmoraGame {
                 if (player.id === this.playerId) {
                     playerText += ' (You)';
                 }
+                if (player.disconnected) {
+                    playerText += ' 📵';
+                }
                 
                 playerDiv.textContent = playerText;
+                // The host can kick or ban other humans from the lobby
+                if (this.isHost() && player.id !== this.playerId && !player.isBot) {
+                    const kickBtn = document.createElement('button');
+                    kickBtn.className = 'lobby-kick-btn';
+                    kickBtn.textContent = '👢';
+                    kickBtn.title = 'Kick';
+                    kickBtn.setAttribute('data-kick', 'kick');
+                    const banBtn = document.createElement('button');
+                    banBtn.className = 'lobby-kick-btn';
+                    banBtn.textContent = '🚫';
+                    banBtn.title = 'Kick and ban';
+                    banBtn.setAttribute('data-kick', 'ban');
+                    playerDiv.append(' ', kickBtn, banBtn);
+                }
                 // Attach metadata for delegation
                 playerDiv.setAttribute('data-id', player.id);
                 if (player.userId) playerDiv.setAttribute('data-user-id', player.userId);
@@ -1536,6 +2040,11 @@ class VelmoraGame {
                 lobbyList.addEventListener('click', (ev) => {
                     const item = ev.target.closest('.player-item');
                     if (!item || !lobbyList.contains(item)) return;
+                    const kickBtn = ev.target.closest('[data-kick]');
+                    if (kickBtn) {
+                        this.kickPlayer(item.getAttribute('data-id'), item.getAttribute('data-name'), kickBtn.getAttribute('data-kick') === 'ban');
+                        return;
+                    }
                     if (!item.classList.contains('alive')) return;
                     const isBot = item.getAttribute('data-bot') === '1';
                     if (isBot) { this.showToast('🤖 This is a bot and has no identity.', 'info'); return; }
@@ -1581,10 +2090,27 @@ class VelmoraGame {
             let instruction = '';
             let showInstructions = false;
             
-            if (this.gameState.phase === 'day' && !this.isDead()) {
-                instruction = '💬 Day Phase: Click on players around the table to vote for elimination';
+            if (this.isVotingOpen() && !this.isSpectating()) {
+                instruction = this.gameState.runoff
+                    ? `🗳️ Runoff: vote for one of the tied players (${this.describeVotingRules()})`
+                    : `💬 Day Phase: Click on players around the table to vote for elimination (${this.describeVotingRules()})`;
                 showInstructions = true;
-            } else if (this.gameState.phase === 'night' && !this.isDead()) {
+            } else if (this.gameState.phase === 'day' && !this.isSpectating()) {
+                instruction = '💬 Discussion: Talk it over - voting opens when the timer runs out';
+                showInstructions = true;
+            } else if (this.gameState.trial && !this.isSpectating()) {
+                const accusedName = this.getPlayerName(this.gameState.trial.accusedId);
+                if (this.gameState.trial.accusedId === this.playerId) {
+                    instruction = this.gameState.trial.stage === 'defense'
+                        ? '⚖️ You are on trial: make your defense in the chat - only you can speak'
+                        : '⚖️ The town is deciding your fate...';
+                } else {
+                    instruction = this.gameState.trial.stage === 'defense'
+                        ? `⚖️ Trial: listen to ${accusedName}'s defense`
+                        : `⚖️ Trial: vote guilty, innocent or abstain on ${accusedName}`;
+                }
+                showInstructions = true;
+            } else if (this.gameState.phase === 'night' && !this.isSpectating()) {
                 if (this.playerRole === 'mafia') {
                     instruction = '🔪 Night Phase: Click on players to eliminate them';
                     showInstructions = true;
@@ -1598,6 +2124,9 @@ class VelmoraGame {
                     instruction = '😴 Night Phase: Wait for other players to complete their actions';
                     showInstructions = true;
                 }
+            } else if (this.isModerator() && this.gameState.phase !== 'gameOver') {
+                instruction = '📜 You are moderating: every role and night action is shown in the graveyard feed';
+                showInstructions = true;
             }
             
             instructionText.textContent = instruction;
@@ -1683,22 +2212,25 @@ class VelmoraGame {
     }
 
     hasAvailableAction(targetPlayer) {
-        if (this.isDead()) return false;
+        if (this.isSpectating()) return false;
         
         // Day phase voting
-        if (this.gameState.phase === 'day' && targetPlayer.alive && targetPlayer.id !== this.playerId) {
+        if (this.canVoteFor(targetPlayer)) {
             return true;
         }
         
         // Night phase actions
         if (this.gameState.phase === 'night' && targetPlayer.alive) {
-            if (this.playerRole === 'mafia' && !this.mafiaTeammates.some(mate => mate.id === targetPlayer.id) && targetPlayer.id !== this.playerId) {
+            if (RoleRegistry.hasNightAction(this.playerRole, 'kill') && !this.mafiaTeammates.some(mate => mate.id === targetPlayer.id) && targetPlayer.id !== this.playerId) {
                 return true;
-            } else if (this.playerRole === 'detective' && targetPlayer.id !== this.playerId) {
+            } else if ((this.playerRole === 'detective' || this.playerRole === 'white_police') && targetPlayer.id !== this.playerId) {
                 return true;
             } else if (this.playerRole === 'doctor') {
                 // Doctor can protect anyone including themselves
                 return true;
+            } else if (this.playerRole === 'black_police' && this.policeShotsLeft > 0) {
+                // Shoot someone else, or hold fire from your own seat
+                return true;
             }
         }
         
@@ -1719,6 +2251,16 @@ class VelmoraGame {
             tableText.textContent = 'Day Phase';
             tableLogo.style.color = '#ffd700';
             if (tablePhase) tablePhase.textContent = 'Day';
+        } else if (this.gameState.phase === 'voting') {
+            tableLogo.textContent = '🗳️';
+            tableText.textContent = 'Voting Phase';
+            tableLogo.style.color = '#ffd700';
+            if (tablePhase) tablePhase.textContent = 'Voting';
+        } else if (this.gameState.phase === 'trial') {
+            tableLogo.textContent = '⚖️';
+            tableText.textContent = 'Trial';
+            tableLogo.style.color = '#ffd700';
+            if (tablePhase) tablePhase.textContent = 'Trial';
         } else if (this.gameState.phase === 'night') {
             tableLogo.textContent = '🌙';
             tableText.textContent = 'Night Phase';
@@ -1817,8 +2359,11 @@ class VelmoraGame {
 			if (inLobby) {
 				return;
 			}
-			// Don't show actions if current player is dead
-			if (this.isDead()) return;
+			// Spectators (the dead, the moderator) can't act, but a spectating host can still kick
+			if (this.isSpectating()) {
+				if (this.isHost() || this.isModerator()) this.showPlayerActionModal(targetPlayer, true);
+				return;
+			}
 			
 			// Create action modal based on current phase and role
 			this.showPlayerActionModal(targetPlayer);
@@ -1836,7 +2381,7 @@ class VelmoraGame {
         alert(info);
     }
 
-    showPlayerActionModal(targetPlayer) {
+    showPlayerActionModal(targetPlayer, kickOnly = false) {
         // Remove any existing action modal
         const existingModal = document.getElementById('playerActionModal');
         if (existingModal) {
@@ -1862,57 +2407,141 @@ class VelmoraGame {
         // Add available actions based on phase and role
         let hasActions = false;
         
-        // Day phase voting
-        if (this.gameState.phase === 'day' && targetPlayer.alive && targetPlayer.id !== this.playerId) {
-            const voteBtn = document.createElement('button');
-            voteBtn.className = 'action-option-btn vote-btn';
-            voteBtn.textContent = '🗳️ Vote to Eliminate';
-            voteBtn.onclick = () => {
-                this.vote(targetPlayer.id);
-                this.closePlayerActionModal();
-            };
-            actionsContainer.appendChild(voteBtn);
-            hasActions = true;
-        }
-        
-        // Night phase actions
-        if (this.gameState.phase === 'night' && targetPlayer.alive) {
-            if (this.playerRole === 'mafia' && !this.mafiaTeammates.some(mate => mate.id === targetPlayer.id) && targetPlayer.id !== this.playerId) {
-                const killBtn = document.createElement('button');
-                killBtn.className = 'action-option-btn kill-btn';
-                killBtn.textContent = '🔪 Eliminate Player';
-                killBtn.onclick = () => {
-                    this.nightAction('kill', targetPlayer.id);
+        // Game actions (spectators, e.g. a dead or moderating host, only get the kick options)
+        if (!kickOnly) {
+            // Day phase voting
+            if (this.canVoteFor(targetPlayer)) {
+                const voteBtn = document.createElement('button');
+                voteBtn.className = 'action-option-btn vote-btn';
+                voteBtn.textContent = '🗳️ Vote to Eliminate';
+                voteBtn.onclick = () => {
+                    this.vote(targetPlayer.id);
                     this.closePlayerActionModal();
                 };
-                actionsContainer.appendChild(killBtn);
+                actionsContainer.appendChild(voteBtn);
                 hasActions = true;
             }
-            
-            if (this.playerRole === 'detective' && targetPlayer.id !== this.playerId) {
-                const investigateBtn = document.createElement('button');
-                investigateBtn.className = 'action-option-btn investigate-btn';
-                investigateBtn.textContent = '🔍 Investigate Player';
-                investigateBtn.onclick = () => {
-                    this.nightAction('investigate', targetPlayer.id);
+        
+            // Manipulator: secretly steer the vote toward this player
+            if (this.isVotingOpen() && this.playerRole === 'manipulator' && targetPlayer.alive && targetPlayer.id !== this.playerId) {
+                const phantomBtn = document.createElement('button');
+                phantomBtn.className = 'action-option-btn manipulate-btn';
+                phantomBtn.textContent = '🧠 Add Phantom Vote';
+                phantomBtn.onclick = () => {
+                    this.manipulateVote(null, targetPlayer.id);
                     this.closePlayerActionModal();
                 };
-                actionsContainer.appendChild(investigateBtn);
+                actionsContainer.appendChild(phantomBtn);
+            
+                // Any ballot cast elsewhere can be moved onto this player
+                (this.currentVoteDetails || [])
+                    .filter(vote => vote.targetId !== targetPlayer.id && vote.voterId !== targetPlayer.id)
+                    .forEach(vote => {
+                        const redirectBtn = document.createElement('button');
+                        redirectBtn.className = 'action-option-btn manipulate-btn';
+                        redirectBtn.textContent = `🧠 Move ${vote.voterName}'s vote (on ${vote.targetName}) here`;
+                        redirectBtn.onclick = () => {
+                            this.manipulateVote(vote.voterId, targetPlayer.id);
+                            this.closePlayerActionModal();
+                        };
+                        actionsContainer.appendChild(redirectBtn);
+                    });
                 hasActions = true;
             }
+        
+            // Night phase actions
+            if (this.gameState.phase === 'night' && targetPlayer.alive) {
+                if (RoleRegistry.hasNightAction(this.playerRole, 'kill') && !this.mafiaTeammates.some(mate => mate.id === targetPlayer.id) && targetPlayer.id !== this.playerId) {
+                    const killBtn = document.createElement('button');
+                    killBtn.className = 'action-option-btn kill-btn';
+                    killBtn.textContent = '🗳️ Nominate for Elimination';
+                    killBtn.onclick = () => {
+                        this.nightAction('kill', targetPlayer.id);
+                        this.closePlayerActionModal();
+                    };
+                    actionsContainer.appendChild(killBtn);
+                    hasActions = true;
+                }
             
-            if (this.playerRole === 'doctor') {
-                // Doctor can protect anyone including themselves
-                const protectBtn = document.createElement('button');
-                protectBtn.className = 'action-option-btn protect-btn';
-                protectBtn.textContent = targetPlayer.id === this.playerId ? '💚 Protect Yourself' : '💚 Protect Player';
-                protectBtn.onclick = () => {
-                    this.nightAction('protect', targetPlayer.id);
-                    this.closePlayerActionModal();
-                };
-                actionsContainer.appendChild(protectBtn);
-                hasActions = true;
+                if (this.playerRole === 'detective' && targetPlayer.id !== this.playerId) {
+                    const investigateBtn = document.createElement('button');
+                    investigateBtn.className = 'action-option-btn investigate-btn';
+                    investigateBtn.textContent = '🔍 Investigate Player';
+                    investigateBtn.onclick = () => {
+                        this.nightAction('investigate', targetPlayer.id);
+                        this.closePlayerActionModal();
+                    };
+                    actionsContainer.appendChild(investigateBtn);
+                    hasActions = true;
+                }
+            
+                if (this.playerRole === 'white_police' && targetPlayer.id !== this.playerId) {
+                    const checkBtn = document.createElement('button');
+                    checkBtn.className = 'action-option-btn investigate-btn';
+                    checkBtn.textContent = '🚔 Check Alignment';
+                    checkBtn.onclick = () => {
+                        this.nightAction('investigateAlignment', targetPlayer.id);
+                        this.closePlayerActionModal();
+                    };
+                    actionsContainer.appendChild(checkBtn);
+                    hasActions = true;
+                }
+            
+                if (this.playerRole === 'black_police' && this.policeShotsLeft > 0) {
+                    const shootBtn = document.createElement('button');
+                    shootBtn.className = 'action-option-btn kill-btn';
+                    if (targetPlayer.id === this.playerId) {
+                        shootBtn.textContent = '🕊️ Hold Fire Tonight';
+                        shootBtn.onclick = () => {
+                            this.nightAction('shoot', null);
+                            this.closePlayerActionModal();
+                        };
+                    } else {
+                        shootBtn.textContent = `🔫 Shoot Player (${this.policeShotsLeft} left)`;
+                        shootBtn.onclick = () => {
+                            this.nightAction('shoot', targetPlayer.id);
+                            this.closePlayerActionModal();
+                        };
+                    }
+                    actionsContainer.appendChild(shootBtn);
+                    hasActions = true;
+                }
+            
+                if (this.playerRole === 'doctor') {
+                    // Doctor can protect anyone including themselves
+                    const protectBtn = document.createElement('button');
+                    protectBtn.className = 'action-option-btn protect-btn';
+                    protectBtn.textContent = targetPlayer.id === this.playerId ? '💚 Protect Yourself' : '💚 Protect Player';
+                    protectBtn.onclick = () => {
+                        this.nightAction('protect', targetPlayer.id);
+                        this.closePlayerActionModal();
+                    };
+                    actionsContainer.appendChild(protectBtn);
+                    hasActions = true;
+                }
+            
+                // Tonight's pick on this player can be withdrawn until the night locks in
+                const cancelLabels = { kill: 'Withdraw Nomination', protect: 'Cancel Protection', shoot: 'Cancel Shot' };
+                Object.entries(this.pendingNightActions)
+                    .filter(([, targetId]) => targetId === targetPlayer.id)
+                    .forEach(([action]) => {
+                        const cancelBtn = document.createElement('button');
+                        cancelBtn.className = 'action-option-btn cancel-action-btn';
+                        cancelBtn.textContent = `↩️ ${cancelLabels[action] || 'Cancel Action'}`;
+                        cancelBtn.onclick = () => {
+                            this.cancelNightAction(action);
+                            this.closePlayerActionModal();
+                        };
+                        actionsContainer.appendChild(cancelBtn);
+                        hasActions = true;
+                    });
             }
+        
+        }
+
+        // Removing a troll: the host kicks or bans, anyone else can call a vote-kick mid-game
+        if (this.appendKickActions(actionsContainer, targetPlayer)) {
+            hasActions = true;
         }
         
         if (!hasActions) {
@@ -1943,6 +2572,67 @@ class VelmoraGame {
         };
     }
 
+    // Kick / ban buttons for the host, a vote-kick button for everyone else
+    appendKickActions(container, targetPlayer) {
+        const target = (this.gameState.players || []).find(p => p.id === targetPlayer.id);
+        if (!target || target.isBot || target.id === this.playerId) return false;
+
+        const addButton = (text, onClick) => {
+            const btn = document.createElement('button');
+            btn.className = 'action-option-btn kick-btn';
+            btn.textContent = text;
+            btn.onclick = () => {
+                onClick();
+                this.closePlayerActionModal();
+            };
+            container.appendChild(btn);
+        };
+
+        if (this.isHost() || this.isModerator()) {
+            addButton('👢 Kick from Room', () => this.kickPlayer(target.id, target.name, false));
+            addButton('🚫 Kick and Ban', () => this.kickPlayer(target.id, target.name, true));
+            return true;
+        }
+        if (target.id !== this.gameState.hostId && !this.activeVoteKick && !this.isDead()) {
+            addButton('👢 Call a Vote-Kick', () => this.startVoteKick(target.id));
+            return true;
+        }
+        return false;
+    }
+
+    kickPlayer(playerId, playerName, ban) {
+        const reason = prompt(`${ban ? 'Ban' : 'Kick'} ${playerName}? Reason shown to them (optional):`, '');
+        if (reason === null) return;
+        this.socket.emit('kickPlayer', { roomCode: this.currentRoomCode, playerId, ban, reason });
+    }
+
+    startVoteKick(targetId) {
+        this.socket.emit('startVoteKick', { roomCode: this.currentRoomCode, targetId });
+    }
+
+    castVoteKick(approve) {
+        this.socket.emit('voteKick', { roomCode: this.currentRoomCode, approve });
+        this.activeVoteKick = { ...this.activeVoteKick, voted: true };
+        this.updateVoteKickBanner();
+    }
+
+    // Banner with the running vote-kick and yes/no buttons (the target and those who voted only see the count)
+    updateVoteKickBanner() {
+        const banner = document.getElementById('voteKickBanner');
+        if (!banner) return;
+        const voteKick = this.activeVoteKick;
+        if (!voteKick) {
+            banner.style.display = 'none';
+            return;
+        }
+        banner.style.display = '';
+        const count = voteKick.needed ? ` (${voteKick.yes || 0} yes / ${voteKick.no || 0} no, ${voteKick.needed} needed)` : '';
+        document.getElementById('voteKickText').textContent = `👢 Vote to kick ${voteKick.targetName}${count}`;
+        const canVote = !voteKick.voted && voteKick.targetId !== this.playerId && !this.isDead() && !this.isModerator();
+        document.getElementById('voteKickYesButton').style.display = canVote ? '' : 'none';
+        document.getElementById('voteKickNoButton').style.display = canVote ? '' : 'none';
+    }
+
     closePlayerActionModal() {
         const modal = document.getElementById('playerActionModal');
         if (modal) {
@@ -1969,6 +2659,25 @@ class VelmoraGame {
         this.updatePlayerTable();
     }
 
+    manipulateVote(voterId, targetId) {
+        if (this.isDead()) {
+            this.showToast('👻 You are eliminated and cannot act.', 'error');
+            return;
+        }
+        this.socket.emit('manipulateVote', {
+            roomCode: this.currentRoomCode,
+            voterId,
+            targetId
+        });
+    }
+
+    cancelNightAction(action) {
+        this.socket.emit('cancelNightAction', {
+            roomCode: this.currentRoomCode,
+            action
+        });
+    }
+
     nightAction(action, targetId) {
         if (this.isDead()) {
             this.showToast('👻 You are eliminated and cannot act.', 'error');
@@ -1984,7 +2693,8 @@ class VelmoraGame {
         this.updatePlayerTable();
     }
 
-    showInvestigationResultModal(targetName, result) {
+    // onShare (optional): adds a button that shares the result with the police chat
+    showInvestigationResultModal(targetName, result, onShare = null) {
         // Create investigation result modal
         const modal = document.createElement('div');
         modal.className = 'modal investigation-result-modal';
@@ -2015,7 +2725,7 @@ class VelmoraGame {
         title.style.fontSize = '24px';
 
         const resultText = document.createElement('p');
-        resultText.innerHTML = `<strong>${targetName}</strong> appears to be:<br/><span style="font-size: 20px; color: ${result === 'INNOCENT' ? '#4ecdc4' : '#e74c3c'};">${result}</span>`;
+        resultText.innerHTML = `<strong>${targetName}</strong> appears to be:<br/><span style="font-size: 20px; color: ${result === 'INNOCENT' || result === 'TOWN' ? '#4ecdc4' : '#e74c3c'};">${result}</span>`;
         resultText.style.color = '#ffffff';
         resultText.style.marginBottom = '25px';
         resultText.style.fontSize = '16px';
@@ -2045,6 +2755,24 @@ class VelmoraGame {
 
         content.appendChild(title);
         content.appendChild(resultText);
+        if (onShare) {
+            const shareButton = document.createElement('button');
+            shareButton.textContent = '🚔 Share with Police';
+            shareButton.style.backgroundColor = '#3182ce';
+            shareButton.style.color = '#ffffff';
+            shareButton.style.border = 'none';
+            shareButton.style.padding = '10px 20px';
+            shareButton.style.borderRadius = '5px';
+            shareButton.style.fontSize = '16px';
+            shareButton.style.fontWeight = 'bold';
+            shareButton.style.cursor = 'pointer';
+            shareButton.style.marginRight = '10px';
+            shareButton.onclick = () => {
+                onShare();
+                document.body.removeChild(modal);
+            };
+            content.appendChild(shareButton);
+        }
         content.appendChild(closeButton);
         modal.appendChild(content);
         document.body.appendChild(modal);
@@ -2097,8 +2825,10 @@ class VelmoraGame {
         });
         
         // Setup timer countdown
-        let timeLeft = 30;
+        let timeLeft = data.timeLimit || 30;
         const countdown = setInterval(() => {
+            // The server's deadline is held while the host has paused the game
+            if (this.gameState.paused) return;
             timeLeft--;
             if (timerDisplay) {
                 timerDisplay.textContent = `${timeLeft} seconds remaining`;
@@ -2235,6 +2965,12 @@ class VelmoraGame {
                 policeChatPanel.style.display = 'none';
             }
         }
+
+        // The dead move to the graveyard; the moderator watches from there too
+        const graveyardChatPanel = document.getElementById('graveyardChatPanel');
+        if (graveyardChatPanel) {
+            graveyardChatPanel.style.display = this.gameState.gameStarted && this.isSpectating() ? 'block' : 'none';
+        }
     }
 
     showRoleInfo(role, description) {
@@ -2358,6 +3094,9 @@ class VelmoraGame {
         // Show phase change message
         this.showToast(data.message, 'info');
         
+        // Every phase (and runoff) starts with a fresh ballot
+        this.myVoteTarget = null;
+        
         // Update background and styling based on phase
         document.body.className = `${data.phase}-phase`;
         
@@ -2368,14 +3107,25 @@ class VelmoraGame {
         
         // Play phase-specific actions
         if (data.phase === 'day') {
-            this.handleDayPhaseStart();
+            this.handleDayPhaseStart(data.stage);
+        } else if (data.phase === 'voting') {
+            this.showToast('🗳️ Voting Phase: Cast your vote before the timer runs out!', 'info');
+        } else if (data.phase === 'trial') {
+            this.trialVerdictCount = null;
+            if (data.accusedId === this.playerId) {
+                this.showToast(data.stage === 'defense'
+                    ? '⚖️ You are on the stand! Use the chat to defend yourself.'
+                    : '⚖️ The town is now voting on your fate...', 'warning');
+            }
         } else if (data.phase === 'night') {
             this.handleNightPhaseStart();
         }
     }
 
-    handleDayPhaseStart() {
-        this.showToast('☀️ Day Phase: Time for discussion and voting!', 'info');
+    handleDayPhaseStart(stage = null) {
+        this.showToast(stage === 'discussion'
+            ? '☀️ Day Phase: Discussion first, voting opens afterwards!'
+            : '☀️ Day Phase: Time for discussion and voting!', 'info');
         
         // Hide role info during day
         const roleInfo = document.getElementById('roleInfo');
@@ -2384,9 +3134,11 @@ class VelmoraGame {
         }
         
         // Show voting instructions after a brief delay
-        setTimeout(() => {
-            this.showToast('💭 Discuss, then cast your vote using the "Cast Vote" button', 'info');
-        }, 2000);
+        if (stage !== 'discussion') {
+            setTimeout(() => {
+                this.showToast('💭 Discuss, then cast your vote using the "Cast Vote" button', 'info');
+            }, 2000);
+        }
     }
 
     handleNightPhaseStart() {
@@ -2471,12 +3223,21 @@ class VelmoraGame {
             this.showToast(`🔻 ${data.eliminatedPlayer.name} was eliminated!`, 'error');
         } else if (data.type === 'suicideBomberDiscovered') {
             this.showToast(`💥 ${data.eliminatedPlayer.name} was discovered as a Suicide Bomber!`, 'warning');
-        } else if (data.type === 'tie') {
-            this.showToast('🤝 Voting ended in a tie - no elimination!', 'info');
+        } else if (data.type === 'nominated') {
+            this.showToast(`⚖️ ${data.accusedPlayer.name} was put on trial!`, 'warning');
+        } else if (data.type === 'tie' || data.type === 'runoff' || data.type === 'noLynch' || data.type === 'noMajority') {
+            this.showToast(`🤝 ${data.message}`, 'info');
         } else if (data.type === 'noVotes') {
             this.showToast('😴 No votes were cast - no elimination!', 'info');
         }
         
+        // Which voting rule decided it (majority, random tie-break, runoff...)
+        if (data.ruleMessage) {
+            this.addChatMessage('System', `🗳️ ${data.message} (${data.ruleMessage})`, false);
+        } else if (data.message) {
+            this.addChatMessage('System', `🗳️ ${data.message}`, false);
+        }
+        
         // Show detailed voting breakdown
         if (data.voteCounts && data.voteCounts.length > 0) {
             const breakdown = data.voteCounts
@@ -2599,6 +3360,89 @@ class VelmoraGame {
         // Use custom message if provided, otherwise use default format without revealing role
         const message = data.message || `${data.playerName} was eliminated!`;
         this.showToast(message, 'error');
+        this.showDeathReveal(data.playerName, data);
+        this.showLastWill(data.playerName, data.lastWill);
+    }
+
+    // Role or alignment of a dead player, as far as the room's reveal mode allows ('' when hidden)
+    describeReveal(info) {
+        if (!info) return '';
+        if (info.role) return RoleRegistry.getRoleDefinition(info.role)?.name || info.role;
+        if (info.alignment) return `${info.alignment.charAt(0).toUpperCase()}${info.alignment.slice(1)}-aligned`;
+        return '';
+    }
+
+    showDeathReveal(playerName, info) {
+        const reveal = this.describeReveal(info);
+        this.addChatMessage('System', reveal
+            ? `🪦 ${playerName} was ${reveal}.`
+            : `🪦 ${playerName}'s role stays hidden until the game is over.`, false);
+    }
+
+    // A dead player's last will is read out to the room
+    showLastWill(playerName, lastWill) {
+        this.addChatMessage('System', lastWill
+            ? `📜 ${playerName}'s last will: "${lastWill}"`
+            : `📜 ${playerName} left no last will.`, false);
+    }
+
+    saveLastWill() {
+        const input = document.getElementById('lastWillInput');
+        if (!input || this.isSpectating()) return;
+
+        this.socket.emit('updateLastWill', {
+            roomCode: this.currentRoomCode,
+            lastWill: input.value
+        });
+    }
+
+    // Editor is for living players in a running game; never overwrite what is being typed
+    updateLastWillPanel() {
+        const panel = document.getElementById('lastWillPanel');
+        const input = document.getElementById('lastWillInput');
+        if (!panel || !input) return;
+
+        const show = !!this.gameState.gameStarted && !this.isSpectating();
+        panel.style.display = show ? '' : 'none';
+        if (show && document.activeElement !== input) {
+            input.value = this.gameState.myLastWill || '';
+        }
+    }
+
+    // Narrator line and modkill list, only for the moderator
+    updateModeratorPanel() {
+        const panel = document.getElementById('moderatorPanel');
+        if (!panel) return;
+
+        const show = this.isModerator() && this.gameState.phase !== 'gameOver';
+        panel.style.display = show ? '' : 'none';
+        if (!show) return;
+
+        const select = document.getElementById('modkillSelect');
+        if (select) {
+            const alive = this.gameState.alivePlayers || [];
+            const current = select.value;
+            select.innerHTML = alive.map(p => `<option value="${p.id}">${this.escapeHtml(p.name)}</option>`).join('');
+            if (alive.some(p => p.id === current)) select.value = current;
+        }
+    }
+
+    sendNarratorMessage() {
+        const input = document.getElementById('narratorInput');
+        if (!input || !this.isModerator()) return;
+        const message = input.value.trim();
+        if (!message) return;
+        this.socket.emit('narratorMessage', { roomCode: this.currentRoomCode, message });
+        input.value = '';
+    }
+
+    modkillSelectedPlayer() {
+        const select = document.getElementById('modkillSelect');
+        if (!select || !select.value || !this.isModerator()) return;
+        const name = select.options[select.selectedIndex]?.textContent || 'this player';
+        if (confirm(`Remove ${name} from the game? This cannot be undone.`)) {
+            this.socket.emit('moderatorModkill', { roomCode: this.currentRoomCode, targetId: select.value });
+        }
     }
 
     handleGameOver(data) {
@@ -2614,6 +3458,44 @@ class VelmoraGame {
         
         // Show the game over modal overlay (includes countdown and auto-return)
         this.showGameOverScreen(data.winner, data.message, data.survivors, data.winStats);
+        this.showFallenReveal(data.revealedPlayers);
+        this.showManipulationReveal(data.manipulations);
+        this.showNeutralWinners(data.neutralWinners);
+    }
+
+    // Every role comes out at game over, including the dead kept hidden by the reveal mode
+    showFallenReveal(revealedPlayers) {
+        const gameOverMessage = document.getElementById('gameOverMessage');
+        const fallen = (revealedPlayers || []).filter(p => !p.alive);
+        if (!gameOverMessage || fallen.length === 0) return;
+        
+        gameOverMessage.textContent += `\n\n🪦 The Fallen:\n${fallen.map(p => `• ${p.name} (${this.describeReveal(p)})`).join('\n')}`;
+        gameOverMessage.style.whiteSpace = 'pre-line';
+    }
+
+    // Neutral roles that met their own goal (Gray Police who stayed gray, a lynched Jester) also win
+    showNeutralWinners(neutralWinners) {
+        const gameOverMessage = document.getElementById('gameOverMessage');
+        if (!gameOverMessage || !neutralWinners || neutralWinners.length === 0) return;
+        
+        gameOverMessage.textContent += `\n\n🔘 Neutral winners: ${neutralWinners.map(p => p.name).join(', ')}`;
+        gameOverMessage.style.whiteSpace = 'pre-line';
+    }
+
+    // Post-game reveal of the Manipulator's vote tampering
+    showManipulationReveal(manipulations) {
+        const gameOverMessage = document.getElementById('gameOverMessage');
+        if (!gameOverMessage || !manipulations || manipulations.length === 0) return;
+        
+        let reveal = `\n\n🧠 Manipulated Votes:\n`;
+        manipulations.forEach(m => {
+            const what = m.type === 'redirect'
+                ? `moved ${m.voterName}'s vote from ${m.originalTargetName} to ${m.targetName}`
+                : `added a phantom vote against ${m.targetName}`;
+            reveal += `• Day ${m.day}: ${m.manipulatorName} ${what}${m.applied ? '' : ' (no effect)'}\n`;
+        });
+        gameOverMessage.textContent += reveal;
+        gameOverMessage.style.whiteSpace = 'pre-line';
     }
 
     returnToLobby() {
@@ -2719,10 +3601,16 @@ class VelmoraGame {
         const message = chatInput.value.trim();
         
         if (message) {
-            if (this.isDead()) {
+            if (this.isDead() && !this.hasLastWords()) {
                 this.showToast('👻 You are eliminated and cannot chat.', 'error');
                 return;
             }
+            if (this.isDayChatSilenced()) {
+                this.showToast(this.gameState.lastWords
+                    ? '💬 Only the eliminated player may speak during their last words.'
+                    : '⚖️ Only the accused may speak during their defense.', 'error');
+                return;
+            }
             // Send chat message to server
             this.socket.emit('chatMessage', {
                 roomCode: this.currentRoomCode,
@@ -2863,6 +3751,101 @@ class VelmoraGame {
             });
         }
         
+        const manipulatorUsesInput = document.getElementById('manipulatorUsesInput');
+        if (manipulatorUsesInput) {
+            manipulatorUsesInput.value = this.gameState.settings.manipulatorUses || 2;
+        }
+        
+        const blackPoliceAmmoInput = document.getElementById('blackPoliceAmmoInput');
+        if (blackPoliceAmmoInput) {
+            blackPoliceAmmoInput.value = this.gameState.settings.blackPoliceAmmo ?? 1;
+        }
+        
+        const grayPoliceDeadlineInput = document.getElementById('grayPoliceDeadlineInput');
+        if (grayPoliceDeadlineInput) {
+            grayPoliceDeadlineInput.value = this.gameState.settings.grayPoliceDeadline ?? 60;
+        }
+        
+        const grayPoliceTimeoutSelect = document.getElementById('grayPoliceTimeoutSelect');
+        if (grayPoliceTimeoutSelect) {
+            grayPoliceTimeoutSelect.value = this.gameState.settings.grayPoliceTimeout || 'random';
+        }
+        
+        const mafiaKillModeSelect = document.getElementById('mafiaKillModeSelect');
+        if (mafiaKillModeSelect) {
+            mafiaKillModeSelect.value = this.gameState.settings.mafiaKillMode || 'majority';
+        }
+        
+        const mafiaKillTieRuleSelect = document.getElementById('mafiaKillTieRuleSelect');
+        if (mafiaKillTieRuleSelect) {
+            mafiaKillTieRuleSelect.value = this.gameState.settings.mafiaKillTieRule || 'random';
+        }
+        
+        const moderatorModeToggle = document.getElementById('moderatorModeToggle');
+        if (moderatorModeToggle) {
+            moderatorModeToggle.checked = !!this.gameState.settings.moderatorMode;
+        }
+
+        const splitDayToggle = document.getElementById('splitDayToggle');
+        if (splitDayToggle) {
+            splitDayToggle.checked = !!this.gameState.settings.splitDayPhases;
+        }
+        
+        const trialModeToggle = document.getElementById('trialModeToggle');
+        if (trialModeToggle) {
+            trialModeToggle.checked = !!this.gameState.settings.trialMode;
+        }
+        
+        const allowNoLynchToggle = document.getElementById('allowNoLynchToggle');
+        if (allowNoLynchToggle) {
+            allowNoLynchToggle.checked = !!this.gameState.settings.allowNoLynch;
+        }
+        
+        const lynchThresholdSelect = document.getElementById('lynchThresholdSelect');
+        if (lynchThresholdSelect) {
+            lynchThresholdSelect.value = this.gameState.settings.lynchThreshold || 'plurality';
+        }
+        
+        const voteTieRuleSelect = document.getElementById('voteTieRuleSelect');
+        if (voteTieRuleSelect) {
+            voteTieRuleSelect.value = this.gameState.settings.voteTieRule || 'none';
+        }
+        
+        const roleRevealModeSelect = document.getElementById('roleRevealModeSelect');
+        if (roleRevealModeSelect) {
+            roleRevealModeSelect.value = this.gameState.settings.roleRevealMode || 'role';
+        }
+        
+        const afkPhaseLimitInput = document.getElementById('afkPhaseLimitInput');
+        if (afkPhaseLimitInput) {
+            afkPhaseLimitInput.value = this.gameState.settings.afkPhaseLimit ?? 0;
+        }
+        
+        const afkActionSelect = document.getElementById('afkActionSelect');
+        if (afkActionSelect) {
+            afkActionSelect.value = this.gameState.settings.afkAction || 'modkill';
+        }
+        
+        const afkRevealModeSelect = document.getElementById('afkRevealModeSelect');
+        if (afkRevealModeSelect) {
+            afkRevealModeSelect.value = this.gameState.settings.afkRevealMode || '';
+        }
+        
+        const durationDefaults = { dayDuration: 120, votingDuration: 60, nightDuration: 60, suicideBomberDuration: 30, defenseDuration: 30, verdictDuration: 20, lastWordsDuration: 15 };
+        Object.entries(durationDefaults).forEach(([setting, fallback]) => {
+            const input = document.getElementById(`${setting}Input`);
+            if (input) {
+                input.value = this.gameState.settings[setting] || fallback;
+            }
+        });
+        
+        const investigationPresetSelect = document.getElementById('investigationPresetSelect');
+        if (investigationPresetSelect) {
+            investigationPresetSelect.value = this.gameState.settings.investigationPreset || 'classic';
+        }
+        this.renderInvestigationMatrix();
+        this.renderRoleSetup();
+        
         if (autoPoliceToggle) {
             autoPoliceToggle.checked = this.gameState.settings.autoPoliceRoles !== false; // Default true
             autoPoliceToggle.addEventListener('change', () => {
@@ -2962,6 +3945,169 @@ class VelmoraGame {
         }
     }
 
+    // Investigation matrix: editable rows for the host, a summary line for everyone
+    renderInvestigationMatrix() {
+        const settings = this.gameState.settings || {};
+        const matrix = settings.investigationMatrix || {};
+        const resultLabels = { innocent: 'Innocent', suspicious: 'Suspicious', exact: 'Exact role' };
+        const roleLabel = (role) => role.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+        
+        const rows = document.getElementById('investigationMatrixRows');
+        if (rows) {
+            rows.innerHTML = '';
+            Object.entries(matrix).forEach(([role, result]) => {
+                const row = document.createElement('div');
+                row.className = 'setting-item';
+                const label = document.createElement('label');
+                label.textContent = `${roleLabel(role)}:`;
+                const select = document.createElement('select');
+                select.dataset.role = role;
+                Object.entries(resultLabels).forEach(([value, text]) => {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = text;
+                    select.appendChild(option);
+                });
+                select.value = result;
+                row.appendChild(label);
+                row.appendChild(select);
+                rows.appendChild(row);
+            });
+        }
+        
+        const info = document.getElementById('investigationMatrixInfo');
+        const summary = document.getElementById('investigationMatrixSummary');
+        if (info && summary) {
+            const notable = Object.entries(matrix)
+                .filter(([, result]) => result !== 'innocent')
+                .map(([role, result]) => `${roleLabel(role)} → ${resultLabels[result]}`);
+            let text = `🔍 Investigations: ${notable.length > 0 ? notable.join(', ') : 'everyone reads Innocent'}`;
+            if (notable.length > 0) text += '; everyone else reads Innocent';
+            if (settings.investigationPreset === 'godfather') text += '. Godfather: one Mafia member reads Innocent';
+            summary.textContent = text;
+            info.style.display = Object.keys(matrix).length > 0 ? 'block' : 'none';
+        }
+    }
+
+    // Custom role setup editor: one count per role (Civilians fill the rest), plus setups saved in this browser
+    setupRoleSetupEditor() {
+        const modeSelect = document.getElementById('roleSetupModeSelect');
+        const rows = document.getElementById('roleSetupRows');
+        const saveButton = document.getElementById('saveRoleSetupButton');
+        const savedSelect = document.getElementById('savedRoleSetupsSelect');
+        const deleteButton = document.getElementById('deleteRoleSetupButton');
+        if (!modeSelect || !rows || typeof RoleRegistry === 'undefined') return;
+        
+        // Civilians fill the rest; the legacy Police / Corrupt Police are replaced by the colored police roles
+        const hiddenRoles = [RoleRegistry.ROLES.CIVILIAN, RoleRegistry.ROLES.POLICE, RoleRegistry.ROLES.CORRUPT_POLICE];
+        Object.entries(RoleRegistry.ROLE_DEFINITIONS)
+            .filter(([role]) => !hiddenRoles.includes(role))
+            .forEach(([role, definition]) => {
+                const row = document.createElement('div');
+                row.className = 'setting-item';
+                const label = document.createElement('label');
+                label.textContent = `${definition.name}:`;
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = '0';
+                input.max = '20';
+                input.value = '0';
+                input.dataset.role = role;
+                input.addEventListener('input', () => this.updateRolePreview());
+                row.appendChild(label);
+                row.appendChild(input);
+                rows.appendChild(row);
+            });
+        
+        modeSelect.addEventListener('change', () => {
+            document.getElementById('roleSetupCustom').style.display = modeSelect.value === 'custom' ? 'block' : 'none';
+            this.updateRolePreview();
+        });
+        
+        saveButton?.addEventListener('click', () => {
+            const nameInput = document.getElementById('roleSetupNameInput');
+            const name = nameInput.value.trim();
+            if (!name) {
+                this.showToast('Give the setup a name first', 'error');
+                return;
+            }
+            const setups = this.getSavedRoleSetups();
+            setups[name] = this.getRoleSetupFromInputs(true).roles;
+            localStorage.setItem('velmoraRoleSetups', JSON.stringify(setups));
+            nameInput.value = '';
+            this.renderSavedRoleSetups(name);
+            this.showToast(`Saved role setup "${name}"`, 'success');
+        });
+        
+        savedSelect?.addEventListener('change', () => {
+            const roles = this.getSavedRoleSetups()[savedSelect.value];
+            if (roles) {
+                this.fillRoleSetupInputs(roles);
+                this.updateRolePreview();
+            }
+        });
+        
+        deleteButton?.addEventListener('click', () => {
+            const setups = this.getSavedRoleSetups();
+            if (!setups[savedSelect.value]) return;
+            delete setups[savedSelect.value];
+            localStorage.setItem('velmoraRoleSetups', JSON.stringify(setups));
+            this.renderSavedRoleSetups();
+        });
+        
+        this.renderSavedRoleSetups();
+    }
+
+    getSavedRoleSetups() {
+        try {
+            return JSON.parse(localStorage.getItem('velmoraRoleSetups') || '{}');
+        } catch (e) {
+            return {};
+        }
+    }
+
+    renderSavedRoleSetups(selected = '') {
+        const savedSelect = document.getElementById('savedRoleSetupsSelect');
+        if (!savedSelect) return;
+        savedSelect.innerHTML = '<option value="">Saved setups...</option>';
+        Object.keys(this.getSavedRoleSetups()).forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            savedSelect.appendChild(option);
+        });
+        savedSelect.value = selected;
+    }
+
+    fillRoleSetupInputs(roles = {}) {
+        document.querySelectorAll('#roleSetupRows input[data-role]').forEach(input => {
+            input.value = roles[input.dataset.role] || 0;
+        });
+    }
+
+    // Current editor contents as { roles: { role: count } }, or null in Automatic mode
+    getRoleSetupFromInputs(ignoreMode = false) {
+        const modeSelect = document.getElementById('roleSetupModeSelect');
+        if (!ignoreMode && modeSelect?.value !== 'custom') return null;
+        const roles = {};
+        document.querySelectorAll('#roleSetupRows input[data-role]').forEach(input => {
+            const count = parseInt(input.value);
+            if (count > 0) roles[input.dataset.role] = count;
+        });
+        return { roles };
+    }
+
+    // Show the room's role setup in the editor
+    renderRoleSetup() {
+        const modeSelect = document.getElementById('roleSetupModeSelect');
+        const custom = document.getElementById('roleSetupCustom');
+        if (!modeSelect || !custom) return;
+        const roleSetup = this.gameState.settings?.roleSetup;
+        modeSelect.value = roleSetup ? 'custom' : 'auto';
+        custom.style.display = roleSetup ? 'block' : 'none';
+        this.fillRoleSetupInputs(roleSetup?.roles);
+    }
+
     updateRolePreview() {
         const maxPlayersInput = document.getElementById('maxPlayersInput');
         const mafiaCountInput = document.getElementById('mafiaCountInput');
@@ -2970,6 +4116,23 @@ class VelmoraGame {
         const autoPoliceToggle = document.getElementById('autoPoliceToggle');
         const rolePreview = document.getElementById('rolePreview');
         
+        // Custom setup: list exactly what the host picked
+        const roleSetup = this.getRoleSetupFromInputs();
+        if (maxPlayersInput && rolePreview && roleSetup && typeof RoleRegistry !== 'undefined') {
+            const maxPlayers = parseInt(maxPlayersInput.value) || 10;
+            const plural = (name, count) => (count > 1 && !/(Mafia|Police)$/.test(name)) ? `${name}s` : name;
+            const parts = Object.entries(roleSetup.roles)
+                .map(([role, count]) => `${count} ${plural(RoleRegistry.getRoleDefinition(role).name, count)}`);
+            const civilians = maxPlayers - Object.values(roleSetup.roles).reduce((sum, count) => sum + count, 0);
+            if (civilians > 0) {
+                parts.push(`rest Civilian (${civilians} at ${maxPlayers} players)`);
+            } else if (civilians < 0) {
+                parts.push(`⚠️ ${-civilians} more roles than players`);
+            }
+            rolePreview.textContent = parts.join(', ');
+            return;
+        }
+        
         if (maxPlayersInput && mafiaCountInput && rolePreview) {
             const maxPlayers = parseInt(maxPlayersInput.value) || 10;
             const mafiaCount = parseInt(mafiaCountInput.value) || 2;
@@ -3090,6 +4253,51 @@ class VelmoraGame {
     }
 
     // Game loop for canvas rendering
+    // Day covers both sub-phases when the host splits it into discussion and voting
+    isDaytime() {
+        return this.gameState.phase === 'day' || this.gameState.phase === 'voting';
+    }
+
+    // Ballots are accepted in the voting sub-phase, or all day when the day is not split
+    isVotingOpen() {
+        return this.gameState.phase === 'voting' || (this.gameState.phase === 'day' && !this.gameState.settings?.splitDayPhases);
+    }
+
+    // Living players other than yourself, limited to the tied players during a runoff
+    canVoteFor(targetPlayer) {
+        if (!this.isVotingOpen() || !targetPlayer.alive || targetPlayer.id === this.playerId) return false;
+        const runoff = this.gameState.runoff;
+        return !runoff || runoff.candidates.includes(targetPlayer.id);
+    }
+
+    // One line on how today's vote is decided
+    describeVotingRules() {
+        const settings = this.gameState.settings || {};
+        const threshold = settings.lynchThreshold === 'majority' ? 'a majority of the living' : 'the most votes';
+        const ties = { random: 'ties are broken at random', runoff: 'ties go to a runoff' }[settings.voteTieRule] || 'ties mean no elimination';
+        const skip = settings.allowNoLynch ? ', "No lynch" is allowed' : '';
+        return `Needs ${threshold}, ${ties}${skip}`;
+    }
+
+    updateNoLynchButton() {
+        const button = document.getElementById('noLynchButton');
+        if (!button) return;
+
+        const show = this.isVotingOpen() && !this.isSpectating() && !!this.gameState.settings?.allowNoLynch;
+        button.style.display = show ? '' : 'none';
+        button.classList.toggle('selected', show && this.myVoteTarget === 'no_lynch');
+    }
+
+    // The host running the game without a role
+    isModerator() {
+        return !!this.gameState?.gameStarted && !!this.playerId && this.gameState.moderatorId === this.playerId;
+    }
+
+    // Watching rather than playing: eliminated, or moderating
+    isSpectating() {
+        return this.isDead() || this.isModerator();
+    }
+
     isDead() {
         const dead = this.gameState && Array.isArray(this.gameState.deadPlayers) ? this.gameState.deadPlayers : [];
         if (dead.length === 0) return false;
@@ -3296,7 +4504,7 @@ class VelmoraGame {
         // Draw phase-specific effects (sun/moon/stars)
         if (this.gameState.phase === 'night') {
             this.drawNightEffects();
-        } else if (this.gameState.phase === 'day') {
+        } else if (this.isDaytime()) {
             this.drawDayEffects();
         }
     }
@@ -3535,7 +4743,7 @@ class VelmoraGame {
         this.ctx.shadowOffsetX = 2;
         this.ctx.shadowOffsetY = 2;
         
-        if (this.gameState.phase === 'day') {
+        if (this.isDaytime()) {
             this.ctx.fillText('☀️', centerX, centerY - 20);
         } else if (this.gameState.phase === 'night') {
             this.ctx.fillText('🌙', centerX, centerY - 20);
@@ -3543,10 +4751,13 @@ class VelmoraGame {
             this.ctx.fillText('🏛️', centerX, centerY - 20);
         }
         
-        // Draw center text
+        // Draw center text (the accused's name while a trial is running)
         this.ctx.font = (this.getIsMobile && this.getIsMobile()) ? 'bold 18px Arial' : 'bold 20px Arial';
         this.ctx.fillStyle = '#ffd700';
-        this.ctx.fillText('Volmora', centerX, centerY + 20);
+        const centerText = this.gameState.trial
+            ? `⚖️ ${this.getPlayerName(this.gameState.trial.accusedId)}`
+            : 'Volmora';
+        this.ctx.fillText(centerText, centerX, centerY + 20);
         
         // Draw phase info
         this.ctx.font = (this.getIsMobile && this.getIsMobile()) ? 'bold 12px Arial' : 'bold 14px Arial';
@@ -3631,6 +4842,9 @@ class VelmoraGame {
             this.ctx.textAlign = 'center';
             this.ctx.fillStyle = player.id === this.playerId ? '#2d3748' : '#ffffff';
             let displayName = player.id === this.playerId ? 'You' : player.name;
+            if (this.gameState.players?.find(p => p.id === player.id)?.disconnected) {
+                displayName += ' 📵';
+            }
             
             // Show role for mafia members (so they can identify each other)
             if (this.playerRole === 'mafia' && this.mafiaTeammates.some(mate => mate.id === player.id)) {
@@ -3638,6 +4852,16 @@ class VelmoraGame {
             }
             
             this.ctx.fillText(displayName, x, y + 3);
+            
+            // Dead seats show whatever the reveal mode allows; spectators in the graveyard see every role
+            const reveal = !player.alive ? this.describeReveal(player)
+                : this.isSpectating() ? this.describeReveal(this.gameState.players?.find(p => p.id === player.id))
+                : '';
+            if (reveal) {
+                this.ctx.font = '9px Arial';
+                this.ctx.fillStyle = '#e2e8f0';
+                this.ctx.fillText(reveal, x, y + seatSize / 2 + 12);
+            }
 
             // Ensure seats remain inside canvas; clamp Y
             if (y + seatSize / 2 > this.canvas.height - 2) {
@@ -3667,6 +4891,21 @@ class VelmoraGame {
                 this.ctx.shadowBlur = 0;
             }
             
+            // The accused stands out while on trial
+            if (this.gameState.trial && this.gameState.trial.accusedId === player.id) {
+                this.ctx.shadowColor = '#ffd700';
+                this.ctx.shadowBlur = 20;
+                this.ctx.strokeStyle = '#ffd700';
+                this.ctx.lineWidth = 3;
+                this.ctx.beginPath();
+                this.ctx.arc(x, y, seatSize / 2 + 11, 0, 2 * Math.PI);
+                this.ctx.stroke();
+                this.ctx.shadowColor = 'transparent';
+                this.ctx.shadowBlur = 0;
+                this.ctx.font = 'bold 16px Arial';
+                this.ctx.fillText('⚖️', x - 20, y - 20);
+            }
+            
             // Special mafia glow for mafia members (to identify each other)
             if (this.playerRole === 'mafia' && this.mafiaTeammates.some(mate => mate.id === player.id)) {
                 this.ctx.shadowColor = '#e53e3e';
@@ -3682,7 +4921,7 @@ class VelmoraGame {
         });
         
         // Draw voting arrows/connections during day phase
-        if (this.gameState.phase === 'day' && this.currentVoteDetails && this.currentVoteDetails.length > 0) {
+        if (this.isDaytime() && this.currentVoteDetails && this.currentVoteDetails.length > 0) {
             this.drawVotingConnections(allPlayers, centerX, centerY, playerRadius);
         }
     }
@@ -3886,9 +5125,9 @@ class VelmoraGame {
          
          // Draw instructions based on role and phase (omit in compact mode)
          let instruction = '';
-         if (this.gameState.phase === 'day' && !this.isDead()) {
+         if (this.isVotingOpen() && !this.isSpectating()) {
              instruction = '💬 Click players to vote for elimination';
-         } else if (this.gameState.phase === 'night' && !this.isDead()) {
+         } else if (this.gameState.phase === 'night' && !this.isSpectating()) {
              if (this.playerRole === 'mafia') {
                  instruction = '🔪 Choose a player to eliminate (processed at dawn)';
              } else if (this.playerRole === 'detective') {
@@ -3898,6 +5137,8 @@ class VelmoraGame {
              } else {
                  instruction = '😴 Wait for other players to complete their actions';
              }
+         } else if (this.isModerator()) {
+             instruction = '📜 You are moderating this game';
          } else if (this.isDead()) {
              instruction = '👻 You are dead - watch the game unfold';
          }
@@ -3905,7 +5146,7 @@ class VelmoraGame {
          // Skip drawing instruction line to keep panel ultra-compact
          
          // Draw dynamic voting information during day phase
-         if (this.gameState.phase === 'day' && this.votingVisualizationData && this.votingVisualizationData.voteDetails.length > 0) {
+         if (this.isDaytime() && this.votingVisualizationData && this.votingVisualizationData.voteDetails.length > 0) {
              this.drawVotingStatus(panelX, panelY, panelWidth, panelHeight);
          }
      }
@@ -4041,6 +5282,12 @@ class VelmoraGame {
         if (policeMessages) {
             policeMessages.innerHTML = '';
         }
+
+        // Clear graveyard chat messages
+        const graveyardMessages = document.getElementById('graveyardMessages');
+        if (graveyardMessages) {
+            graveyardMessages.innerHTML = '';
+        }
     }
 
     // Comic System Methods
@@ -4833,30 +6080,50 @@ class VelmoraGame {
             roleText = ` • ${roleName}`;
         }
         let hint = '';
-        if (!this.isDead()) {
-            if (phase === 'day') hint = ' • Vote during day';
+        if (this.gameState?.paused) {
+            hint = ' • Paused by host';
+        } else if (!this.isSpectating()) {
+            if (phase === 'voting' || (phase === 'day' && !this.gameState.settings?.splitDayPhases)) hint = ' • Vote during day';
+            else if (phase === 'day') hint = ' • Discuss - voting opens soon';
             else if (phase === 'night') {
                 if (this.playerRole === 'mafia') hint = ' • Choose a target';
                 else if (this.playerRole === 'detective') hint = ' • Investigate a player';
                 else if (this.playerRole === 'doctor') hint = ' • Protect someone';
             }
         } else {
-            hint = ' • You are eliminated';
+            hint = this.isModerator() ? ' • Moderating' : ' • You are eliminated';
         }
         bar.textContent = `${phase.toUpperCase()} • ${timerText}${roleText}${hint}`;
         bar.style.display = 'block';
     }
 
+    // A voted-out player keeps the day chat for their last words
+    hasLastWords() {
+        return this.gameState.lastWords?.playerId === this.playerId;
+    }
+
+    // The day chat belongs to the accused during their defense, or to a voted-out player's last words
+    isDayChatSilenced() {
+        const { trial, lastWords } = this.gameState;
+        if (lastWords) return lastWords.playerId !== this.playerId;
+        return !!trial && trial.stage === 'defense' && trial.accusedId !== this.playerId;
+    }
+
     updateChatInputs() {
         try {
             const dead = this.isDead();
+            const silenced = this.isDayChatSilenced();
+            const chatDead = dead && !this.hasLastWords();
             const chatInput = document.getElementById('chatInput');
             const sendChatButton = document.getElementById('sendChatButton');
             if (chatInput) {
-                chatInput.disabled = !!dead;
-                chatInput.placeholder = dead ? 'Eliminated — cannot chat' : 'Type a message...';
+                chatInput.disabled = !!chatDead || silenced;
+                chatInput.placeholder = chatDead ? 'Eliminated — use the graveyard chat'
+                    : this.hasLastWords() ? 'Your last words...'
+                    : silenced && this.gameState.lastWords ? 'Last words are being spoken...'
+                    : silenced ? 'The accused is making their defense...' : 'Type a message...';
             }
-            if (sendChatButton) sendChatButton.disabled = !!dead;
+            if (sendChatButton) sendChatButton.disabled = !!chatDead || silenced;
             const mafiaInput = document.getElementById('mafiaInput');
             const sendMafiaChatButton = document.getElementById('sendMafiaChatButton');
             if (mafiaInput) {
@@ -4889,6 +6156,27 @@ class VelmoraGame {
         }
     }
 
+    sendGraveyardChat() {
+        const input = document.getElementById('graveyardInput');
+        if (!input) return;
+        const text = input.value.trim();
+        if (!text || text.length > 200) return;
+        if (this.currentRoomCode) {
+            this.socket.emit('graveyardChatMessage', { roomCode: this.currentRoomCode, message: text });
+            input.value = '';
+        }
+    }
+
+    addGraveyardChatMessage(playerName, message, own, spectator = false) {
+        const list = document.getElementById('graveyardMessages');
+        if (!list) return;
+        const div = document.createElement('div');
+        div.className = spectator ? 'chat-message spectator-event' : own ? 'chat-message own' : 'chat-message';
+        div.innerHTML = `<strong>${this.escapeHtml(playerName)}</strong>: ${this.escapeHtml(message)}`;
+        list.appendChild(div);
+        list.scrollTop = list.scrollHeight;
+    }
+
     addPoliceChatMessage(playerName, message, own) {
         const list = document.getElementById('policeMessages');
         if (!list) return;
@@ -4899,9 +6187,11 @@ class VelmoraGame {
         list.scrollTop = list.scrollHeight;
     }
 
-    showPoliceAlignmentChoice() {
+    showPoliceAlignmentChoice(data = {}) {
+        this.closePoliceAlignmentChoice();
         // Simple inline modal using existing modal styles
         const modal = document.createElement('div');
+        modal.id = 'policeAlignmentModal';
         modal.className = 'modal';
         modal.style.display = 'flex';
         const content = document.createElement('div');
@@ -4909,7 +6199,27 @@ class VelmoraGame {
         const title = document.createElement('h3');
         title.textContent = 'Choose Police Alignment';
         const desc = document.createElement('p');
-        desc.textContent = 'You currently appear as Gray Police. Choose to align with White (Town) or Black (Mafia).';
+        desc.textContent = 'You currently appear as Gray Police. Choose to align with White (Town) or Black (Mafia), or stay Gray and win by surviving.';
+        content.appendChild(title);
+        content.appendChild(desc);
+        
+        // Countdown to the decision deadline
+        if (data.deadline > 0) {
+            const timeoutLabels = { random: 'a random side', white: 'White Police', black: 'Black Police', gray: 'staying Gray' };
+            const countdown = document.createElement('p');
+            countdown.style.fontWeight = 'bold';
+            let secondsLeft = data.deadline;
+            const render = () => {
+                countdown.textContent = `⏰ ${secondsLeft}s left - undecided players get ${timeoutLabels[data.timeoutChoice] || 'a random side'}`;
+            };
+            render();
+            this.policeAlignmentInterval = setInterval(() => {
+                secondsLeft = Math.max(0, secondsLeft - 1);
+                render();
+            }, 1000);
+            content.appendChild(countdown);
+        }
+        
         const actions = document.createElement('div');
         actions.style.display = 'flex';
         actions.style.gap = '0.5rem';
@@ -4920,17 +6230,31 @@ class VelmoraGame {
         const blackBtn = document.createElement('button');
         blackBtn.className = 'btn-secondary';
         blackBtn.textContent = 'Become Black Police';
-        whiteBtn.onclick = () => { this.choosePoliceAlignment('white'); document.body.removeChild(modal); };
-        blackBtn.onclick = () => { this.choosePoliceAlignment('black'); document.body.removeChild(modal); };
+        const grayBtn = document.createElement('button');
+        grayBtn.className = 'btn-secondary';
+        grayBtn.textContent = 'Stay Gray';
+        whiteBtn.onclick = () => { this.choosePoliceAlignment('white'); this.closePoliceAlignmentChoice(); };
+        blackBtn.onclick = () => { this.choosePoliceAlignment('black'); this.closePoliceAlignmentChoice(); };
+        grayBtn.onclick = () => { this.choosePoliceAlignment('gray'); this.closePoliceAlignmentChoice(); };
         actions.appendChild(whiteBtn);
         actions.appendChild(blackBtn);
-        content.appendChild(title);
-        content.appendChild(desc);
+        actions.appendChild(grayBtn);
         content.appendChild(actions);
         modal.appendChild(content);
         document.body.appendChild(modal);
     }
 
+    closePoliceAlignmentChoice() {
+        if (this.policeAlignmentInterval) {
+            clearInterval(this.policeAlignmentInterval);
+            this.policeAlignmentInterval = null;
+        }
+        const modal = document.getElementById('policeAlignmentModal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
     choosePoliceAlignment(alignment) {
         if (!this.currentRoomCode) return;
         this.socket.emit('choosePoliceAlignment', { roomCode: this.currentRoomCode, alignment });
@@ -0,0 +1,356 @@
+// Role Registry for The Fall of Velmora
+// Every role declares its alignment, abilities, chat access and win condition here,
+// so rules code asks the registry instead of comparing role names.
+
+const ROLES = {
+    MAFIA: 'mafia',
+    DETECTIVE: 'detective',
+    CIVILIAN: 'civilian',
+    DOCTOR: 'doctor',
+    POLICE: 'police',
+    CORRUPT_POLICE: 'corrupt_police',
+    // New roles
+    SUICIDE_BOMBER: 'suicide_bomber',
+    MANIPULATOR: 'manipulator',
+    WHITE_POLICE: 'white_police',
+    BLACK_POLICE: 'black_police',
+    GRAY_POLICE: 'gray_police',
+    JESTER: 'jester'
+};
+
+const ALIGNMENTS = {
+    TOWN: 'town',
+    MAFIA: 'mafia',
+    NEUTRAL: 'neutral'
+};
+
+// Dawn resolution order: every queued night action resolves in the order of its
+// stage (blocks first, then protections, kills and finally investigations).
+const NIGHT_STAGES = ['block', 'protect', 'kill', 'investigate'];
+
+// Night action types. scope 'team' means one shared action for the whole team,
+// scope 'player' means every holder of the role acts on their own.
+// stage places the action in the dawn resolution order (see NIGHT_STAGES); immediate
+// actions skip the queue and resolve (finally) the moment they are submitted.
+// usesSetting names the room setting that caps uses per game; canPass lets the
+// player decline the action for the night (sent without a target); changeable lets
+// the player switch or cancel the target until the night locks in (otherwise final).
+const NIGHT_ACTIONS = {
+    kill: { scope: 'team', stage: 'kill', allowSelfTarget: false, changeable: true },
+    investigate: { scope: 'player', stage: 'investigate', allowSelfTarget: false, immediate: true },
+    investigateAlignment: { scope: 'player', stage: 'investigate', allowSelfTarget: false, immediate: true },
+    protect: { scope: 'player', stage: 'protect', allowSelfTarget: true, changeable: true },
+    shoot: { scope: 'player', stage: 'kill', allowSelfTarget: false, usesSetting: 'blackPoliceAmmo', canPass: true, changeable: true }
+};
+
+// Role definitions
+//   name                 Display name
+//   alignment            town | mafia | neutral (counted in the win-condition parity check)
+//   team                 Team the role belongs to ('mafia' members share the kill and see each other)
+//   observesTeams        Teams whose roles this role can see
+//   nightActions         Night action types the role may use
+//   dayActions           Day action types the role may use
+//   chatChannels         Private chat channels the role can read and write
+//   investigationResult  What a Detective learns about this role by default (the Classic preset)
+//   winsWith             Which game outcome counts as a win for this role
+//                        ('survival' = alive at the end, 'lynched' = voted out during the day)
+//   description          Text shown when the role is assigned
+const ROLE_DEFINITIONS = {
+    [ROLES.MAFIA]: {
+        name: 'Mafia',
+        alignment: ALIGNMENTS.MAFIA,
+        team: 'mafia',
+        observesTeams: ['mafia'],
+        nightActions: ['kill'],
+        dayActions: [],
+        chatChannels: ['mafia'],
+        investigationResult: 'suspicious',
+        winsWith: 'mafia',
+        description: 'Eliminate civilians and blend in during the day. Work with other mafia members to win.'
+    },
+    [ROLES.SUICIDE_BOMBER]: {
+        name: 'Suicide Bomber',
+        alignment: ALIGNMENTS.MAFIA,
+        team: 'mafia',
+        observesTeams: ['mafia'],
+        nightActions: ['kill'],
+        dayActions: [],
+        chatChannels: ['mafia'],
+        investigationResult: 'suspicious',
+        winsWith: 'mafia',
+        description: '🔥 Mafia role: When discovered and about to be eliminated, choose specific players to kill in your final act of defiance! (Doctor protection applies)'
+    },
+    [ROLES.MANIPULATOR]: {
+        name: 'Manipulator',
+        alignment: ALIGNMENTS.MAFIA,
+        team: 'mafia',
+        observesTeams: ['mafia'],
+        nightActions: ['kill'],
+        dayActions: ['manipulate'],
+        chatChannels: ['mafia'],
+        investigationResult: 'suspicious',
+        winsWith: 'mafia',
+        description: '🧠 Mafia role: Alter votes, spread false information, and redirect suspicion during discussions.'
+    },
+    [ROLES.DETECTIVE]: {
+        name: 'Detective',
+        alignment: ALIGNMENTS.TOWN,
+        team: null,
+        observesTeams: [],
+        nightActions: ['investigate'],
+        dayActions: [],
+        chatChannels: ['police'],
+        investigationResult: 'innocent',
+        winsWith: 'innocents',
+        description: 'Investigate players at night to find the mafia. Help civilians identify threats.'
+    },
+    [ROLES.DOCTOR]: {
+        name: 'Doctor',
+        alignment: ALIGNMENTS.TOWN,
+        team: null,
+        observesTeams: [],
+        nightActions: ['protect'],
+        dayActions: [],
+        chatChannels: [],
+        investigationResult: 'innocent',
+        winsWith: 'innocents',
+        description: 'Protect one player each night from elimination. You can protect yourself or others. Your protection works even if you are killed.'
+    },
+    [ROLES.CIVILIAN]: {
+        name: 'Civilian',
+        alignment: ALIGNMENTS.TOWN,
+        team: null,
+        observesTeams: [],
+        nightActions: [],
+        dayActions: [],
+        chatChannels: [],
+        investigationResult: 'innocent',
+        winsWith: 'innocents',
+        description: 'Vote out the mafia during day phases. Use discussion and deduction to win.'
+    },
+    [ROLES.POLICE]: {
+        name: 'Police',
+        alignment: ALIGNMENTS.TOWN,
+        team: 'police',
+        observesTeams: [],
+        nightActions: [],
+        dayActions: [],
+        chatChannels: ['police'],
+        investigationResult: 'innocent',
+        winsWith: 'innocents',
+        description: 'Help investigate and protect innocent players'
+    },
+    [ROLES.CORRUPT_POLICE]: {
+        name: 'Corrupt Police',
+        alignment: ALIGNMENTS.MAFIA,
+        team: 'police',
+        observesTeams: ['mafia'],
+        nightActions: [],
+        dayActions: [],
+        chatChannels: ['police', 'mafia'],
+        investigationResult: 'innocent',
+        winsWith: 'mafia',
+        description: 'You are secretly working with the mafia while appearing as police'
+    },
+    [ROLES.WHITE_POLICE]: {
+        name: 'White Police',
+        alignment: ALIGNMENTS.TOWN,
+        team: 'police',
+        observesTeams: [],
+        nightActions: ['investigateAlignment'],
+        dayActions: [],
+        chatChannels: ['police'],
+        investigationResult: 'innocent',
+        winsWith: 'innocents',
+        description: '🚔 Civilian-aligned Police: Investigate one player per round to reveal their alignment.'
+    },
+    [ROLES.BLACK_POLICE]: {
+        name: 'Black Police',
+        alignment: ALIGNMENTS.MAFIA,
+        team: 'police',
+        observesTeams: ['mafia'],
+        nightActions: ['shoot'],
+        dayActions: [],
+        chatChannels: ['police', 'mafia'],
+        investigationResult: 'suspicious',
+        winsWith: 'mafia',
+        description: '⚫ Mafia-aligned Police: Shoot a suspect at night without full proof (limited ammo). You observe the Mafia and win with them.'
+    },
+    [ROLES.GRAY_POLICE]: {
+        name: 'Gray Police',
+        alignment: ALIGNMENTS.NEUTRAL,
+        team: 'police',
+        observesTeams: [],
+        nightActions: [],
+        dayActions: [],
+        chatChannels: ['police'],
+        investigationResult: 'innocent',
+        winsWith: 'survival',
+        description: '🔘 Neutral Police: Choose White (Town) or Black (Mafia) before the deadline, or stay Gray and win by surviving to the end.'
+    },
+    [ROLES.JESTER]: {
+        name: 'Jester',
+        alignment: ALIGNMENTS.NEUTRAL,
+        team: null,
+        observesTeams: [],
+        nightActions: [],
+        dayActions: [],
+        chatChannels: [],
+        investigationResult: 'innocent',
+        winsWith: 'lynched',
+        description: '🃏 Neutral: Convince the town to vote you out during the day. If they do, you win.'
+    }
+};
+
+// What a Detective can be told about a target
+const INVESTIGATION_RESULTS = ['innocent', 'suspicious', 'exact'];
+
+// Host-selectable investigation presets. overrides replace the registry defaults;
+// godfather marks one regular Mafia member per game who reads innocent.
+const INVESTIGATION_PRESETS = {
+    classic: { name: 'Classic', overrides: {}, godfather: false },
+    godfather: { name: 'Godfather', overrides: {}, godfather: true }
+};
+
+// Only the registry's own roles count (not inherited names such as 'toString' from a host's setup)
+function isRole(role) {
+    return typeof role === 'string' && Object.hasOwn(ROLE_DEFINITIONS, role);
+}
+
+function getRoleDefinition(role) {
+    return isRole(role) ? ROLE_DEFINITIONS[role] : null;
+}
+
+function getRoleDescription(role) {
+    return getRoleDefinition(role)?.description || '';
+}
+
+function getAlignment(role) {
+    return getRoleDefinition(role)?.alignment || null;
+}
+
+function isMafiaAligned(role) {
+    return getAlignment(role) === ALIGNMENTS.MAFIA;
+}
+
+function isTownAligned(role) {
+    return getAlignment(role) === ALIGNMENTS.TOWN;
+}
+
+function isOnTeam(role, team) {
+    return !!team && getRoleDefinition(role)?.team === team;
+}
+
+function canObserveTeam(viewerRole, team) {
+    return !!getRoleDefinition(viewerRole)?.observesTeams.includes(team);
+}
+
+// Can a player holding viewerRole see that someone holds targetRole?
+function canObserveRole(viewerRole, targetRole) {
+    const target = getRoleDefinition(targetRole);
+    return !!target?.team && canObserveTeam(viewerRole, target.team);
+}
+
+function hasNightAction(role, action) {
+    return !!getRoleDefinition(role)?.nightActions.includes(action);
+}
+
+function getNightActions(role) {
+    return getRoleDefinition(role)?.nightActions || [];
+}
+
+function hasDayAction(role, action) {
+    return !!getRoleDefinition(role)?.dayActions.includes(action);
+}
+
+function getNightActionRules(action) {
+    return typeof action === 'string' && Object.hasOwn(NIGHT_ACTIONS, action) ? NIGHT_ACTIONS[action] : null;
+}
+
+// Lower numbers resolve first at dawn
+function getNightActionPriority(action) {
+    const stage = NIGHT_STAGES.indexOf(getNightActionRules(action)?.stage);
+    return stage === -1 ? NIGHT_STAGES.length : stage;
+}
+
+// Key recorded in nightActionsUsed once an action has been taken
+function getNightActionKey(role, action, playerId) {
+    const rules = getNightActionRules(action);
+    if (rules?.scope === 'team') {
+        return `${getRoleDefinition(role).team}_${action}`;
+    }
+    return `${role}_${action}_${playerId}`;
+}
+
+function canUseChatChannel(role, channel) {
+    return !!getRoleDefinition(role)?.chatChannels.includes(channel);
+}
+
+// Full role -> result table for a preset plus the host's per-role overrides
+function buildInvestigationMatrix(preset = 'classic', overrides = {}) {
+    const presetOverrides = (Object.hasOwn(INVESTIGATION_PRESETS, preset) ? INVESTIGATION_PRESETS[preset] : INVESTIGATION_PRESETS.classic).overrides;
+    const matrix = {};
+    for (const [role, definition] of Object.entries(ROLE_DEFINITIONS)) {
+        const override = overrides?.[role] ?? presetOverrides[role];
+        matrix[role] = INVESTIGATION_RESULTS.includes(override) ? override : definition.investigationResult;
+    }
+    return matrix;
+}
+
+function getInvestigationResult(role, matrix = null) {
+    return matrix?.[role] || getRoleDefinition(role)?.investigationResult || 'innocent';
+}
+
+// Did a player with this role win?
+// outcome: { survived, lynched } for the player at the end of the game
+function didRoleWin(role, winner, outcome = {}) {
+    const winsWith = getRoleDefinition(role)?.winsWith;
+    if (!winner) return false;
+    if (winsWith === 'survival') return !!outcome.survived;
+    if (winsWith === 'lynched') return !!outcome.lynched;
+    return winsWith === winner;
+}
+
+// Neutral roles win on their own terms, independent of which side won
+function hasIndependentWin(role) {
+    const winsWith = getRoleDefinition(role)?.winsWith;
+    return winsWith === 'survival' || winsWith === 'lynched';
+}
+
+const RoleRegistry = {
+    ROLES,
+    ALIGNMENTS,
+    ROLE_DEFINITIONS,
+    NIGHT_STAGES,
+    INVESTIGATION_RESULTS,
+    INVESTIGATION_PRESETS,
+    isRole,
+    getRoleDefinition,
+    getRoleDescription,
+    getAlignment,
+    isMafiaAligned,
+    isTownAligned,
+    isOnTeam,
+    canObserveTeam,
+    canObserveRole,
+    hasNightAction,
+    getNightActions,
+    getNightActionRules,
+    getNightActionPriority,
+    hasDayAction,
+    getNightActionKey,
+    canUseChatChannel,
+    buildInvestigationMatrix,
+    getInvestigationResult,
+    didRoleWin,
+    hasIndependentWin
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RoleRegistry;
+}
+
+// Make available globally for browser use (lobby role setup editor)
+if (typeof window !== 'undefined') {
+    window.RoleRegistry = RoleRegistry;
+}
@@ -0,0 +1,44 @@
+// Room Snapshots for The Fall of Velmora
+// A room saved as JSON (to survive restarts and deploys) and read back. Rooms hold Maps and
+// Sets, which snapshots store as tagged arrays.
+
+const SNAPSHOT_SKIP_KEYS = new Set(['timer', 'voteKick']); // Live timers, rebuilt after a restore
+
+function toSnapshotValue(value) {
+    if (value instanceof Map) return { __map: Array.from(value, ([key, v]) => [key, toSnapshotValue(v)]) };
+    if (value instanceof Set) return { __set: Array.from(value, toSnapshotValue) };
+    if (Array.isArray(value)) return value.map(toSnapshotValue);
+    if (value && typeof value === 'object') {
+        const out = {};
+        for (const [key, v] of Object.entries(value)) {
+            if (SNAPSHOT_SKIP_KEYS.has(key) || typeof v === 'function') continue;
+            out[key] = toSnapshotValue(v);
+        }
+        return out;
+    }
+    return value;
+}
+
+function fromSnapshotValue(value) {
+    if (Array.isArray(value)) return value.map(fromSnapshotValue);
+    if (value && typeof value === 'object') {
+        if (value.__map) return new Map(value.__map.map(([key, v]) => [key, fromSnapshotValue(v)]));
+        if (value.__set) return new Set(value.__set.map(fromSnapshotValue));
+        const out = {};
+        for (const [key, v] of Object.entries(value)) {
+            out[key] = fromSnapshotValue(v);
+        }
+        return out;
+    }
+    return value;
+}
+
+function serializeRoom(room) {
+    return JSON.stringify(toSnapshotValue(room));
+}
+
+function deserializeRoom(data) {
+    return fromSnapshotValue(JSON.parse(data));
+}
+
+module.exports = { serializeRoom, deserializeRoom, SNAPSHOT_SKIP_KEYS };
@@ -0,0 +1,169 @@
+// Room Store for The Fall of Velmora
+// The directory every server instance shares: which instance owns (and runs the timers of)
+// each room, which socket a signed-in user is connected on, and the public lobby list.
+// A single process uses the in-memory store; several instances share the MongoDB one.
+
+const OWNERSHIP_LEASE = 60; // Seconds a room claim lasts unless its instance renews it
+
+class MemoryRoomStore {
+    constructor() {
+        this.owners = new Map(); // roomCode -> { instanceId, expiresAt }
+        this.userSockets = new Map(); // userId -> socketId
+        this.lobbies = new Map(); // roomCode -> public lobby entry
+    }
+
+    // Claim a room for an instance; false while another instance holds a live claim on it
+    async claimRoom(roomCode, instanceId) {
+        const owner = this.owners.get(roomCode);
+        if (owner && owner.instanceId !== instanceId && owner.expiresAt > Date.now()) {
+            return false;
+        }
+        this.owners.set(roomCode, { instanceId, expiresAt: Date.now() + OWNERSHIP_LEASE * 1000 });
+        return true;
+    }
+
+    // Keep an instance's claims alive (called on every snapshot)
+    async renewRooms(instanceId, roomCodes) {
+        for (const roomCode of roomCodes) {
+            const owner = this.owners.get(roomCode);
+            if (owner && owner.instanceId === instanceId) {
+                owner.expiresAt = Date.now() + OWNERSHIP_LEASE * 1000;
+            }
+        }
+    }
+
+    async releaseRoom(roomCode, instanceId) {
+        const owner = this.owners.get(roomCode);
+        if (owner && owner.instanceId === instanceId) {
+            this.owners.delete(roomCode);
+            this.lobbies.delete(roomCode);
+        }
+    }
+
+    // Instance running the room, or null when nobody holds a live claim
+    async getRoomOwner(roomCode) {
+        const owner = this.owners.get(roomCode);
+        return owner && owner.expiresAt > Date.now() ? owner.instanceId : null;
+    }
+
+    async setUserSocket(userId, socketId) {
+        this.userSockets.set(String(userId), socketId);
+    }
+
+    async getUserSocket(userId) {
+        return this.userSockets.get(String(userId)) || null;
+    }
+
+    // Only forget the user if they haven't connected again on another socket since
+    async deleteUserSocket(userId, socketId) {
+        if (this.userSockets.get(String(userId)) === socketId) {
+            this.userSockets.delete(String(userId));
+        }
+    }
+
+    async setPublicLobby(roomCode, lobby) {
+        this.lobbies.set(roomCode, lobby);
+    }
+
+    async deletePublicLobby(roomCode) {
+        this.lobbies.delete(roomCode);
+    }
+
+    // Lobbies of rooms whose instance is still alive
+    async getPublicLobbies() {
+        const now = Date.now();
+        return Array.from(this.lobbies.values()).filter(lobby => {
+            const owner = this.owners.get(lobby.roomCode);
+            return owner && owner.expiresAt > now;
+        });
+    }
+}
+
+// Same directory kept in MongoDB, so every instance behind the load balancer sees it
+class MongoRoomStore {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async claimRoom(roomCode, instanceId) {
+        await this.db.ensureReady();
+        const now = new Date();
+        try {
+            // Matches our own claim or an expired one; anything else makes the upsert hit the unique index
+            await this.db.RoomOwner.updateOne(
+                { room_code: roomCode, $or: [{ instance_id: instanceId }, { expires_at: { $lte: now } }] },
+                { instance_id: instanceId, expires_at: new Date(now.getTime() + OWNERSHIP_LEASE * 1000) },
+                { upsert: true }
+            );
+            return true;
+        } catch (error) {
+            if (error.code === 11000) return false; // Owned by another live instance
+            throw error;
+        }
+    }
+
+    async renewRooms(instanceId, roomCodes) {
+        await this.db.ensureReady();
+        await this.db.RoomOwner.updateMany(
+            { instance_id: instanceId, room_code: { $in: roomCodes } },
+            { expires_at: new Date(Date.now() + OWNERSHIP_LEASE * 1000) }
+        );
+    }
+
+    async releaseRoom(roomCode, instanceId) {
+        await this.db.ensureReady();
+        const { deletedCount } = await this.db.RoomOwner.deleteOne({ room_code: roomCode, instance_id: instanceId });
+        if (deletedCount > 0) {
+            await this.db.PublicLobby.deleteOne({ room_code: roomCode });
+        }
+    }
+
+    async getRoomOwner(roomCode) {
+        await this.db.ensureReady();
+        const owner = await this.db.RoomOwner.findOne({ room_code: roomCode, expires_at: { $gt: new Date() } }).lean();
+        return owner ? owner.instance_id : null;
+    }
+
+    async setUserSocket(userId, socketId) {
+        await this.db.ensureReady();
+        await this.db.UserConnection.updateOne(
+            { user_id: String(userId) },
+            { socket_id: socketId, updated_at: new Date() },
+            { upsert: true }
+        );
+    }
+
+    async getUserSocket(userId) {
+        await this.db.ensureReady();
+        const connection = await this.db.UserConnection.findOne({ user_id: String(userId) }).lean();
+        return connection ? connection.socket_id : null;
+    }
+
+    async deleteUserSocket(userId, socketId) {
+        await this.db.ensureReady();
+        await this.db.UserConnection.deleteOne({ user_id: String(userId), socket_id: socketId });
+    }
+
+    async setPublicLobby(roomCode, lobby) {
+        await this.db.ensureReady();
+        await this.db.PublicLobby.updateOne(
+            { room_code: roomCode },
+            { lobby, updated_at: new Date() },
+            { upsert: true }
+        );
+    }
+
+    async deletePublicLobby(roomCode) {
+        await this.db.ensureReady();
+        await this.db.PublicLobby.deleteOne({ room_code: roomCode });
+    }
+
+    async getPublicLobbies() {
+        await this.db.ensureReady();
+        const liveRooms = await this.db.RoomOwner.find({ expires_at: { $gt: new Date() } }).distinct('room_code');
+        const lobbies = await this.db.PublicLobby.find({ room_code: { $in: liveRooms } }).lean();
+        return lobbies.map(entry => entry.lobby);
+    }
+}
+
+module.exports = { MemoryRoomStore, MongoRoomStore, OWNERSHIP_LEASE };
@@ -8,6 +8,14 @@ const session = require('express-session');
 const rateLimit = require('express-rate-limit');
 const Database = require('./database-mongo');
 const BotManager = require('./bot-manager');
+const GameEngine = require('./game-engine');
+const RoleRegistry = require('./role-registry');
+const { MemoryRoomStore, MongoRoomStore } = require('./room-store');
+const { createMongoAdapter } = require('./cluster-adapter');
+const { ClusterRouter } = require('./cluster-router');
+const { serializeRoom, deserializeRoom } = require('./room-snapshot');
+const { ROLES } = RoleRegistry;
+const { MIN_PLAYERS, MAX_PLAYERS, getMaxMafiaCount, validateRoleSetup } = GameEngine;
 const fs = require('fs');
 const multer = require('multer');
 const crypto = require('crypto');
@@ -42,14 +50,19 @@ const upload = multer({
 // Initialize database
 const db = new Database();
 
+// Several instances behind a (sticky) load balancer: CLUSTER_MODE=mongo shares the room directory
+// and socket traffic through MongoDB. Each room is run by the one instance that owns it.
+const INSTANCE_ID = process.env.INSTANCE_ID || uuidv4();
+const clustered = process.env.CLUSTER_MODE === 'mongo';
+const roomStore = clustered ? new MongoRoomStore(db) : new MemoryRoomStore();
+if (clustered) {
+    io.adapter(createMongoAdapter(db));
+}
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Serve static files
-app.use(express.static(path.join(__dirname)));
-app.use('/uploads', express.static(uploadsRoot));
-
 // Session configuration (reuse for HTTP and Socket.IO)
 const sessionMiddleware = session({
 	secret: process.env.SESSION_SECRET || 'velmora-secret-key-change-in-production',
@@ -62,6 +75,18 @@ const sessionMiddleware = session({
 	}
 });
 app.use(sessionMiddleware);
+// Every browser gets a stable guest id when it loads the game page; setting it saves the session,
+// so the cookie sticks across reconnects (room bans on guests use it). Assets don't get one,
+// or every anonymous file request would store a session.
+app.get(['/', '/index.html'], (req, res, next) => {
+	if (!req.session.guestId) req.session.guestId = uuidv4();
+	next();
+});
+
+// Serve static files
+app.use(express.static(path.join(__dirname)));
+app.use('/uploads', express.static(uploadsRoot));
+
 // Share session with Socket.IO
 io.use((socket, next) => sessionMiddleware(socket.request, {}, next));
 
@@ -397,12 +422,12 @@ app.get('/api/game-history', async (req, res) => {
 });
 
 // Lobby management endpoints
-app.get('/api/lobbies/public', (req, res) => {
+app.get('/api/lobbies/public', async (req, res) => {
     try {
         const search = req.query.search?.toLowerCase() || '';
         const sort = (req.query.sort || 'new').toString(); // new|players_desc|players_asc
         const hideStarted = req.query.hideStarted === 'true';
-        let lobbies = Array.from(publicLobbies.values())
+        let lobbies = (await roomStore.getPublicLobbies())
             .filter(lobby => {
                 const matches = lobby.lobbyName.toLowerCase().includes(search) ||
                                 lobby.lobbyDescription.toLowerCase().includes(search);
@@ -500,14 +525,31 @@ app.post('/api/lobbies/create', async (req, res) => {
 
 // Room-based game state
 const rooms = new Map();
-const userSessions = new Map(); // Track user sessions for authentication
+const reconnectTimers = new Map(); // player id -> timeout that frees a disconnected player's seat
+
+// Host-adjustable phase lengths in seconds: [min, max]
+const DURATION_LIMITS = {
+    dayDuration: [30, 600],
+    votingDuration: [15, 300],
+    nightDuration: [15, 300],
+    suicideBomberDuration: [10, 120],
+    defenseDuration: [10, 120],
+    verdictDuration: [10, 120],
+    lastWordsDuration: [5, 60]
+};
 
-// Lobby management
-const publicLobbies = new Map(); // Track public lobbies for browsing
+const CHAT_SCROLLBACK = 50; // Messages kept per chat channel for players who reconnect
+const VOTE_KICK_DURATION = 60; // Seconds a vote-kick stays open
+const SNAPSHOT_INTERVAL = 15; // Seconds between room snapshots to the database
+let roomsRestored = false; // Saved rooms are loaded back (or failed to load); snapshots wait for it
+const NARRATOR_NAME = '📜 Narrator'; // Sender shown on the moderator's announcements
 
 // Bot management
 const roomBotManagers = new Map(); // roomCode -> BotManager instance
 
+// Game rules
+const roomEngines = new Map(); // roomCode -> GameEngine instance
+
 // Create a new room with initial state
 function createRoom(roomCode, hostId, lobbyInfo = null) {
     return {
@@ -520,10 +562,29 @@ function createRoom(roomCode, hostId, lobbyInfo = null) {
         dayCount: 0,
         timeRemaining: 0,
         gameStarted: false,
-        timer: null,
+        timer: null, // Interval that ticks the game engine's clock
+        phaseTimer: null, // { endsAt, onExpire } for the current phase countdown
+        scheduledCommands: [], // Delayed engine commands ({ at, command, args })
         nightActionsUsed: new Set(), // Track night actions used this phase
-        protectedPlayers: new Set(), // Track players protected by doctor
-        mafiaKillTarget: null, // Store the target for the mafia kill action
+        nightQueue: [], // Night actions awaiting dawn resolution ({ actorId, role, action, targetId, priority })
+        protectedPlayers: new Set(), // Players protected at the last dawn (covers the following day)
+        mafiaNominations: new Map(), // Tonight's kill vote (mafia member id -> nominated target id)
+        killLeaderId: null, // Mafia member with the final say (or tie-break) on the kill
+        pendingSuicideBomber: null, // Discovered Suicide Bomber awaiting target choice
+        manipulations: [], // Manipulator vote tampering this game (revealed at game over)
+        policeInvestigations: [], // White Police alignment results (shareable to police chat)
+        nightActionUses: new Map(), // Uses of limited night actions this game ("action_playerId" -> count)
+        grayPoliceDecided: new Set(), // Gray Police who committed to staying neutral
+        godfatherId: null, // Mafia member who reads innocent under the Godfather preset
+        lynchedPlayers: new Set(), // Players voted out during the day (Jester win condition)
+        runoff: null, // Revote between tied players ({ candidates })
+        lastWills: new Map(), // Private notes revealed on death (player id -> text)
+        lastWords: null, // Voted-out player who has the chat before night ({ playerId })
+        lastWordsLog: [], // Last words spoken this game ({ playerId, playerName, day, message })
+        trial: null, // Player on the stand ({ accusedId, stage: 'defense' | 'verdict', nominationVotes, verdicts })
+        paused: null, // Set ({ at }) while the host has the game clock paused
+        moderatorId: null, // Host running the game without a role (moderatorMode setting)
+        chatLog: { public: [], mafia: [], police: [], graveyard: [] }, // Recent messages replayed on reconnect
         // Lobby information
         lobbyName: lobbyInfo?.lobbyName || 'Untitled Lobby',
         lobbyDescription: lobbyInfo?.lobbyDescription || '',
@@ -535,7 +596,46 @@ function createRoom(roomCode, hostId, lobbyInfo = null) {
             // New role toggles
             suicideBomberEnabled: lobbyInfo?.suicideBomberEnabled || false,
             manipulatorEnabled: lobbyInfo?.manipulatorEnabled || false,
+            manipulatorUses: lobbyInfo?.manipulatorUses || 2, // Vote manipulations per game
+            blackPoliceAmmo: lobbyInfo?.blackPoliceAmmo ?? 1, // Black Police shots per game
+            grayPoliceDeadline: lobbyInfo?.grayPoliceDeadline ?? 60, // Seconds Gray Police have to pick a side (0 = no deadline)
+            grayPoliceTimeout: lobbyInfo?.grayPoliceTimeout || 'random', // random | white | black | gray
+            // Day timing: split the day into discussion + voting sub-phases, and every phase length (seconds)
+            splitDayPhases: lobbyInfo?.splitDayPhases || false,
+            dayDuration: lobbyInfo?.dayDuration || GameEngine.DAY_DURATION,
+            votingDuration: lobbyInfo?.votingDuration || GameEngine.VOTING_DURATION,
+            nightDuration: lobbyInfo?.nightDuration || GameEngine.NIGHT_DURATION,
+            suicideBomberDuration: lobbyInfo?.suicideBomberDuration || GameEngine.SUICIDE_BOMBER_DURATION,
+            // Trial: the top vote-getter gets a defense speech, then a guilty/innocent verdict decides
+            trialMode: lobbyInfo?.trialMode || false,
+            defenseDuration: lobbyInfo?.defenseDuration || GameEngine.DEFENSE_DURATION,
+            verdictDuration: lobbyInfo?.verdictDuration || GameEngine.VERDICT_DURATION,
+            lastWordsDuration: lobbyInfo?.lastWordsDuration || GameEngine.LAST_WORDS_DURATION,
+            // Voting rules: allow a "no lynch" ballot, need a 'plurality' or a 'majority' of the living,
+            // and settle ties with 'none' (no elimination), 'random' or a 'runoff' revote
+            allowNoLynch: lobbyInfo?.allowNoLynch || false,
+            lynchThreshold: lobbyInfo?.lynchThreshold || 'plurality',
+            voteTieRule: lobbyInfo?.voteTieRule || 'none',
+            // Team kill vote: 'majority' of living members or the kill 'leader' decides;
+            // unresolved ties at dawn go 'random', to the 'leader' or 'none' (no kill)
+            mafiaKillMode: lobbyInfo?.mafiaKillMode || 'majority',
+            mafiaKillTieRule: lobbyInfo?.mafiaKillTieRule || 'random',
+            // What the Detective learns per role (preset plus host overrides, resolved into a matrix)
+            investigationPreset: lobbyInfo?.investigationPreset || 'classic',
+            investigationOverrides: lobbyInfo?.investigationOverrides || {},
+            investigationMatrix: RoleRegistry.buildInvestigationMatrix(lobbyInfo?.investigationPreset, lobbyInfo?.investigationOverrides),
+            // Host-defined role list ({ roles: { role: count } }, rest Civilian); null uses the automatic distribution
+            roleSetup: lobbyInfo?.roleSetup || null,
             autoPoliceRoles: lobbyInfo?.autoPoliceRoles !== false,
+            // What the town learns about the dead: 'role', 'alignment' only or 'none' until game over
+            roleRevealMode: lobbyInfo?.roleRevealMode || 'role',
+            // Inactivity: afkPhaseLimit missed phases in a row (0 = off) earn a warning, the next one
+            // 'modkill's the player (revealed per afkRevealMode, null = as above) or hands the seat to a 'bot'
+            afkPhaseLimit: lobbyInfo?.afkPhaseLimit ?? 0,
+            afkAction: lobbyInfo?.afkAction || 'modkill',
+            afkRevealMode: lobbyInfo?.afkRevealMode || null,
+            // The host moderates instead of playing (no role, sees everything, moderator tools)
+            moderatorMode: lobbyInfo?.moderatorMode || false,
             // Bot settings
             enableBots: lobbyInfo?.enableBots || false,
             botCount: lobbyInfo?.botCount || 1,
@@ -545,6 +645,10 @@ function createRoom(roomCode, hostId, lobbyInfo = null) {
         },
         // Host-managed whitelist (user IDs allowed when locked)
         whitelist: new Set(),
+        // Banned from this room by the host (accounts by user ID, guests by session)
+        bannedUserIds: new Set(),
+        bannedGuestIds: new Set(),
+        voteKick: null, // Running vote to kick a player ({ targetId, votes: Map id -> yes/no, timer })
         // Invite quota window
         inviteWindowStart: Date.now(),
         invitesSentInWindow: 0,
@@ -559,44 +663,6 @@ function createRoom(roomCode, hostId, lobbyInfo = null) {
     };
 }
 
-// Role definitions
-const ROLES = {
-    MAFIA: 'mafia',
-    DETECTIVE: 'detective',
-    CIVILIAN: 'civilian',
-    DOCTOR: 'doctor',
-    POLICE: 'police',
-    CORRUPT_POLICE: 'corrupt_police',
-    // New roles
-    SUICIDE_BOMBER: 'suicide_bomber',
-    MANIPULATOR: 'manipulator',
-    WHITE_POLICE: 'white_police',
-    BLACK_POLICE: 'black_police',
-    GRAY_POLICE: 'gray_police'
-};
-
-const ROLE_DESCRIPTIONS = {
-    [ROLES.MAFIA]: 'Eliminate civilians and blend in during the day. Work with other mafia members to win.',
-    [ROLES.DETECTIVE]: 'Investigate players at night to find the mafia. Help civilians identify threats.',
-    [ROLES.CIVILIAN]: 'Vote out the mafia during day phases. Use discussion and deduction to win.',
-    [ROLES.DOCTOR]: 'Protect one player each night from elimination. You can protect yourself or others. Your protection works even if you are killed.',
-    [ROLES.POLICE]: 'Help investigate and protect innocent players', 
-    [ROLES.CORRUPT_POLICE]: 'You are secretly working with the mafia while appearing as police',
-    // New role descriptions
-    [ROLES.SUICIDE_BOMBER]: '🔥 Mafia role: When discovered and about to be eliminated, choose specific players to kill in your final act of defiance! (Doctor protection applies)',
-    [ROLES.MANIPULATOR]: '🧠 Mafia role: Alter votes, spread false information, and redirect suspicion during discussions.',
-    [ROLES.WHITE_POLICE]: '🚔 Civilian-aligned Police: Investigate one player per round to reveal their alignment.',
-    [ROLES.BLACK_POLICE]: '⚫ Civilian-aligned Police: Eliminate suspects without full proof, but risk killing innocents.',
-    [ROLES.GRAY_POLICE]: '🔘 Neutral Police: Choose to secretly support either Mafia or Civilians during the game.'
-};
-
-// Game configuration
-const MIN_PLAYERS = 4;
-const MAX_PLAYERS = 20;
-const DAY_DURATION = 120; // 2 minutes
-const NIGHT_DURATION = 60; // 1 minute
-const VOTING_DURATION = 60; // 1 minute
-
 // Room code generation
 function generateRoomCode() {
     const characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
@@ -611,90 +677,6 @@ function generateRoomCode() {
     return result;
 }
 
-// Get maximum allowed mafia count for given player count
-function getMaxMafiaCount(playerCount) {
-    if (playerCount >= 15 && playerCount <= 20) return 4;  // 15-20 players: max 4 mafia
-    if (playerCount >= 7 && playerCount <= 14) return 3;   // 7-14 players: max 3 mafia
-    if (playerCount >= 5 && playerCount <= 6) return 2;    // 5-6 players: max 2 mafia
-    if (playerCount >= 4 && playerCount <= 4) return 1;    // 4 players: max 1 mafia
-    return 1; // Default fallback
-}
-
-// Utility functions
-function generateRoles(playerCount, settings) {
-    const roles = [];
-    const { mafiaCount, suicideBomberEnabled, manipulatorEnabled, autoPoliceRoles } = settings;
-    
-    let specialMafiaCount = 0;
-    let policeCount = 0;
-    let detectiveCount = 0;
-    let doctorCount = 0;
-    
-    // Add base mafia members
-    let baseMafiaCount = mafiaCount;
-    
-    // Handle special mafia roles
-    if (mafiaCount >= 3 && suicideBomberEnabled) {
-        roles.push(ROLES.SUICIDE_BOMBER);
-        specialMafiaCount++;
-        baseMafiaCount--; // Replace one regular mafia with suicide bomber
-    }
-    
-    if (manipulatorEnabled) {
-        roles.push(ROLES.MANIPULATOR);
-        specialMafiaCount++;
-        baseMafiaCount--; // Replace one regular mafia with manipulator
-    }
-    
-    // Add remaining regular mafia members
-    for (let i = 0; i < baseMafiaCount; i++) {
-        roles.push(ROLES.MAFIA);
-    }
-    
-    	// Add police roles for 10+ players
-	if (playerCount >= 10 && autoPoliceRoles) {
-		// Start with three Gray Police; they will choose White or Black alignment later
-		roles.push(ROLES.GRAY_POLICE);
-		roles.push(ROLES.GRAY_POLICE);
-		roles.push(ROLES.GRAY_POLICE);
-		policeCount = 3;
-	}
-    
-    // Add one detective if enough players (minimum 5 players for detective)
-    if (playerCount >= 5) {
-        roles.push(ROLES.DETECTIVE);
-        detectiveCount = 1;
-    }
-    
-    // Add one doctor if 5 or more players
-    if (playerCount >= 5) {
-        roles.push(ROLES.DOCTOR);
-        doctorCount = 1;
-    }
-    
-    // Fill remaining slots with civilians
-    while (roles.length < playerCount) {
-        roles.push(ROLES.CIVILIAN);
-    }
-    
-    // Shuffle roles randomly for fair distribution
-    for (let i = roles.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [roles[i], roles[j]] = [roles[j], roles[i]];
-    }
-    
-    const totalMafiaCount = mafiaCount; // Original total mafia count
-    const civilianCount = playerCount - totalMafiaCount - detectiveCount - doctorCount - policeCount;
-    
-    console.log(`Generated roles for ${playerCount} players:`);
-    console.log(`- ${totalMafiaCount} Total Mafia (${baseMafiaCount} regular, ${specialMafiaCount} special)`);
-    console.log(`- ${detectiveCount} Detective, ${doctorCount} Doctor`);
-    console.log(`- ${policeCount} Police (White/Black/Gray)`);
-    console.log(`- ${civilianCount} Civilians`);
-    
-    return roles;
-}
-
 // Bot management functions
 function createBotManager(roomCode) {
     const botManager = new BotManager();
@@ -790,13 +772,12 @@ function scheduleBotVoting(roomCode) {
     const room = rooms.get(roomCode);
     const botManager = getBotManager(roomCode);
     
-    if (!room || !botManager || room.phase !== 'day') {
+    if (!room || !botManager || !getGameEngine(roomCode)?.isVotingOpen()) {
         console.log(`❌ Cannot schedule bot voting: room=${!!room}, botManager=${!!botManager}, phase=${room?.phase}`);
         return;
     }
     
-    const alivePlayers = Array.from(room.players.values())
-        .filter(p => !room.deadPlayers.has(p.id));
+    const alivePlayers = getGameEngine(roomCode).getAlivePlayers();
     
     const aliveBots = alivePlayers.filter(p => p.isBot);
     
@@ -815,260 +796,385 @@ function scheduleBotVoting(roomCode) {
             dayCount: room.dayCount
         };
         
-        botManager.scheduleBotVote(bot.id, alivePlayers, gameState, (botId, targetId) => {
+        // In a runoff bots can only pick between the tied players (the list must still include the bot itself)
+        const options = room.runoff
+            ? alivePlayers.filter(p => p.id === bot.id || room.runoff.candidates.includes(p.id))
+            : alivePlayers;
+        
+        botManager.scheduleBotVote(bot.id, options, gameState, (botId, targetId) => {
             // Execute bot vote
             executeBotVote(roomCode, botId, targetId);
         });
     });
 }
 
-function executeBotVote(roomCode, botId, targetId) {
+function scheduleBotVerdicts(roomCode) {
     const room = rooms.get(roomCode);
+    const botManager = getBotManager(roomCode);
+    if (!room || !room.trial || !botManager) return;
     
-    if (!room || room.phase !== 'day' || room.deadPlayers.has(botId)) {
-        console.log(`❌ Bot vote rejected: room=${!!room}, phase=${room?.phase}, botDead=${room?.deadPlayers.has(botId)}`);
-        return;
-    }
+    const accusedId = room.trial.accusedId;
+    const jurorBots = Array.from(room.players.values())
+        .filter(p => p.isBot && !room.deadPlayers.has(p.id) && p.id !== accusedId);
     
-    // Validate target
-    if (room.deadPlayers.has(targetId) || targetId === botId) {
-        console.log(`❌ Bot vote invalid target: targetDead=${room.deadPlayers.has(targetId)}, selfVote=${targetId === botId}`);
-        return;
+    jurorBots.forEach(bot => {
+        botManager.scheduleBotVerdict(bot.id, accusedId, (botId, verdict) => {
+            const engine = getGameEngine(roomCode);
+            if (!engine) return;
+            
+            const result = applyEngineResult(roomCode, engine.castVerdict(botId, verdict));
+            if (!result.ok) {
+                console.log(`❌ Bot verdict rejected in room ${roomCode}: ${result.error || 'not allowed right now'}`);
+            }
+        });
+    });
+}
+
+// Bots that took over a seat with a night ability use it (optional ones, like the Black Police shot, are passed)
+function scheduleBotNightActions(roomCode) {
+    const room = rooms.get(roomCode);
+    const botManager = getBotManager(roomCode);
+    if (!room || !botManager) return;
+    
+    const alivePlayers = getGameEngine(roomCode).getAlivePlayers();
+    for (const bot of alivePlayers.filter(p => p.isBot)) {
+        const action = RoleRegistry.getNightActions(bot.role)[0];
+        if (!action) continue;
+        
+        const rules = RoleRegistry.getNightActionRules(action);
+        const team = RoleRegistry.getRoleDefinition(bot.role).team;
+        const candidates = alivePlayers.filter(p =>
+            (p.id !== bot.id || rules.allowSelfTarget) &&
+            !(action === 'kill' && RoleRegistry.isOnTeam(p.role, team)));
+        
+        botManager.scheduleBotNightAction(bot.id, action, candidates, !!rules.canPass, (botId, botAction, targetId) => {
+            const engine = getGameEngine(roomCode);
+            if (!engine) return;
+            
+            const result = applyEngineResult(roomCode, engine.nightAction(botId, botAction, targetId));
+            if (!result.ok) {
+                console.log(`❌ Bot night action rejected in room ${roomCode}: ${result.error || 'not allowed right now'}`);
+            }
+        });
     }
+}
+
+function executeBotVote(roomCode, botId, targetId) {
+    const engine = getGameEngine(roomCode);
+    if (!engine) return;
     
-    // Store the vote
-    room.votes.set(botId, targetId);
-    const targetPlayer = room.players.get(targetId);
-    const botPlayer = room.players.get(botId);
-    
-    console.log(`✅ Bot vote stored: ${botPlayer?.name} → ${targetPlayer?.name} (Total votes: ${room.votes.size})`);
-    
-    if (!targetPlayer || !botPlayer) {
-        console.log(`❌ Missing player data: bot=${!!botPlayer}, target=${!!targetPlayer}`);
+    const result = applyEngineResult(roomCode, engine.vote(botId, targetId));
+    if (!result.ok) {
+        console.log(`❌ Bot vote rejected in room ${roomCode}: ${result.error || 'not allowed right now'}`);
         return;
     }
     
-    // Broadcast vote information (same as human votes)
-    const voteCounts = new Map();
-    const voteDetails = [];
-    
-    for (const [voter, target] of room.votes) {
-        if (!room.deadPlayers.has(voter)) {
-            voteCounts.set(target, (voteCounts.get(target) || 0) + 1);
-            
-            const voterName = room.players.get(voter).name;
-            const targetName = room.players.get(target).name;
-            voteDetails.push({
-                voterName: voterName,
-                targetName: targetName,
-                voterId: voter,
-                targetId: target
-            });
-        }
-    }
-    
-    io.to(roomCode).emit('voteUpdate', {
-        totalVotes: room.votes.size,
-        alivePlayers: Array.from(room.players.keys()).filter(id => !room.deadPlayers.has(id)).length,
-        voteCounts: Array.from(voteCounts.entries()).map(([playerId, votes]) => ({
-            playerName: room.players.get(playerId).name,
-            votes: votes
-        })),
-        voteDetails: voteDetails,
-        latestVote: {
-            voterName: botPlayer.name,
-            targetName: targetPlayer.name,
-            isBot: true
-        }
-    });
-    
     // Update bot manager with voting event
     const botManager = getBotManager(roomCode);
     if (botManager) {
         botManager.onGameEvent('voteReceived', {
             voterPlayerId: botId,
             targetPlayerId: targetId,
-            phase: room.phase
-        });
-    }
-    
-    console.log(`Bot ${botPlayer.name} voted for ${targetPlayer.name} in room ${roomCode}`);
-    
-    // Check if all alive players have voted (including bots)
-    const alivePlayers = Array.from(room.players.keys()).filter(id => !room.deadPlayers.has(id));
-    const votersWhoVoted = Array.from(room.votes.keys()).filter(id => !room.deadPlayers.has(id));
-    
-    if (votersWhoVoted.length === alivePlayers.length) {
-        // All alive players have voted, process immediately
-        console.log(`🎯 All ${alivePlayers.length} alive players voted in room ${roomCode} - processing votes early (bot triggered)`);
-        
-        // Clear existing timer
-        if (room.timer) {
-            clearInterval(room.timer);
-            room.timer = null;
-        }
-        
-        // Notify clients that voting ended early
-        io.to(roomCode).emit('phaseEnded', {
-            reason: 'All players voted',
-            message: 'All players have voted! Processing results...'
+            phase: engine.room.phase
         });
-        
-        // Process votes after a brief delay
-        setTimeout(() => {
-            processVotesAndStartNight(roomCode);
-        }, 2000); // 2 second delay to show results
     }
 }
 
-function checkAllNightActionsComplete(roomCode) {
-    const room = rooms.get(roomCode);
-    if (!room || room.phase !== 'night') return false;
-    
-    const alivePlayers = Array.from(room.players.values())
-        .filter(p => !room.deadPlayers.has(p.id));
-    
-    // Check if mafia has made their kill (if there are mafia alive)
-    const aliveMafia = alivePlayers.filter(p => 
-        p.role === ROLES.MAFIA || p.role === ROLES.SUICIDE_BOMBER || p.role === ROLES.MANIPULATOR
-    );
-    const mafiaKillMade = room.nightActionsUsed.has('mafia_kill');
+// Host and moderator tools, and which room roles may use them
+const TOOL_PERMISSIONS = {
+    closeGame: ['host', 'moderator'],
+    kickPlayer: ['host', 'moderator'],
+    pauseGame: ['host', 'moderator'],
+    extendPhase: ['host', 'moderator'],
+    skipPhase: ['host', 'moderator'],
+    modkill: ['moderator'],
+    narrate: ['moderator']
+};
+
+// Room roles a player holds: 'host' and/or 'moderator' (the host running a game they don't play in)
+function getRoomRoles(room, playerId) {
+    const roles = [];
+    if (room.hostId === playerId) roles.push('host');
+    if (room.gameStarted && room.moderatorId === playerId) roles.push('moderator');
+    return roles;
+}
+
+function hasPermission(room, playerId, tool) {
+    const allowed = TOOL_PERMISSIONS[tool] || [];
+    return getRoomRoles(room, playerId).some(role => allowed.includes(role));
+}
+
+// The dead and the moderator watch the game from the graveyard channel with every role visible
+function isSpectator(room, playerId) {
+    return room.gameStarted && (room.deadPlayers.has(playerId) || room.moderatorId === playerId);
+}
+
+// Decide which role (if any) a viewer may see for a given player
+function getVisibleRole(room, viewerId, player) {
+    if (!player || !player.role) return null;
+    if (room.phase === 'gameOver') return player.role;
+    if (player.id === viewerId) return player.role;
     
-    // Check if detective has investigated (if there's a detective alive)
-    const aliveDetectives = alivePlayers.filter(p => p.role === ROLES.DETECTIVE);
-    let detectiveInvestigated = true;
+    // The dead and the moderator spectate and see every role
+    if (isSpectator(room, viewerId)) return player.role;
     
-    for (const detective of aliveDetectives) {
-        const detectiveActionKey = `detective_investigate_${detective.id}`;
-        if (!room.nightActionsUsed.has(detectiveActionKey)) {
-            detectiveInvestigated = false;
-            break;
-        }
+    // Mafia see their teammates; Black Police observe the Mafia
+    const viewer = room.players.get(viewerId);
+    if (viewer && RoleRegistry.canObserveRole(viewer.role, player.role)) {
+        return player.role;
     }
     
-    // Check if doctor has protected (if there's a doctor alive)
-    const aliveDoctors = alivePlayers.filter(p => p.role === ROLES.DOCTOR);
-    let doctorProtected = true;
-    
-    for (const doctor of aliveDoctors) {
-        const doctorActionKey = `doctor_protect_${doctor.id}`;
-        if (!room.nightActionsUsed.has(doctorActionKey)) {
-            doctorProtected = false;
-            break;
-        }
+    if (room.deadPlayers.has(player.id) && (player.revealMode || room.settings.roleRevealMode) === 'role') {
+        return player.role;
     }
     
-    // All actions complete if:
-    // 1. Mafia has made their kill (or no mafia alive)
-    // 2. All detectives have investigated (or no detectives alive)
-    // 3. All doctors have protected (or no doctors alive)
-    const allActionsComplete = (aliveMafia.length === 0 || mafiaKillMade) && 
-                               (aliveDetectives.length === 0 || detectiveInvestigated) &&
-                               (aliveDoctors.length === 0 || doctorProtected);
-    
-    return allActionsComplete;
+    return null;
 }
 
-function endPhaseEarly(roomCode, reason) {
-    const room = rooms.get(roomCode);
-    if (!room) return;
-    
-    // Clear the current timer
-    if (room.timer) {
-        clearInterval(room.timer);
-        room.timer = null;
-    }
+// Alignment a viewer may see: any visible role's, or a dead player's under the 'alignment' reveal mode
+function getVisibleAlignment(room, viewerId, player) {
+    if (!player || !player.role) return null;
     
-    // Set time remaining to 0
-    room.timeRemaining = 0;
+    const visibleRole = getVisibleRole(room, viewerId, player);
+    if (visibleRole) return RoleRegistry.getAlignment(visibleRole);
     
-    // Notify players
-    io.to(roomCode).emit('phaseEnded', { reason });
-    
-    // Transition to next phase
-    if (room.phase === 'night') {
-        setTimeout(() => {
-            startDayPhase(roomCode);
-        }, 2000); // Brief delay to show the message
+    if (room.deadPlayers.has(player.id) && (player.revealMode || room.settings.roleRevealMode) === 'alignment') {
+        return RoleRegistry.getAlignment(player.role);
     }
     
-    console.log(`Phase ended early in room ${roomCode}: ${reason}`);
+    return null;
 }
 
-function broadcastGameStateToRoom(roomCode) {
+// Build the player list as seen by one viewer
+function projectPlayersFor(room, viewerId) {
+    return Array.from(room.players.values()).map(p => ({
+        id: p.id,
+        userId: p.userId || null,
+        name: p.name,
+        role: getVisibleRole(room, viewerId, p),
+        alignment: getVisibleAlignment(room, viewerId, p),
+        alive: p.alive,
+        isBot: !!p.isBot,
+        disconnected: !!p.disconnected
+    }));
+}
+
+// Build the game state payload for a single recipient
+function projectGameStateFor(roomCode, viewerId) {
     const room = rooms.get(roomCode);
-    if (!room) return;
+    if (!room) return null;
     
-    const publicGameState = {
+    return {
         phase: room.phase,
         playerCount: room.players.size,
-        players: Array.from(room.players.values()).map(p => ({ id: p.id, userId: p.userId || null, name: p.name, role: p.role, alive: p.alive, isBot: !!p.isBot })),
+        players: projectPlayersFor(room, viewerId),
         alivePlayers: Array.from(room.players.values())
-            .filter(p => !room.deadPlayers.has(p.id))
+            .filter(p => !room.deadPlayers.has(p.id) && p.id !== room.moderatorId)
             .map(p => ({ id: p.id, name: p.name, alive: true })),
         deadPlayers: Array.from(room.deadPlayers).map(playerId => {
             const player = room.players.get(playerId);
-            return { id: playerId, name: player ? player.name : 'Unknown Player', alive: false };
+            return {
+                id: playerId,
+                name: player ? player.name : 'Unknown Player',
+                role: getVisibleRole(room, viewerId, player),
+                alignment: getVisibleAlignment(room, viewerId, player),
+                alive: false
+            };
         }),
         dayCount: room.dayCount,
         timeRemaining: room.timeRemaining,
+        paused: !!room.paused,
         gameStarted: room.gameStarted,
         roomCode: roomCode,
         hostId: room.hostId,
+        moderatorId: room.moderatorId || null,
         settings: room.settings,
+        trial: room.trial ? {
+            accusedId: room.trial.accusedId,
+            stage: room.trial.stage,
+            myVerdict: room.trial.verdicts.get(viewerId) || null
+        } : null,
+        runoff: room.runoff ? { candidates: room.runoff.candidates } : null,
+        lastWords: room.lastWords ? { playerId: room.lastWords.playerId } : null,
+        myLastWill: room.lastWills.get(viewerId) || null,
         winStats: room.winStats
     };
+}
+
+// Emit an event to every human player in a room with a payload built for that player
+function emitToEachPlayer(roomCode, eventName, buildPayload) {
+    const room = rooms.get(roomCode);
+    if (!room) return;
     
-    io.to(roomCode).emit('gameState', publicGameState);
+    for (const [playerId, player] of room.players) {
+        if (player.isBot) continue;
+        const payload = buildPayload(playerId);
+        if (payload) {
+            io.to(playerId).emit(eventName, payload);
+        }
+    }
 }
 
-function checkWinCondition(roomCode) {
+// Tell every Mafia member (and Black Police observers) who is on the Mafia team
+// (onlyPlayerId limits it to one player, e.g. after they reconnect)
+function sendMafiaTeamInfo(roomCode, onlyPlayerId = null) {
     const room = rooms.get(roomCode);
-    if (!room) return null;
+    if (!room) return;
     
-    const alivePlayers = Array.from(room.players.values())
-        .filter(p => !room.deadPlayers.has(p.id));
+    const mafiaMembers = Array.from(room.players.values()).filter(p => RoleRegistry.isOnTeam(p.role, 'mafia'));
     
-    // Count mafia vs innocent players (include all mafia types)
-    const aliveMafia = alivePlayers.filter(p => 
-        p.role === ROLES.MAFIA || p.role === ROLES.SUICIDE_BOMBER || p.role === ROLES.MANIPULATOR
-    );
-    const aliveInnocents = alivePlayers.filter(p => 
-        p.role === ROLES.DETECTIVE || p.role === ROLES.CIVILIAN || p.role === ROLES.DOCTOR ||
-        p.role === ROLES.WHITE_POLICE || p.role === ROLES.BLACK_POLICE
-    );
+    emitToEachPlayer(roomCode, 'mafiaTeamInfo', (viewerId) => {
+        if (onlyPlayerId && viewerId !== onlyPlayerId) return null;
+        const viewer = room.players.get(viewerId);
+        if (!RoleRegistry.canObserveTeam(viewer.role, 'mafia')) return null;
+        
+        const teammates = mafiaMembers
+            .filter(member => member.id !== viewerId)
+            .map(member => ({ id: member.id, name: member.name, role: getVisibleRole(room, viewerId, member) }));
+        if (teammates.length === 0) return null;
+        
+        return {
+            teammates: teammates,
+            message: RoleRegistry.isOnTeam(viewer.role, 'mafia')
+                ? `Your mafia teammates: ${teammates.map(t => t.name).join(', ')}`
+                : `Mafia members present: ${teammates.map(t => t.name).join(', ')}`
+        };
+    });
+}
+
+function broadcastGameStateToRoom(roomCode) {
+    emitToEachPlayer(roomCode, 'gameState', (viewerId) => projectGameStateFor(roomCode, viewerId));
+}
+
+// Send everyone back to the lobby view (roles stripped per recipient)
+function emitReturnedToLobby(roomCode, message, resetBy) {
+    const room = rooms.get(roomCode);
+    if (!room) return;
     
-    // Gray Police is neutral and doesn't count for either side in win conditions
-    // (They can choose their allegiance during gameplay)
+    emitToEachPlayer(roomCode, 'returnedToLobby', (viewerId) => ({
+        message: message,
+        resetBy: resetBy,
+        playerCount: room.players.size,
+        players: projectPlayersFor(room, viewerId),
+        hostId: room.hostId,
+        settings: room.settings
+    }));
+}
+
+// Game engine management
+function getGameEngine(roomCode) {
+    let engine = roomEngines.get(roomCode);
+    if (!engine) {
+        const room = rooms.get(roomCode);
+        if (!room) return null;
+        engine = new GameEngine(room);
+        roomEngines.set(roomCode, engine);
+    }
+    return engine;
+}
+
+// Keep the graveyard channel in step with who is dead (everyone leaves it once the game is reset)
+function syncGraveyard(roomCode) {
+    const room = rooms.get(roomCode);
+    if (!room) return;
     
-    console.log(`Win condition check for room ${roomCode}: ${aliveMafia.length} Mafia, ${aliveInnocents.length} Innocents`);
+    const channel = GameEngine.graveyardChannel(roomCode);
+    for (const [playerId, player] of room.players) {
+        if (player.isBot) continue;
+        if (isSpectator(room, playerId)) {
+            io.in(playerId).socketsJoin(channel);
+        } else {
+            io.in(playerId).socketsLeave(channel);
+        }
+    }
+}
+
+// Translate engine events into socket emits and side effects
+function applyEngineResult(roomCode, result, socket = null) {
+    if (!result) return null;
     
-    // Innocents win if all mafia are eliminated
-    if (aliveMafia.length === 0) {
-        return {
-            winner: 'innocents',
-            reason: 'All Mafia members have been eliminated!',
-            survivors: aliveInnocents.map(p => ({ name: p.name, role: p.role })),
-            totalDays: room.dayCount
-        };
+    if (result.error && socket) {
+        socket.emit('error', result.error);
     }
     
-    // Mafia wins if they equal or outnumber innocents
-    if (aliveMafia.length >= aliveInnocents.length) {
-        return {
-            winner: 'mafia',
-            reason: `Mafia (${aliveMafia.length}) equal or outnumber innocents (${aliveInnocents.length})!`,
-            survivors: aliveMafia.map(p => ({ name: p.name, role: p.role })),
-            totalDays: room.dayCount
-        };
+    // Players who just died join the graveyard before this batch of events goes out
+    if (result.events.length > 0) {
+        syncGraveyard(roomCode);
     }
     
-    return null; // Game continues
+    for (const event of result.events) {
+        switch (event.type) {
+            case 'emit':
+                io.to(event.to || roomCode).emit(event.event, event.data);
+                break;
+            case 'state':
+                broadcastGameStateToRoom(roomCode);
+                break;
+            case 'mafiaTeamChanged':
+                sendMafiaTeamInfo(roomCode, event.playerId);
+                break;
+            case 'gameStarted': {
+                const botManager = getBotManager(roomCode);
+                if (botManager) {
+                    botManager.onGameEvent('gameStarted', { allPlayers: event.players });
+                }
+                break;
+            }
+            case 'phaseStarted':
+                if (event.phase === 'night') {
+                    scheduleBotNightActions(roomCode);
+                } else if (getGameEngine(roomCode).isVotingOpen()) {
+                    // Schedule bot voting once ballots are accepted (whole day, or the voting sub-phase)
+                    scheduleBotVoting(roomCode);
+                } else if (event.phase === 'trial' && event.stage === 'verdict') {
+                    scheduleBotVerdicts(roomCode);
+                }
+                break;
+            case 'gameEnded':
+                stopRoomClock(roomCode);
+                recordGameResult(roomCode, event.winCondition);
+                break;
+            case 'replaceWithBot':
+                replacePlayerWithBot(roomCode, event.playerId, event.message);
+                break;
+            case 'gameStopped':
+                stopRoomClock(roomCode);
+                endVoteKick(roomCode, false);
+                clearChatLog(roomCode);
+                removeDisconnectedPlayers(roomCode);
+                break;
+        }
+    }
+    
+    return result;
+}
+
+// Drive the engine's clock once per second while a game is running
+function startRoomClock(roomCode) {
+    const room = rooms.get(roomCode);
+    if (!room) return;
+    
+    stopRoomClock(roomCode);
+    room.timer = setInterval(() => {
+        const engine = getGameEngine(roomCode);
+        if (!engine) return;
+        applyEngineResult(roomCode, engine.tick());
+    }, 1000);
 }
 
-async function endGameWithTracking(roomCode, winCondition) {
+function stopRoomClock(roomCode) {
     const room = rooms.get(roomCode);
-    if (!room || !winCondition) return;
+    if (room && room.timer) {
+        clearInterval(room.timer);
+        room.timer = null;
+    }
+}
+
+// Persist the finished game and per-player stats
+async function recordGameResult(roomCode, winCondition) {
+    const room = rooms.get(roomCode);
+    const engine = getGameEngine(roomCode);
+    if (!room || !engine || !winCondition) return;
     
     try {
         // Create game session in database
@@ -1081,18 +1187,15 @@ async function endGameWithTracking(roomCode, winCondition) {
         
         // Update player statistics
         for (const [playerId, player] of room.players) {
+            if (playerId === room.moderatorId) continue; // The moderator didn't play
             const survived = !room.deadPlayers.has(playerId);
-            let won = false;
-            
-            // Determine if player won
-            if (winCondition.winner === 'mafia') {
-                won = (player.role === 'mafia' || player.role === 'suicide_bomber' || player.role === 'manipulator');
-            } else if (winCondition.winner === 'innocents') {
-                won = !(player.role === 'mafia' || player.role === 'suicide_bomber' || player.role === 'manipulator');
-            }
+            const won = engine.didPlayerWin(player, winCondition);
             
-            // Add to game participants
-            await db.addGameParticipant(sessionId, player.userId, player.name, player.role, survived, won);
+            // Add to game participants, with their last will and any last words
+            await db.addGameParticipant(sessionId, player.userId, player.name, player.role, survived, won, {
+                lastWill: engine.getLastWill(playerId),
+                lastWords: room.lastWordsLog.filter(entry => entry.playerId === playerId).map(entry => entry.message)
+            });
             
             // Update user stats if authenticated
             if (player.userId) {
@@ -1104,549 +1207,442 @@ async function endGameWithTracking(roomCode, winCondition) {
     } catch (error) {
         console.error('Error saving game statistics:', error);
     }
-    
-    // Update win statistics
-    room.winStats.totalGames++;
-    if (winCondition.winner === 'mafia') {
-        room.winStats.mafiaWins++;
-    } else if (winCondition.winner === 'innocents') {
-        room.winStats.civilianWins++;
-    }
-    
-    // Add win stats to the win condition data
-    winCondition.winStats = {
-        mafiaWins: room.winStats.mafiaWins,
-        civilianWins: room.winStats.civilianWins,
-        totalGames: room.winStats.totalGames
-    };
-    
-    room.phase = 'gameOver';
-    io.to(roomCode).emit('gameOver', winCondition);
-    
-    // Broadcast updated game state with new win stats
-    broadcastGameStateToRoom(roomCode);
-    
-    console.log(`Game ended in room ${roomCode}: ${winCondition.winner} wins after ${winCondition.totalDays} days`);
-    console.log(`Room ${roomCode} stats: Mafia ${room.winStats.mafiaWins} - ${room.winStats.civilianWins} Civilians (${room.winStats.totalGames} total games)`);
 }
 
-function startPhaseTimer(roomCode, duration, nextPhase) {
+function resetGameState(roomCode) {
+    const engine = getGameEngine(roomCode);
+    if (!engine) return;
+    applyEngineResult(roomCode, engine.reset());
+}
+
+function updatePublicLobby(roomCode) {
     const room = rooms.get(roomCode);
-    if (!room) return;
-    
-    room.timeRemaining = duration;
+    if (!room || !room.isPublic) return;
     
-    if (room.timer) {
-        clearInterval(room.timer);
-    }
+    const hostPlayer = room.players.get(room.hostId);
+    if (!hostPlayer) return;
     
-    room.timer = setInterval(() => {
-        room.timeRemaining--;
-        
-        if (room.timeRemaining <= 0) {
-            clearInterval(room.timer);
-            room.timer = null;
-            
-            if (nextPhase === 'day') {
-                startDayPhase(roomCode);
-            } else if (nextPhase === 'night') {
-                startNightPhase(roomCode);
-            } else if (nextPhase === 'processVotesAndNight') {
-                processVotesAndStartNight(roomCode);
-            }
-        }
-        
-        broadcastGameStateToRoom(roomCode);
-    }, 1000);
+    roomStore.setPublicLobby(roomCode, {
+        roomCode: roomCode,
+        lobbyName: room.lobbyName,
+        lobbyDescription: room.lobbyDescription,
+        hostName: hostPlayer.name,
+        hostId: room.hostId,
+        playerCount: room.players.size,
+        maxPlayers: room.settings.maxPlayers,
+        gameStarted: room.gameStarted,
+        createdAt: room.createdAt,
+        mafiaCount: room.settings.mafiaCount
+    }).catch(logStoreError);
+}
+
+// Directory writes don't block the game; a failure only delays what other instances see
+function logStoreError(error) {
+    console.error('Room store error:', error);
 }
 
-function startDayPhase(roomCode) {
+function cleanupRoom(roomCode) {
     const room = rooms.get(roomCode);
-    if (!room) return;
-    
-    // Process night actions before starting day phase
-    const gameCanContinue = processNightActions(roomCode);
-    if (!gameCanContinue) {
-        return; // Game ended during night action processing
+    if (room && room.timer) {
+        clearInterval(room.timer);
+    }
+    if (room) {
+        for (const playerId of room.players.keys()) {
+            clearReconnectTimer(playerId);
+        }
+        if (room.voteKick) clearTimeout(room.voteKick.timer);
     }
     
-    room.phase = 'day';
-    room.dayCount++;
-    room.votes.clear();
-    
-    const alivePlayers = Array.from(room.players.values())
-        .filter(p => !room.deadPlayers.has(p.id));
-    
-    io.to(roomCode).emit('phaseChange', {
-        phase: 'day',
-        message: `Day ${room.dayCount} begins! Discuss and vote - ${alivePlayers.length} players deciding fate.`
-    });
+    roomEngines.delete(roomCode);
     
-    // Schedule bot voting for day phase
-    scheduleBotVoting(roomCode);
+    // Cleanup bot manager
+    const botManager = roomBotManagers.get(roomCode);
+    if (botManager) {
+        botManager.cleanup();
+        roomBotManagers.delete(roomCode);
+    }
     
-    // Day phase now includes voting - when timer ends, process votes and go to night
-    const isTutorial = room.tutorial?.active === true;
-    const dayDuration = isTutorial ? 25 : DAY_DURATION;
-    startPhaseTimer(roomCode, dayDuration, 'processVotesAndNight');
-    broadcastGameStateToRoom(roomCode);
-    console.log(`Day ${room.dayCount} started in room ${roomCode} - ${dayDuration} seconds for discussion and voting`);
+    rooms.delete(roomCode);
+    // Drop the snapshot before the claim, so no other instance restores the closed room
+    db.deleteRoomSnapshot(roomCode)
+        .catch(error => console.error('Error deleting room snapshot:', error))
+        .then(() => roomStore.releaseRoom(roomCode, INSTANCE_ID)) // Also drops its public lobby
+        .catch(logStoreError);
+}
+
+// Keep the last few messages of a chat channel for players who reconnect
+function recordChat(room, channel, playerName, message) {
+    const log = room.chatLog[channel];
+    log.push({ playerName, message });
+    if (log.length > CHAT_SCROLLBACK) log.shift();
 }
 
-function processNightActions(roomCode) {
+function clearChatLog(roomCode) {
     const room = rooms.get(roomCode);
-    if (!room) return false;
-    
-    // Process mafia kill if one was decided
-    if (room.mafiaKillTarget) {
-        const targetPlayer = room.players.get(room.mafiaKillTarget);
-        if (targetPlayer && !room.deadPlayers.has(room.mafiaKillTarget)) {
-            
-            // Check if target was protected by doctor
-            if (room.protectedPlayers && room.protectedPlayers.has(room.mafiaKillTarget)) {
-                // Target was protected, kill fails
-                
-                // Check if doctor saved themselves
-                let doctorPlayer = null;
-                for (const [playerId, player] of room.players) {
-                    if (player.role === ROLES.DOCTOR && !room.deadPlayers.has(playerId)) {
-                        doctorPlayer = player;
-                        break;
-                    }
-                }
-                
-                if (room.mafiaKillTarget === doctorPlayer?.id) {
-                    // Doctor saved themselves
-                    io.to(roomCode).emit('playerSaved', {
-                        playerId: null,
-                        playerName: null,
-                        message: `No one died tonight. The village is safe... for now.`
-                    });
-                    console.log(`Doctor ${targetPlayer.name} saved themselves in room ${roomCode}`);
-                } else {
-                    // Doctor saved someone else
-                    io.to(roomCode).emit('playerSaved', {
-                        playerId: null,
-                        playerName: null,
-                        message: `No one died tonight. The village is safe... for now.`
-                    });
-                    console.log(`${targetPlayer.name} was attacked by Mafia but protected by Doctor in room ${roomCode}`);
-                }
-            } else {
-                // No protection, kill succeeds
-                room.deadPlayers.add(room.mafiaKillTarget);
-                
-                // Check if the killed player was the doctor
-                let wasDoctor = targetPlayer.role === ROLES.DOCTOR;
-                let doctorProtectedSomeoneElse = false;
-                
-                if (wasDoctor && room.protectedPlayers && room.protectedPlayers.size > 0) {
-                    // Doctor died but protected someone else
-                    doctorProtectedSomeoneElse = true;
-                    const protectedPlayerId = Array.from(room.protectedPlayers)[0];
-                    const protectedPlayer = room.players.get(protectedPlayerId);
-                    
-                    io.to(roomCode).emit('playerEliminated', {
-                        playerId: room.mafiaKillTarget,
-                        playerName: targetPlayer.name,
-                        phase: 'night',
-                        message: `${targetPlayer.name} was eliminated by the Mafia. Someone was protected tonight.`
-                    });
-                } else {
-                    io.to(roomCode).emit('playerEliminated', {
-                        playerId: room.mafiaKillTarget,
-                        playerName: targetPlayer.name,
-                        phase: 'night'
-                    });
-                }
-                
-                console.log(`Mafia eliminated ${targetPlayer.name} (${targetPlayer.role}) in room ${roomCode}`);
-            }
-        }
-        
-        // Clear the mafia kill target after processing
-        room.mafiaKillTarget = null;
-    } else {
-        // No mafia kill target, check if doctor protected someone anyway
-        if (room.protectedPlayers && room.protectedPlayers.size > 0) {
-            io.to(roomCode).emit('playerSaved', {
-                playerId: null,
-                playerName: null,
-                message: `The night was peaceful. No one was attacked.`
-            });
-        }
-    }
-    
-    // Don't check win condition immediately after night actions
-    // Let the day phase proceed and check win condition after voting
-    return true; // Indicate game continues
+    if (!room) return;
+    room.chatLog = { public: [], mafia: [], police: [], graveyard: [] };
+}
+
+// Recent messages from every channel this player may read
+function getChatScrollback(room, playerId) {
+    const player = room.players.get(playerId);
+    const moderator = room.moderatorId === playerId;
+    return {
+        public: room.chatLog.public,
+        mafia: moderator || RoleRegistry.canUseChatChannel(player.role, 'mafia') ? room.chatLog.mafia : [],
+        police: moderator || RoleRegistry.canUseChatChannel(player.role, 'police') ? room.chatLog.police : [],
+        graveyard: isSpectator(room, playerId) ? room.chatLog.graveyard : []
+    };
+}
+
+function clearReconnectTimer(playerId) {
+    clearTimeout(reconnectTimers.get(playerId));
+    reconnectTimers.delete(playerId);
+}
+
+// Unguessable token that lets this browser take its seat back after a dropped connection
+function createRejoinToken() {
+    return crypto.randomBytes(16).toString('hex');
 }
 
-function startNightPhase(roomCode) {
+// Players still disconnected when a game is stopped are not held in the lobby
+function removeDisconnectedPlayers(roomCode) {
     const room = rooms.get(roomCode);
     if (!room) return;
     
-    room.phase = 'night';
-    room.votes.clear();
-    room.nightActionsUsed.clear(); // Reset night actions for new night
-    room.protectedPlayers = new Set(); // Clear doctor protections from previous night
-    room.mafiaKillTarget = null; // Clear mafia kill target for new night
+    const disconnected = Array.from(room.players.values()).filter(p => p.disconnected).map(p => p.id);
+    for (const playerId of disconnected) {
+        clearReconnectTimer(playerId);
+        removeDepartedPlayer(roomCode, playerId);
+    }
+}
+
+// Hand the host role to the first human player; with none left the room is closed (bots never host).
+// Returns false when the room was closed.
+function transferHostToHuman(roomCode) {
+    const room = rooms.get(roomCode);
+    if (!room) return false;
     
-    // Determine if this is the first night or a regular night
-    const isFirstNight = room.dayCount === 0;
+    // Find the next human player to transfer host to (never transfer to bots)
+    const humanPlayers = Array.from(room.players.entries()).filter(([id, player]) => !player.isBot);
     
-    // Only check win condition after the first night (not at game start)
-    if (!isFirstNight) {
-        const winCondition = checkWinCondition(roomCode);
-        if (winCondition) {
-            endGameWithTracking(roomCode, winCondition);
-            return;
-        }
+    if (humanPlayers.length > 0) {
+        // Transfer host to first human player
+        const [newHostId, newHost] = humanPlayers[0];
+        room.hostId = newHostId;
+        io.to(roomCode).emit('hostChanged', {
+            newHostId: newHostId,
+            newHostName: newHost.name
+        });
+        console.log(`Host transferred to ${newHost.name} in room ${roomCode}`);
+        return true;
     }
-    const nightMessage = isFirstNight 
-        ? '🌙 The game begins under cover of darkness. Special roles, make your first moves!'
-        : `🌙 Night ${room.dayCount} falls on Volmora. Special roles, make your moves!`;
     
-    io.to(roomCode).emit('phaseChange', {
-        phase: 'night',
-        message: nightMessage
-    });
+    // No human players left - close the lobby (prevent bot from becoming host)
+    console.log(`🤖 PROTECTION: No human players left in room ${roomCode} - closing lobby to prevent bot host`);
+    cleanupRoom(roomCode);
+    return false;
+}
+
+// Hand a human's seat to a bot that keeps their role (inactivity, or a reconnect window that ran out mid-game)
+function replacePlayerWithBot(roomCode, playerId, message, extra = {}) {
+    const room = rooms.get(roomCode);
+    if (!room || !room.players.has(playerId)) return;
+    
+    clearReconnectTimer(playerId);
+    const botManager = getBotManager(roomCode) || createBotManager(roomCode);
+    const bot = botManager.createBot();
+    const result = applyEngineResult(roomCode, getGameEngine(roomCode).replaceWithBot(playerId, bot));
+    if (!result.ok) {
+        botManager.removeBot(bot.id);
+        return;
+    }
     
-    const isTutorial = room.tutorial?.active === true;
-    const nightDuration = isTutorial ? 20 : NIGHT_DURATION;
-    startPhaseTimer(roomCode, nightDuration, 'day');
-    broadcastGameStateToRoom(roomCode);
+    // The replaced player (if still connected) is taken out of the room
+    io.to(playerId).emit('roomLeft', { message, ...extra });
+    io.in(playerId).socketsLeave([roomCode, GameEngine.graveyardChannel(roomCode)]);
     
-    const nightLabel = isFirstNight ? 'Night 0 (First Night)' : `Night ${room.dayCount}`;
-    console.log(`${nightLabel} started in room ${roomCode} - ${nightDuration} seconds for actions`);
+    if (room.hostId === bot.id) {
+        transferHostToHuman(roomCode);
+    }
+    updatePublicLobby(roomCode);
 }
 
-// Voting phase has been integrated into the day phase
-// This function is no longer used
-
-function processVotes(roomCode) {
+// Remove a player for good (reconnect window over): hand off the host, refill bots, close empty rooms
+function removeDepartedPlayer(roomCode, playerId) {
     const room = rooms.get(roomCode);
-    if (!room) return { eliminated: null, maxVotes: 0, tie: false };
+    if (!room || !room.players.has(playerId)) return;
     
-    const voteCounts = new Map();
-    const voteDetails = new Map(); // Track who voted for whom
+    const player = room.players.get(playerId);
+    const removal = getGameEngine(roomCode).removePlayer(playerId);
     
-    console.log(`📊 Processing votes for room ${roomCode}:`);
-    console.log(`  Total votes stored: ${room.votes.size}`);
-    console.log(`  Dead players: ${Array.from(room.deadPlayers).map(id => room.players.get(id)?.name).join(', ')}`);
-    console.log(`  All votes in Map:`, Array.from(room.votes.entries()).map(([voter, target]) => 
-        `${room.players.get(voter)?.name}(${room.players.get(voter)?.isBot ? 'bot' : 'human'}) → ${room.players.get(target)?.name}`).join(', '));
+    io.to(roomCode).emit('playerLeft', {
+        playerId: playerId,
+        playerName: player.name
+    });
     
-    // Count votes from alive players only
-    for (const [voter, target] of room.votes) {
-        const voterPlayer = room.players.get(voter);
-        const targetPlayer = room.players.get(target);
-        const isVoterDead = room.deadPlayers.has(voter);
-        
-        console.log(`  Vote: ${voterPlayer?.name} → ${targetPlayer?.name} (voter dead: ${isVoterDead}, voter is bot: ${voterPlayer?.isBot})`);
-        
-        if (!room.deadPlayers.has(voter)) {
-            voteCounts.set(target, (voteCounts.get(target) || 0) + 1);
-            if (!voteDetails.has(target)) {
-                voteDetails.set(target, []);
-            }
-            const voterName = room.players.get(voter).name;
-            voteDetails.get(target).push(voterName);
-            console.log(`    ✅ Vote counted: ${voterName} → ${targetPlayer?.name}`);
-        } else {
-            console.log(`    ❌ Vote rejected: ${voterPlayer?.name} is dead`);
-        }
+    // A vote-kick against them is moot; otherwise the voters left may now decide it
+    if (room.voteKick && room.voteKick.targetId === playerId) {
+        clearTimeout(room.voteKick.timer);
+        room.voteKick = null;
+        io.to(roomCode).emit('voteKickEnded', {
+            targetId: playerId,
+            passed: false,
+            message: `👢 ${player.name} left before the vote to kick them ended.`
+        });
+    } else {
+        checkVoteKick(roomCode);
     }
     
-    console.log(`📈 Final vote counts:`, Array.from(voteCounts.entries()).map(([target, votes]) => 
-        `${room.players.get(target)?.name}: ${votes}`).join(', '));
-    
-    let maxVotes = 0;
-    let eliminated = null;
-    let tieCount = 0;
-    
-    // Find player(s) with most votes
-    for (const [target, votes] of voteCounts) {
-        if (votes > maxVotes) {
-            maxVotes = votes;
-            eliminated = target;
-            tieCount = 1;
-        } else if (votes === maxVotes && votes > 0) {
-            tieCount++;
-            eliminated = null; // Clear elimination due to tie
-        }
+    // Handle host transfer if the host left
+    if (playerId === room.hostId && room.players.size > 0 && !transferHostToHuman(roomCode)) {
+        return; // Room closed: no human left to host
     }
     
-    const result = {
-        eliminated: eliminated,
-        maxVotes: maxVotes,
-        tie: tieCount > 1 && maxVotes > 0,
-        voteCounts: voteCounts,
-        voteDetails: voteDetails
-    };
+    // Clean up empty rooms or reset game if not enough players
+    if (room.players.size === 0) {
+        cleanupRoom(roomCode);
+        console.log(`Room ${roomCode} deleted - no players left`);
+        return;
+    }
+    applyEngineResult(roomCode, removal);
     
-    // Handle elimination or tie
-    if (result.tie) {
-        io.to(roomCode).emit('votingResult', {
-            type: 'tie',
-            message: `Voting resulted in a tie! No one was eliminated.`,
-            voteCounts: Array.from(voteCounts.entries()).map(([playerId, votes]) => ({
-                playerName: room.players.get(playerId).name,
-                votes: votes
-            }))
-        });
-        console.log(`Voting tie in room ${roomCode} - no elimination`);
-    } else if (eliminated && maxVotes > 0) {
-        const eliminatedPlayer = room.players.get(eliminated);
-        
-        // Check if eliminated player is a Suicide Bomber
-        if (eliminatedPlayer.role === ROLES.SUICIDE_BOMBER) {
-            // Don't eliminate immediately - give Suicide Bomber a chance to activate ability
-            io.to(eliminated).emit('suicideBomberActivation', {
-                message: `💥 You've been discovered! Choose up to 2 players to eliminate with you!`,
-                availableTargets: Array.from(room.players.entries())
-                    .filter(([id, player]) => id !== eliminated && !room.deadPlayers.has(id))
-                    .map(([id, player]) => ({ id, name: player.name }))
-            });
-            
-            io.to(roomCode).emit('votingResult', {
-                type: 'suicideBomberDiscovered',
-                message: `${eliminatedPlayer.name} was discovered! They have 30 seconds to make their final choice...`,
-                eliminatedPlayer: {
-                    name: eliminatedPlayer.name
-                },
-                voteCounts: Array.from(voteCounts.entries()).map(([playerId, votes]) => ({
-                    playerName: room.players.get(playerId).name,
-                    votes: votes
-                }))
-            });
-            
-            // Set timer for suicide bomber decision (30 seconds)
-            room.suicideBomberTimer = setTimeout(() => {
-                // Time's up - proceed with normal elimination
-                completeSuicideBomberElimination(roomCode, eliminated, [], maxVotes);
-            }, 30000);
-            
-            console.log(`${eliminatedPlayer.name} (Suicide Bomber) discovered in room ${roomCode} - awaiting target selection`);
-        } else {
-            // Normal elimination
-            room.deadPlayers.add(eliminated);
-            
-            io.to(roomCode).emit('playerEliminated', {
-                playerId: eliminated,
-                playerName: eliminatedPlayer.name,
-                phase: 'day',
-                votes: maxVotes
-            });
-            
-            io.to(roomCode).emit('votingResult', {
-                type: 'elimination',
-                message: `${eliminatedPlayer.name} was eliminated with ${maxVotes} vote(s)!`,
-                eliminatedPlayer: {
-                    name: eliminatedPlayer.name
-                },
-                voteCounts: Array.from(voteCounts.entries()).map(([playerId, votes]) => ({
-                    playerName: room.players.get(playerId).name,
-                    votes: votes
-                }))
-            });
-            
-            console.log(`${eliminatedPlayer.name} eliminated in room ${roomCode} with ${maxVotes} votes`);
+    // Check if we should add bots after a player leaves
+    if (hasHumanPlayers(roomCode)) {
+        // Only manage bots if there are still human players
+        if (shouldAddBots(roomCode)) {
+            addBotsToRoom(roomCode);
         }
+        
+        broadcastGameStateToRoom(roomCode);
+        updatePublicLobby(roomCode);
     } else {
-        io.to(roomCode).emit('votingResult', {
-            type: 'noVotes',
-            message: 'No votes were cast. No one was eliminated.',
-            voteCounts: []
-        });
-        console.log(`No votes cast in room ${roomCode}`);
+        // No human players left - close the lobby (prevent bot from becoming host)
+        console.log(`🤖 PROTECTION: No human players left in room ${roomCode} after disconnect - closing lobby to prevent bot host`);
+        cleanupRoom(roomCode);
     }
-    
-    return result;
 }
 
-function completeSuicideBomberElimination(roomCode, suicideBomberId, selectedTargets, originalVotes) {
+// Give a disconnected player the grace period to come back before their seat is given up
+function holdSeat(roomCode, playerId) {
+    clearReconnectTimer(playerId);
+    reconnectTimers.set(playerId, setTimeout(() => {
+        reconnectTimers.delete(playerId);
+        // Mid-game a bot keeps the seat (and role) so the game can go on; a moderator just leaves
+        const room = rooms.get(roomCode);
+        if (room && room.gameStarted && room.phase !== 'gameOver' && room.moderatorId !== playerId) {
+            replacePlayerWithBot(roomCode, playerId, 'Your reconnect window ran out and a bot took over your seat.');
+        } else {
+            removeDepartedPlayer(roomCode, playerId);
+        }
+    }, GameEngine.RECONNECT_GRACE * 1000));
+}
+
+// Kick a player out of the room (optionally banning them); mid-game a bot keeps their seat
+function kickFromRoom(roomCode, playerId, reason, ban = false) {
     const room = rooms.get(roomCode);
-    if (!room) return;
-    
-    const suicideBomber = room.players.get(suicideBomberId);
+    const player = room?.players.get(playerId);
+    if (!player) return;
     
-    // Clear the timer if it exists
-    if (room.suicideBomberTimer) {
-        clearTimeout(room.suicideBomberTimer);
-        room.suicideBomberTimer = null;
+    clearReconnectTimer(playerId);
+    if (ban) {
+        if (player.userId) room.bannedUserIds.add(player.userId);
+        if (player.guestId) room.bannedGuestIds.add(player.guestId);
     }
-    
-    // Eliminate the suicide bomber
-    room.deadPlayers.add(suicideBomberId);
-    
-    // Eliminate selected targets (checking for Doctor protection)
-    const eliminatedTargets = [];
-    const protectedTargets = [];
-    
-    for (const targetId of selectedTargets) {
-        if (!room.deadPlayers.has(targetId)) {
-            const targetPlayer = room.players.get(targetId);
-            
-            // Check if target was protected by doctor
-            if (room.protectedPlayers && room.protectedPlayers.has(targetId)) {
-                // Target was protected, they survive the bombing
-                protectedTargets.push(targetPlayer.name);
-                console.log(`${targetPlayer.name} was targeted by Suicide Bomber but protected by Doctor in room ${roomCode}`);
-            } else {
-                // No protection, target is eliminated
-                room.deadPlayers.add(targetId);
-                eliminatedTargets.push(targetPlayer.name);
-            }
-        }
+    if (room.voteKick && room.voteKick.targetId === playerId) {
+        clearTimeout(room.voteKick.timer);
+        room.voteKick = null;
     }
     
-    // Send elimination notification
-    io.to(roomCode).emit('playerEliminated', {
-        playerId: suicideBomberId,
-        playerName: suicideBomber.name,
-        phase: 'day',
-        votes: originalVotes,
-        suicideBomberTargets: eliminatedTargets,
-        protectedTargets: protectedTargets
+    io.to(roomCode).emit('playerKicked', {
+        playerId,
+        playerName: player.name,
+        reason,
+        banned: ban,
+        message: `👢 ${player.name} was ${ban ? 'banned' : 'kicked'} from the room: ${reason}`
     });
     
-    // Send special message about the suicide bombing
-    let message = `💥 ${suicideBomber.name}`;
-    
-    if (eliminatedTargets.length > 0 && protectedTargets.length > 0) {
-        message += ` went out with a bang, taking ${eliminatedTargets.join(' and ')} with them! 🛡️ However, ${protectedTargets.join(' and ')} were protected by the Doctor!`;
-    } else if (eliminatedTargets.length > 0) {
-        message += ` went out with a bang, taking ${eliminatedTargets.join(' and ')} with them!`;
-    } else if (protectedTargets.length > 0) {
-        message += ` tried to take ${protectedTargets.join(' and ')} with them, but the Doctor's protection saved them! 🛡️`;
+    const message = `You were ${ban ? 'banned' : 'kicked'} from room ${roomCode}: ${reason}`;
+    if (room.gameStarted && room.phase !== 'gameOver' && room.moderatorId !== playerId) {
+        replacePlayerWithBot(roomCode, playerId, message, { kicked: true, banned: ban });
     } else {
-        message += ` chose not to take anyone with them...`;
+        io.to(playerId).emit('roomLeft', { message, kicked: true, banned: ban });
+        io.in(playerId).socketsLeave([roomCode, GameEngine.graveyardChannel(roomCode)]);
+        removeDepartedPlayer(roomCode, playerId);
     }
-    
-    io.to(roomCode).emit('suicideBomberResult', {
-        bomberName: suicideBomber.name,
-        targetsEliminated: eliminatedTargets,
-        targetsProtected: protectedTargets,
-        message: message
-    });
-    
-    let logMessage = `Suicide Bomber ${suicideBomber.name} eliminated in room ${roomCode}`;
-    if (eliminatedTargets.length > 0) {
-        logMessage += `, eliminated ${eliminatedTargets.length} targets: ${eliminatedTargets.join(', ')}`;
-    }
-    if (protectedTargets.length > 0) {
-        logMessage += `, ${protectedTargets.length} targets protected: ${protectedTargets.join(', ')}`;
-    }
-    console.log(logMessage);
+    console.log(`${player.name} was ${ban ? 'banned' : 'kicked'} from room ${roomCode}: ${reason}`);
 }
 
-function processVotesAndStartNight(roomCode) {
-    const room = rooms.get(roomCode);
-    if (!room) return;
-    
-    console.log(`Processing votes for room ${roomCode}...`);
-    
-    // Process votes and get result
-    const voteResult = processVotes(roomCode);
-    
-    // Check win condition after potential elimination
-    const winCondition = checkWinCondition(roomCode);
-    if (winCondition) {
-        endGameWithTracking(roomCode, winCondition);
-        return;
-    }
+// Only living human players in the game may call or vote on a kick (not the dead, who see every role, nor the moderator)
+function canVoteKick(room, playerId) {
+    const player = room.players.get(playerId);
+    return !!player && !player.isBot && !room.deadPlayers.has(playerId) && playerId !== room.moderatorId;
+}
 
-    // Transition to night phase after a brief delay to show voting results
-    setTimeout(() => {
-        startNightPhase(roomCode);
-    }, 3000); // 3 second delay to show voting results
+// Everyone with a say in the running vote-kick except its target
+function getVoteKickVoters(room) {
+    return Array.from(room.players.keys())
+        .filter(id => canVoteKick(room, id) && id !== room.voteKick.targetId);
 }
 
-function resetGameState(roomCode) {
+// Tally a vote-kick: it passes with a majority of the voters, and fails once that is out of reach
+function checkVoteKick(roomCode) {
     const room = rooms.get(roomCode);
-    if (!room) return;
-    
-    // Reset game state but keep players and room settings
-    room.phase = 'lobby';
-    room.gameStarted = false;
-    room.dayCount = 0;
-    room.deadPlayers.clear();
-    room.votes.clear();
-    room.nightActionsUsed.clear();
-    room.protectedPlayers = new Set();
-    room.mafiaKillTarget = null; // Clear mafia kill target
-    room.timeRemaining = 0;
-    
-    // Clear timers
-    if (room.timer) {
-        clearInterval(room.timer);
-        room.timer = null;
-    }
-    
-    // Reset player roles
-    for (const [playerId, player] of room.players) {
-        player.role = null;
-        player.alive = true;
+    if (!room || !room.voteKick) return;
+    
+    const voters = getVoteKickVoters(room);
+    const needed = Math.floor(voters.length / 2) + 1;
+    const ballots = Array.from(room.voteKick.votes).filter(([id]) => voters.includes(id));
+    const yes = ballots.filter(([, approve]) => approve).length;
+    const no = ballots.length - yes;
+    
+    io.to(roomCode).emit('voteKickUpdated', { targetId: room.voteKick.targetId, yes, no, needed });
+    if (yes >= needed) {
+        endVoteKick(roomCode, true);
+    } else if (voters.length - no < needed) {
+        endVoteKick(roomCode, false);
     }
-    
-    console.log(`Game state reset for room ${roomCode}`);
-    broadcastGameStateToRoom(roomCode);
 }
 
-function updatePublicLobby(roomCode) {
+function endVoteKick(roomCode, passed) {
     const room = rooms.get(roomCode);
-    if (!room || !room.isPublic) return;
-    
-    const hostPlayer = room.players.get(room.hostId);
-    if (!hostPlayer) return;
-    
-    publicLobbies.set(roomCode, {
-        roomCode: roomCode,
-        lobbyName: room.lobbyName,
-        lobbyDescription: room.lobbyDescription,
-        hostName: hostPlayer.name,
-        hostId: room.hostId,
-        playerCount: room.players.size,
-        maxPlayers: room.settings.maxPlayers,
-        gameStarted: room.gameStarted,
-        createdAt: room.createdAt,
-        mafiaCount: room.settings.mafiaCount
+    if (!room || !room.voteKick) return;
+    
+    const { targetId, timer } = room.voteKick;
+    clearTimeout(timer);
+    room.voteKick = null;
+    
+    const target = room.players.get(targetId);
+    const targetName = target ? target.name : 'The player';
+    io.to(roomCode).emit('voteKickEnded', {
+        targetId,
+        passed,
+        message: passed ? `👢 The vote passed: ${targetName} is kicked.` : `👢 The vote to kick ${targetName} failed.`
     });
+    if (passed && target) {
+        kickFromRoom(roomCode, targetId, 'voted out of the room by the other players');
+    }
 }
 
-function cleanupRoom(roomCode) {
-    const room = rooms.get(roomCode);
-    if (room && room.timer) {
-        clearInterval(room.timer);
+// ---- Room snapshots (survive restarts and deploys) ----
+
+// Save every room this instance runs (players, roles, votes, phase, timers...) to the database,
+// and renew the instance's claim on them
+async function snapshotRooms() {
+    if (!roomsRestored) return;
+    const savedAt = Date.now();
+    const snapshots = Array.from(rooms.values()).map(room => ({
+        roomCode: room.roomCode,
+        data: serializeRoom(room),
+        savedAt: new Date(savedAt)
+    }));
+    await roomStore.renewRooms(INSTANCE_ID, Array.from(rooms.keys())).catch(logStoreError);
+    try {
+        await db.saveRoomSnapshots(INSTANCE_ID, snapshots);
+    } catch (error) {
+        console.error('Error saving room snapshots:', error);
+    }
+}
+
+// Bring back the rooms saved before a restart (or left behind by an instance that went down and
+// whose claim ran out). Every human is treated as disconnected and gets the usual grace period
+// to rejoin; game timers carry on from where they stopped.
+async function restoreRooms() {
+    let snapshots = [];
+    try {
+        snapshots = await db.getRoomSnapshots();
+    } catch (error) {
+        console.error('Error loading room snapshots:', error);
+        return;
     }
     
-    // Cleanup bot manager
-    const botManager = roomBotManagers.get(roomCode);
-    if (botManager) {
-        botManager.cleanup();
-        roomBotManagers.delete(roomCode);
+    for (const snapshot of snapshots) {
+        try {
+            if (rooms.has(snapshot.roomCode)) continue;
+            const claimed = await roomStore.claimRoom(snapshot.roomCode, INSTANCE_ID);
+            if (!claimed || rooms.has(snapshot.roomCode)) continue; // Run elsewhere, or restored meanwhile
+            if (clusterRouter) clusterRouter.forgetRoomOwner(snapshot.roomCode);
+            const saved = deserializeRoom(snapshot.data);
+            const room = Object.assign(createRoom(saved.roomCode, saved.hostId), saved);
+            const roomCode = room.roomCode;
+            rooms.set(roomCode, room);
+            
+            const bots = Array.from(room.players.values()).filter(p => p.isBot);
+            if (bots.length > 0) {
+                const botManager = createBotManager(roomCode);
+                bots.forEach(bot => botManager.restoreBot(bot.id, bot.name));
+                if (room.gameStarted) {
+                    botManager.onGameEvent('gameStarted', { allPlayers: Array.from(room.players.values()) });
+                }
+            }
+            
+            const engine = getGameEngine(roomCode);
+            engine.resumeAfterRestart(new Date(snapshot.savedAt).getTime());
+            for (const player of room.players.values()) {
+                if (player.isBot) continue;
+                player.disconnected = true;
+                holdSeat(roomCode, player.id);
+            }
+            
+            if (room.gameStarted && room.phase !== 'gameOver') {
+                startRoomClock(roomCode);
+                resumeBots(roomCode);
+            }
+            updatePublicLobby(roomCode);
+            console.log(`♻️ Restored room ${roomCode} (${room.phase}, ${room.players.size} players)`);
+        } catch (error) {
+            console.error(`Error restoring room ${snapshot.roomCode}:`, error);
+        }
     }
+}
+
+// Bots lost their pending moves in the restart: have them act on the current phase again
+function resumeBots(roomCode) {
+    const room = rooms.get(roomCode);
+    const engine = getGameEngine(roomCode);
+    if (!room || !engine) return;
     
-    rooms.delete(roomCode);
-    publicLobbies.delete(roomCode); // Also remove from public lobbies
+    if (room.phase === 'night') {
+        scheduleBotNightActions(roomCode);
+    } else if (room.trial && room.trial.stage === 'verdict') {
+        scheduleBotVerdicts(roomCode);
+    } else if (engine.isVotingOpen()) {
+        scheduleBotVoting(roomCode);
+    }
 }
 
+// ---- Cluster routing (CLUSTER_MODE=mongo) ----
+
+// Hands events for rooms other instances run over to them, and runs the ones forwarded here
+const clusterRouter = clustered ? new ClusterRouter(io, {
+    instanceId: INSTANCE_ID,
+    roomStore,
+    hasRoom: roomCode => rooms.has(roomCode),
+    registerSocketHandlers
+}) : null;
+
 // Attach user info from session to socket for convenience
 io.use((socket, next) => {
     const sessionStore = socket.request.session;
     socket.userId = sessionStore?.userId;
+    socket.guestId = sessionStore?.guestId;
     socket.username = sessionStore?.username;
     next();
 });
 
 // Socket.IO connection handling
 io.on('connection', (socket) => {
+    if (clusterRouter) clusterRouter.attach(socket);
+    registerSocketHandlers(socket);
+});
+
+// Game handlers for one player's socket (a real one, or a ForwardedSocket for a player on another instance)
+function registerSocketHandlers(socket) {
     console.log('Player connected:', socket.id, socket.userId ? `(User: ${socket.username})` : '(Guest)');
     
     // Store socket with user mapping
     if (socket.userId) {
-        userSessions.set(socket.userId, socket.id);
+        roomStore.setUserSocket(socket.userId, socket.id).catch(logStoreError);
     }
     
     socket.on('authenticateSocket', async (sessionData) => {
@@ -1654,7 +1650,7 @@ io.on('connection', (socket) => {
             if (sessionData && sessionData.userId) {
                 socket.userId = sessionData.userId;
                 socket.username = sessionData.username;
-                userSessions.set(socket.userId, socket.id);
+                await roomStore.setUserSocket(socket.userId, socket.id);
                 
                 // Update user online status
                 await db.updateLastLogin(socket.userId);
@@ -1705,7 +1701,21 @@ io.on('connection', (socket) => {
             return;
         }
         
-        const roomCode = data.roomCode || generateRoomCode();
+        // Claim the code in the shared directory so no other instance runs a room under it
+        let roomCode = data.roomCode || generateRoomCode();
+        try {
+            while (!(await roomStore.claimRoom(roomCode, INSTANCE_ID))) {
+                if (data.roomCode) {
+                    socket.emit('error', 'That room code is already in use');
+                    return;
+                }
+                roomCode = generateRoomCode();
+            }
+        } catch (error) {
+            logStoreError(error);
+            socket.emit('error', 'Failed to create room');
+            return;
+        }
         const room = createRoom(roomCode, socket.id, lobbyInfo);
         
         // Tutorial rooms are always private and have bots to fill
@@ -1736,7 +1746,9 @@ io.on('connection', (socket) => {
             name: playerName.trim(),
             role: null,
             alive: true,
-            isAuthenticated: !!userId
+            isAuthenticated: !!userId,
+            guestId: socket.guestId || null, // Used for room bans on guests
+            rejoinToken: createRejoinToken()
         };
         
         room.players.set(socket.id, player);
@@ -1749,27 +1761,12 @@ io.on('connection', (socket) => {
 			broadcastGameStateToRoom(roomCode);
 		}
 		
-		// Add to public lobbies if it's public
-        if (room.isPublic) {
-            publicLobbies.set(roomCode, {
-                roomCode: roomCode,
-                lobbyName: room.lobbyName,
-                lobbyDescription: room.lobbyDescription,
-                hostName: player.name,
-                hostId: socket.id,
-                playerCount: room.players.size,
-                maxPlayers: room.settings.maxPlayers,
-                gameStarted: room.gameStarted,
-                createdAt: room.createdAt,
-                mafiaCount: room.settings.mafiaCount
-            });
-        }
-        
         socket.emit('roomCreated', {
             roomCode: roomCode,
             playerId: socket.id,
             playerName: player.name,
             isAuthenticated: player.isAuthenticated,
+            rejoinToken: player.rejoinToken,
             lobbyInfo: lobbyInfo
         });
     
@@ -1820,6 +1817,12 @@ io.on('connection', (socket) => {
             socket.emit('error', 'Room not found');
             return;
         }
+        // Players the host banned from this room stay out
+        if ((userId && room.bannedUserIds.has(userId)) || (socket.guestId && room.bannedGuestIds.has(socket.guestId))) {
+            socket.emit('error', 'You have been banned from this room');
+            return;
+        }
+        
         // Enforce lock/whitelist
         if (room.settings.isLocked) {
             if (!userId || !room.whitelist.has(userId)) {
@@ -1858,7 +1861,9 @@ io.on('connection', (socket) => {
             name: playerName.trim(),
             role: null,
             alive: true,
-            isAuthenticated: !!userId
+            isAuthenticated: !!userId,
+            guestId: socket.guestId || null, // Used for room bans on guests
+            rejoinToken: createRejoinToken()
         };
         
         room.players.set(socket.id, player);
@@ -1869,6 +1874,7 @@ io.on('connection', (socket) => {
             playerId: socket.id,
             playerName: player.name,
             isAuthenticated: player.isAuthenticated,
+            rejoinToken: player.rejoinToken,
             lobbyInfo: {
                 lobbyName: room.lobbyName || 'Untitled Lobby',
                 description: room.description || '',
@@ -1911,264 +1917,88 @@ io.on('connection', (socket) => {
         console.log(`${playerName} joined room ${roomCode}${userId ? ` (ID: ${userId})` : ' (Guest)'}`);
     });
     
-    socket.on('startGame', (roomCode) => {
+    // Take back a held seat after a dropped connection (rejoin token from this browser, or the same account)
+    socket.on('rejoinRoom', (data) => {
+        const { roomCode, rejoinToken } = data || {};
         const room = rooms.get(roomCode);
-        if (!room) {
-            socket.emit('error', 'Room not found');
+        const player = room && Array.from(room.players.values()).find(p => !p.isBot && (
+            (rejoinToken && p.rejoinToken === rejoinToken) ||
+            (socket.userId && p.userId === socket.userId && p.disconnected)
+        ));
+        if (!player) {
+            socket.emit('rejoinFailed', 'Your seat in that room is no longer available');
             return;
         }
+        if (player.id === socket.id) return;
         
-        if (!room.players.has(socket.id)) {
-            socket.emit('error', 'You are not in this room');
+        const oldId = player.id;
+        clearReconnectTimer(oldId);
+        const result = getGameEngine(roomCode).reconnectPlayer(oldId, socket.id);
+        if (!result.ok) {
+            applyEngineResult(roomCode, result, socket);
             return;
         }
         
-        if (socket.id !== room.hostId) {
-            socket.emit('error', 'Only the room host can start the game');
-            return;
+        // A running vote-kick follows the seat to its new id
+        if (room.voteKick) {
+            if (room.voteKick.targetId === oldId) room.voteKick.targetId = socket.id;
+            if (room.voteKick.votes.has(oldId)) {
+                room.voteKick.votes.set(socket.id, room.voteKick.votes.get(oldId));
+                room.voteKick.votes.delete(oldId);
+            }
         }
         
-        if (room.players.size < MIN_PLAYERS) {
-            socket.emit('error', `Need at least ${MIN_PLAYERS} players to start`);
-            return;
-        }
+        // A stale connection to the same seat (e.g. a phone that locked) is closed in favour of this one
+        io.in(oldId).disconnectSockets(true);
+        socket.join(roomCode);
         
-        // Ensure there's at least 1 human player
-        const humanPlayerCount = Array.from(room.players.values()).filter(p => !p.isBot).length;
-        if (humanPlayerCount === 0) {
-            socket.emit('error', 'Cannot start game with only bots');
+        socket.emit('roomRejoined', {
+            roomCode: roomCode,
+            playerId: socket.id,
+            playerName: player.name,
+            isAuthenticated: player.isAuthenticated,
+            rejoinToken: player.rejoinToken,
+            gameStarted: room.gameStarted,
+            lobbyInfo: {
+                lobbyName: room.lobbyName || 'Untitled Lobby',
+                description: room.description || '',
+                isPublic: room.isPublic || false,
+                hostName: room.hostName || 'Unknown'
+            }
+        });
+        
+        // Role, team info and the current phase state, then the chat history
+        applyEngineResult(roomCode, result, socket);
+        socket.emit('chatScrollback', getChatScrollback(room, socket.id));
+        updatePublicLobby(roomCode);
+        console.log(`${player.name} rejoined room ${roomCode} (${oldId} -> ${socket.id})`);
+    });
+    
+    socket.on('startGame', (roomCode) => {
+        const room = rooms.get(roomCode);
+        if (!room) {
+            socket.emit('error', 'Room not found');
             return;
         }
         
-        if (room.gameStarted) {
-            socket.emit('error', 'Game already started');
+        if (!room.players.has(socket.id)) {
+            socket.emit('error', 'You are not in this room');
             return;
         }
         
-        // Validate mafia count against total player count (roles generated normally, but bots get civilians)
-        const currentPlayerCount = room.players.size;
-        const maxAllowedMafia = getMaxMafiaCount(currentPlayerCount);
-        
-        if (room.settings.mafiaCount > maxAllowedMafia && !room.tutorial?.enabled) {
-            socket.emit('error', `Cannot start game: ${room.settings.mafiaCount} Mafia is too many for ${currentPlayerCount} players. Maximum allowed: ${maxAllowedMafia}`);
+        if (socket.id !== room.hostId) {
+            socket.emit('error', 'Only the room host can start the game');
             return;
         }
         
-        console.log(`✅ Mafia validation passed: ${room.settings.mafiaCount} mafia for ${currentPlayerCount} total players (${humanPlayerCount} humans, ${currentPlayerCount - humanPlayerCount} bots)`);
-        
-        // Generate roles for all players normally
-        const allRoles = generateRoles(room.players.size, room.settings);
-        
-        // Tutorial forced role assignment overrides normal distribution
-        const isTutorial = room.tutorial?.active === true;
-        const forcedRole = room.tutorial?.forceRole;
-        
-        // Remove civilian roles equal to number of bots (so bots don't take special roles)
-        const botCount = Array.from(room.players.values()).filter(p => p.isBot).length;
-        const roles = [];
-        let civiliansRemoved = 0;
-        
-        for (const role of allRoles) {
-            if (role === ROLES.CIVILIAN && civiliansRemoved < botCount) {
-                civiliansRemoved++; // Skip this civilian role (bot will get it)
-            } else {
-                roles.push(role); // Keep this role for humans
-            }
+        const result = applyEngineResult(roomCode, getGameEngine(roomCode).startGame(), socket);
+        if (result.ok) {
+            startRoomClock(roomCode);
         }
-        
-        // Send game start announcement to all players
-        io.to(roomCode).emit('gameStarting', {
-            message: `🎮 Game is starting! ${room.players.size} players, ${room.settings.mafiaCount} mafia members. The night begins... Roles are being assigned.`,
-            playerCount: room.players.size,
-            mafiaCount: room.settings.mafiaCount
-        });
-        
-        // Brief delay before role assignment for dramatic effect
-        setTimeout(() => {
-            const mafiaMembers = [];
-            
-            if (room.tutorial?.active || room.tutorial?.enabled) {
-                // Assign tutorial roles
-                const hostId = room.hostId;
-                const bots = Array.from(room.players.entries()).filter(([id, p]) => p.isBot);
-                const humans = Array.from(room.players.entries()).filter(([id, p]) => !p.isBot);
-                // Reset all roles
-                for (const [pid, player] of room.players) {
-                    player.role = ROLES.CIVILIAN;
-                }
-                
-                // Ensure at least one mafia bot when needed
-                const ensureMafiaBot = () => {
-                    const mafiaBot = bots[0]?.[0];
-                    if (mafiaBot) {
-                        room.players.get(mafiaBot).role = ROLES.MAFIA;
-                        mafiaMembers.push({ id: mafiaBot, name: room.players.get(mafiaBot).name, role: ROLES.MAFIA });
-                    }
-                };
-                
-                switch (room.tutorial.step) {
-                    case 'mafia':
-                        if (humans[0]) {
-                            const [hid, hplayer] = humans[0];
-                            hplayer.role = ROLES.MAFIA;
-                            mafiaMembers.push({ id: hid, name: hplayer.name, role: ROLES.MAFIA });
-                            io.to(hid).emit('roleAssigned', { role: ROLES.MAFIA, description: ROLE_DESCRIPTIONS[ROLES.MAFIA] });
-                            io.to(hid).emit('tutorialInfo', { step: 'mafia', message: 'You are Mafia. Learn how to eliminate at night and blend in during the day.' });
-                        }
-                        break;
-                    case 'doctor':
-                        ensureMafiaBot();
-                        if (humans[0]) {
-                            const [hid, hplayer] = humans[0];
-                            hplayer.role = ROLES.DOCTOR;
-                            io.to(hid).emit('roleAssigned', { role: ROLES.DOCTOR, description: ROLE_DESCRIPTIONS[ROLES.DOCTOR] });
-                            io.to(hid).emit('tutorialInfo', { step: 'doctor', message: 'You are the Doctor. At night, protect a player from being killed.' });
-                        }
-                        break;
-                    case 'detective':
-                        ensureMafiaBot();
-                        if (humans[0]) {
-                            const [hid, hplayer] = humans[0];
-                            hplayer.role = ROLES.DETECTIVE;
-                            io.to(hid).emit('roleAssigned', { role: ROLES.DETECTIVE, description: ROLE_DESCRIPTIONS[ROLES.DETECTIVE] });
-                            io.to(hid).emit('tutorialInfo', { step: 'detective', message: 'You are the Detective. Investigate a player at night to learn their alignment.' });
-                        }
-                        break;
-                    case 'police':
-                        ensureMafiaBot();
-                        if (humans[0]) {
-                            const [hid, hplayer] = humans[0];
-                            hplayer.role = ROLES.WHITE_POLICE;
-                            io.to(hid).emit('roleAssigned', { role: ROLES.WHITE_POLICE, description: ROLE_DESCRIPTIONS[ROLES.WHITE_POLICE] });
-                            io.to(hid).emit('tutorialInfo', { step: 'police', message: 'You are Police. Coordinate and use your unique win conditions wisely.' });
-                        }
-                        break;
-                    case 'gray_police':
-                        // Let client choose alignment; keep as civilian placeholder for now
-                        if (humans[0]) {
-                            const [hid, hplayer] = humans[0];
-                            hplayer.role = ROLES.CIVILIAN;
-                            io.to(hid).emit('tutorialInfo', { step: 'gray_police', message: 'Choose your allegiance: Black (Mafia) or White (Town).' });
-                        }
-                        break;
-                    case 'suicide_bomber':
-                        // Ensure another mafia-aligned entity exists for context
-                        ensureMafiaBot();
-                        if (humans[0]) {
-                            const [hid, hplayer] = humans[0];
-                            hplayer.role = ROLES.SUICIDE_BOMBER;
-                            mafiaMembers.push({ id: hid, name: hplayer.name, role: ROLES.SUICIDE_BOMBER });
-                            io.to(hid).emit('roleAssigned', { role: ROLES.SUICIDE_BOMBER, description: ROLE_DESCRIPTIONS[ROLES.SUICIDE_BOMBER] });
-                            io.to(hid).emit('tutorialInfo', { step: 'suicide_bomber', message: 'You are the Suicide Bomber. If discovered and about to be eliminated, choose who to take down with you. Doctor protection applies.' });
-                        }
-                        break;
-                }
-                
-                // Notify mafia team if applicable
-                if (mafiaMembers.length > 1) {
-                    // Identify black police to also receive visibility
-                    const blackPoliceIds = Array.from(room.players.entries())
-                        .filter(([id, p]) => p.role === ROLES.BLACK_POLICE)
-                        .map(([id]) => id);
-                    mafiaMembers.forEach(mafiaPlayer => {
-                        const teammates = mafiaMembers.filter(member => member.id !== mafiaPlayer.id);
-                        // Send to mafia members
-                        io.to(mafiaPlayer.id).emit('mafiaTeamInfo', {
-                            teammates: teammates,
-                            message: `Your mafia teammates: ${teammates.map(t => t.name).join(', ')}`
-                        });
-                        // Also inform black police, but as observers (no teammates list shown to players directly)
-                        for (const bpId of blackPoliceIds) {
-                            io.to(bpId).emit('mafiaTeamInfo', {
-                                teammates: teammates,
-                                message: `Mafia members present: ${teammates.map(t => t.name).join(', ')}`
-                            });
-                        }
-                    });
-                }
-                
-                room.gameStarted = true;
-                room.gameStartTime = Date.now();
-                const botManager = getBotManager(roomCode);
-                if (botManager) {
-                    const allPlayers = Array.from(room.players.values());
-                    botManager.onGameEvent('gameStarted', { allPlayers });
-                }
-                
-                // Continue normal flow (start night phase etc.)
-                // ... existing code continues below ...
-            } else {
-                // Non-tutorial existing assignment flow
-                const botPlayers = Array.from(room.players.entries()).filter(([id, player]) => player.isBot);
-                for (const [playerId, player] of botPlayers) {
-                    player.role = ROLES.CIVILIAN;
-                    console.log(`🤖 Bot ${player.name} assigned role: ${player.role} (pre-assigned)`);
-                }
-                const humanPlayers = Array.from(room.players.entries()).filter(([id, player]) => !player.isBot);
-                let roleIndex = 0;
-                for (const [playerId, player] of humanPlayers) {
-                    player.role = roles[roleIndex++];
-                    console.log(`👤 Human ${player.name} assigned role: ${player.role}`);
-                    if (player.role === ROLES.MAFIA || player.role === ROLES.SUICIDE_BOMBER || player.role === ROLES.MANIPULATOR) {
-                        mafiaMembers.push({ id: playerId, name: player.name, role: player.role });
-                    }
-                    io.to(playerId).emit('roleAssigned', {
-                        role: player.role,
-                        description: ROLE_DESCRIPTIONS[player.role]
-                    });
-                }
-                				if (mafiaMembers.length > 1) {
-					mafiaMembers.forEach(mafiaPlayer => {
-						const teammates = mafiaMembers.filter(member => member.id !== mafiaPlayer.id);
-						io.to(mafiaPlayer.id).emit('mafiaTeamInfo', {
-							teammates: teammates,
-							message: `Your mafia teammates: ${teammates.map(t => t.name).join(', ')}`
-						});
-					});
-				}
-
-				// Inform Detective and Police about police presence (names only, colors hidden)
-				const policeMembers = Array.from(room.players.entries())
-					.filter(([id, p]) => p.role === ROLES.GRAY_POLICE || p.role === ROLES.WHITE_POLICE || p.role === ROLES.BLACK_POLICE)
-					.map(([id, p]) => ({ id, name: p.name }));
-				for (const [pid, rp] of room.players) {
-					if (rp.role === ROLES.DETECTIVE || rp.role === ROLES.WHITE_POLICE || rp.role === ROLES.BLACK_POLICE || rp.role === ROLES.GRAY_POLICE) {
-						io.to(pid).emit('policeTeamInfo', { members: policeMembers });
-					}
-				}
-				// Prompt Gray Police to choose alignment
-				for (const [pid, rp] of room.players) {
-					if (rp.role === ROLES.GRAY_POLICE && !room.deadPlayers.has(pid)) {
-						io.to(pid).emit('policeAlignmentChoice');
-					}
-				}
-
-				room.gameStarted = true;
-                room.gameStartTime = Date.now();
-                const botManager = getBotManager(roomCode);
-                if (botManager) {
-                    const allPlayers = Array.from(room.players.values());
-                    botManager.onGameEvent('gameStarted', { allPlayers });
-                }
-            }
-            
-            // Start initial phase after a brief delay for players to read role
-            setTimeout(() => {
-                const roomNow = rooms.get(roomCode);
-                if (!roomNow) return;
-                if (roomNow.tutorial?.active || roomNow.tutorial?.enabled) {
-                    const step = roomNow.tutorial?.step;
-                    const startAtNight = step === 1 || step === 'mafia' || step === 2 || step === 'doctor' || step === 3 || step === 'detective';
-                    if (startAtNight) startNightPhase(roomCode); else startDayPhase(roomCode);
-                } else {
-                    startNightPhase(roomCode);
-                }
-            }, 1500);
-        }, 1200);
     });
     
     socket.on('updateRoomSettings', (data) => {
-        const { roomCode, maxPlayers, mafiaCount, suicideBomberEnabled, manipulatorEnabled, autoPoliceRoles, enableBots, botCount, isLocked, inviteQuota } = data;
+        const { roomCode, maxPlayers, mafiaCount, suicideBomberEnabled, manipulatorEnabled, manipulatorUses, blackPoliceAmmo, grayPoliceDeadline, grayPoliceTimeout, mafiaKillMode, mafiaKillTieRule, splitDayPhases, trialMode, allowNoLynch, lynchThreshold, voteTieRule, investigationPreset, investigationOverrides, roleSetup, autoPoliceRoles, roleRevealMode, afkPhaseLimit, afkAction, afkRevealMode, moderatorMode, enableBots, botCount, isLocked, inviteQuota } = data;
         const room = rooms.get(roomCode);
         
         if (!room) {
@@ -2192,30 +2022,108 @@ io.on('connection', (socket) => {
             return;
         }
         
-        const maxAllowedMafia = getMaxMafiaCount(maxPlayers);
-        if (mafiaCount < 1 || mafiaCount > maxAllowedMafia) {
-            socket.emit('error', `Mafia count must be between 1 and ${maxAllowedMafia} for ${maxPlayers} players`);
-            return;
-        }
-        
         // Check if current player count exceeds new limit
         if (room.players.size > maxPlayers) {
             socket.emit('error', 'Cannot set limit below current player count');
             return;
         }
         
-        // Validate role settings
-        if (suicideBomberEnabled && mafiaCount < 3) {
-            socket.emit('error', 'Suicide Bomber requires at least 3 Mafia members');
-            return;
+        // Validate a custom role setup against the player limit (drop roles set to zero)
+        let customSetup = room.settings.roleSetup;
+        if (roleSetup !== undefined) {
+            customSetup = null;
+            if (roleSetup) {
+                const roles = Object.fromEntries(Object.entries(roleSetup.roles || {})
+                    .map(([role, count]) => [role, parseInt(count)])
+                    .filter(([, count]) => count !== 0));
+                customSetup = { roles };
+                const setupError = validateRoleSetup(customSetup, maxPlayers);
+                if (setupError) {
+                    socket.emit('error', setupError);
+                    return;
+                }
+            }
+        }
+        
+        // The Mafia count and Suicide Bomber option only apply to generated setups
+        if (!customSetup) {
+            const maxAllowedMafia = getMaxMafiaCount(maxPlayers);
+            if (mafiaCount < 1 || mafiaCount > maxAllowedMafia) {
+                socket.emit('error', `Mafia count must be between 1 and ${maxAllowedMafia} for ${maxPlayers} players`);
+                return;
+            }
+            
+            if (suicideBomberEnabled && mafiaCount < 3) {
+                socket.emit('error', 'Suicide Bomber requires at least 3 Mafia members');
+                return;
+            }
         }
         
         // Update settings
         room.settings.maxPlayers = maxPlayers;
-        room.settings.mafiaCount = mafiaCount;
+        if (!customSetup) room.settings.mafiaCount = mafiaCount;
         room.settings.suicideBomberEnabled = suicideBomberEnabled !== undefined ? suicideBomberEnabled : room.settings.suicideBomberEnabled;
         room.settings.manipulatorEnabled = manipulatorEnabled !== undefined ? manipulatorEnabled : room.settings.manipulatorEnabled;
+        if (manipulatorUses !== undefined) {
+            const uses = Math.max(1, Math.min(parseInt(manipulatorUses), 5));
+            room.settings.manipulatorUses = isNaN(uses) ? room.settings.manipulatorUses : uses;
+        }
+        if (blackPoliceAmmo !== undefined) {
+            const ammo = Math.max(0, Math.min(parseInt(blackPoliceAmmo), 3));
+            room.settings.blackPoliceAmmo = isNaN(ammo) ? room.settings.blackPoliceAmmo : ammo;
+        }
+        if (grayPoliceDeadline !== undefined) {
+            const deadline = Math.max(0, Math.min(parseInt(grayPoliceDeadline), 300));
+            room.settings.grayPoliceDeadline = isNaN(deadline) ? room.settings.grayPoliceDeadline : deadline;
+        }
+        if (['random', 'white', 'black', 'gray'].includes(grayPoliceTimeout)) {
+            room.settings.grayPoliceTimeout = grayPoliceTimeout;
+        }
+        room.settings.splitDayPhases = splitDayPhases !== undefined ? !!splitDayPhases : room.settings.splitDayPhases;
+        room.settings.trialMode = trialMode !== undefined ? !!trialMode : room.settings.trialMode;
+        room.settings.allowNoLynch = allowNoLynch !== undefined ? !!allowNoLynch : room.settings.allowNoLynch;
+        if (['plurality', 'majority'].includes(lynchThreshold)) {
+            room.settings.lynchThreshold = lynchThreshold;
+        }
+        if (['none', 'random', 'runoff'].includes(voteTieRule)) {
+            room.settings.voteTieRule = voteTieRule;
+        }
+        for (const [setting, [min, max]] of Object.entries(DURATION_LIMITS)) {
+            if (data[setting] === undefined) continue;
+            const seconds = Math.max(min, Math.min(parseInt(data[setting]), max));
+            room.settings[setting] = isNaN(seconds) ? room.settings[setting] : seconds;
+        }
+        if (['majority', 'leader'].includes(mafiaKillMode)) {
+            room.settings.mafiaKillMode = mafiaKillMode;
+        }
+        if (['random', 'leader', 'none'].includes(mafiaKillTieRule)) {
+            room.settings.mafiaKillTieRule = mafiaKillTieRule;
+        }
+        if (typeof investigationPreset === 'string' && Object.hasOwn(RoleRegistry.INVESTIGATION_PRESETS, investigationPreset)) {
+            room.settings.investigationPreset = investigationPreset;
+        }
+        if (investigationOverrides && typeof investigationOverrides === 'object') {
+            // Keep only known roles with a valid result
+            room.settings.investigationOverrides = Object.fromEntries(Object.entries(investigationOverrides)
+                .filter(([role, result]) => RoleRegistry.getRoleDefinition(role) && RoleRegistry.INVESTIGATION_RESULTS.includes(result)));
+        }
+        room.settings.investigationMatrix = RoleRegistry.buildInvestigationMatrix(room.settings.investigationPreset, room.settings.investigationOverrides);
+        room.settings.roleSetup = customSetup;
         room.settings.autoPoliceRoles = autoPoliceRoles !== undefined ? autoPoliceRoles : room.settings.autoPoliceRoles;
+        if (['role', 'alignment', 'none'].includes(roleRevealMode)) {
+            room.settings.roleRevealMode = roleRevealMode;
+        }
+        if (afkPhaseLimit !== undefined) {
+            const limit = Math.max(0, Math.min(parseInt(afkPhaseLimit), 5));
+            room.settings.afkPhaseLimit = isNaN(limit) ? room.settings.afkPhaseLimit : limit;
+        }
+        if (['modkill', 'bot'].includes(afkAction)) {
+            room.settings.afkAction = afkAction;
+        }
+        if (afkRevealMode !== undefined) {
+            room.settings.afkRevealMode = ['role', 'alignment', 'none'].includes(afkRevealMode) ? afkRevealMode : null;
+        }
+        room.settings.moderatorMode = moderatorMode !== undefined ? !!moderatorMode : room.settings.moderatorMode;
         room.settings.enableBots = enableBots !== undefined ? enableBots : room.settings.enableBots;
         room.settings.botCount = botCount !== undefined ? botCount : room.settings.botCount;
         room.settings.isLocked = isLocked !== undefined ? !!isLocked : room.settings.isLocked;
@@ -2244,7 +2152,34 @@ io.on('connection', (socket) => {
             mafiaCount: room.settings.mafiaCount,
             suicideBomberEnabled: room.settings.suicideBomberEnabled,
             manipulatorEnabled: room.settings.manipulatorEnabled,
+            manipulatorUses: room.settings.manipulatorUses,
+            blackPoliceAmmo: room.settings.blackPoliceAmmo,
+            grayPoliceDeadline: room.settings.grayPoliceDeadline,
+            grayPoliceTimeout: room.settings.grayPoliceTimeout,
+            mafiaKillMode: room.settings.mafiaKillMode,
+            mafiaKillTieRule: room.settings.mafiaKillTieRule,
+            splitDayPhases: room.settings.splitDayPhases,
+            dayDuration: room.settings.dayDuration,
+            votingDuration: room.settings.votingDuration,
+            nightDuration: room.settings.nightDuration,
+            suicideBomberDuration: room.settings.suicideBomberDuration,
+            trialMode: room.settings.trialMode,
+            defenseDuration: room.settings.defenseDuration,
+            verdictDuration: room.settings.verdictDuration,
+            lastWordsDuration: room.settings.lastWordsDuration,
+            allowNoLynch: room.settings.allowNoLynch,
+            lynchThreshold: room.settings.lynchThreshold,
+            voteTieRule: room.settings.voteTieRule,
+            investigationPreset: room.settings.investigationPreset,
+            investigationOverrides: room.settings.investigationOverrides,
+            investigationMatrix: room.settings.investigationMatrix,
+            roleSetup: room.settings.roleSetup,
             autoPoliceRoles: room.settings.autoPoliceRoles,
+            roleRevealMode: room.settings.roleRevealMode,
+            afkPhaseLimit: room.settings.afkPhaseLimit,
+            afkAction: room.settings.afkAction,
+            afkRevealMode: room.settings.afkRevealMode,
+            moderatorMode: room.settings.moderatorMode,
             enableBots: room.settings.enableBots,
             botCount: room.settings.botCount,
             isLocked: room.settings.isLocked,
@@ -2268,302 +2203,63 @@ io.on('connection', (socket) => {
 
     socket.on('vote', (data) => {
         const { roomCode, targetPlayerId } = data;
-        const room = rooms.get(roomCode);
-        
-        if (!room || !room.players.has(socket.id)) {
-            return;
-        }
-        
-        if (!room.gameStarted || room.deadPlayers.has(socket.id)) {
-            return;
-        }
+        const engine = getGameEngine(roomCode);
+        if (!engine) return;
         
-        if (room.phase !== 'day') {
-            socket.emit('error', 'Voting is only allowed during day phase');
-            return;
-        }
-        
-        if (room.deadPlayers.has(targetPlayerId)) {
-            socket.emit('error', 'Cannot vote for dead player');
-            return;
-        }
-        
-        if (targetPlayerId === socket.id) {
-            socket.emit('error', 'Cannot vote for yourself');
-            return;
-        }
-        
-        // Store the vote
-        room.votes.set(socket.id, targetPlayerId);
-        const targetPlayer = room.players.get(targetPlayerId);
-        const voterPlayer = room.players.get(socket.id);
-        
-        socket.emit('voteConfirmed', { 
-            target: targetPlayerId,
-            targetName: targetPlayer.name
-        });
-        
-        // Broadcast detailed vote information to all players (dynamically visible)
-        const voteCounts = new Map();
-        const voteDetails = []; // Array of individual votes with voter and target names
-        
-        for (const [voter, target] of room.votes) {
-            if (!room.deadPlayers.has(voter)) {
-                voteCounts.set(target, (voteCounts.get(target) || 0) + 1);
-                
-                // Add individual vote details for transparency
-                const voterName = room.players.get(voter).name;
-                const targetName = room.players.get(target).name;
-                voteDetails.push({
-                    voterName: voterName,
-                    targetName: targetName,
-                    voterId: voter,
-                    targetId: target
-                });
-            }
-        }
-        
-        io.to(roomCode).emit('voteUpdate', {
-            totalVotes: room.votes.size,
-            alivePlayers: Array.from(room.players.keys()).filter(id => !room.deadPlayers.has(id)).length,
-            voteCounts: Array.from(voteCounts.entries()).map(([playerId, votes]) => ({
-                playerName: room.players.get(playerId).name,
-                votes: votes
-            })),
-            voteDetails: voteDetails, // Include detailed vote information
-            latestVote: {
-                voterName: voterPlayer.name,
-                targetName: targetPlayer.name
-            }
-        });
-        
-        console.log(`${room.players.get(socket.id).name} voted for ${targetPlayer.name} in room ${roomCode}`);
+        applyEngineResult(roomCode, engine.vote(socket.id, targetPlayerId), socket);
+    });
+    
+    socket.on('updateLastWill', (data) => {
+        const { roomCode, lastWill } = data || {};
+        const engine = getGameEngine(roomCode);
+        if (!engine) return;
         
-        // Check if all alive players have voted
-        const alivePlayers = Array.from(room.players.keys()).filter(id => !room.deadPlayers.has(id));
-        const votersWhoVoted = Array.from(room.votes.keys()).filter(id => !room.deadPlayers.has(id));
+        applyEngineResult(roomCode, engine.setLastWill(socket.id, lastWill), socket);
+    });
+    
+    socket.on('castVerdict', (data) => {
+        const { roomCode, verdict } = data || {};
+        const engine = getGameEngine(roomCode);
+        if (!engine) return;
         
-        if (votersWhoVoted.length === alivePlayers.length) {
-            // All alive players have voted, process immediately
-            console.log(`All ${alivePlayers.length} alive players voted in room ${roomCode} - processing votes early`);
-            
-            // Clear existing timer
-            if (room.timer) {
-                clearInterval(room.timer);
-                room.timer = null;
-            }
-            
-            // Notify clients that voting ended early
-            io.to(roomCode).emit('phaseEnded', {
-                reason: 'All players voted',
-                message: 'All players have voted! Processing results...'
-            });
-            
-            // Process votes after a brief delay
-            setTimeout(() => {
-                processVotesAndStartNight(roomCode);
-            }, 2000);
-        }
+        applyEngineResult(roomCode, engine.castVerdict(socket.id, verdict), socket);
     });
     
     socket.on('suicideBomberTargets', (data) => {
         const { roomCode, selectedTargets } = data;
-        const room = rooms.get(roomCode);
+        const engine = getGameEngine(roomCode);
         
-        if (!room) {
+        if (!engine) {
             socket.emit('error', 'Room not found');
             return;
         }
         
-        const player = room.players.get(socket.id);
-        if (!player || player.role !== ROLES.SUICIDE_BOMBER) {
-            socket.emit('error', 'Only Suicide Bombers can use this action');
-            return;
-        }
-        
-        if (room.deadPlayers.has(socket.id)) {
-            socket.emit('error', 'Dead players cannot take actions');
-            return;
-        }
-        
-        // Validate selected targets (max 2, alive players only)
-        const validTargets = selectedTargets.filter(targetId => {
-            return targetId !== socket.id && // Can't target self
-                   !room.deadPlayers.has(targetId) && // Target must be alive
-                   room.players.has(targetId); // Target must exist
-        }).slice(0, 2); // Maximum 2 targets
-        
-        // Get original vote count for this suicide bomber (they were eliminated)
-        let originalVotes = 0;
-        for (const [voter, target] of room.votes) {
-            if (target === socket.id && !room.deadPlayers.has(voter)) {
-                originalVotes++;
-            }
-        }
-        
-        // Complete the suicide bomber elimination with selected targets
-        completeSuicideBomberElimination(roomCode, socket.id, validTargets, originalVotes);
-        
-        console.log(`Suicide Bomber ${player.name} selected targets: ${validTargets.join(', ')} in room ${roomCode}`);
+        applyEngineResult(roomCode, engine.suicideBomberTargets(socket.id, selectedTargets), socket);
     });
     
+    // Manipulator moves a cast ballot (voterId) or adds a phantom vote to a target
+    socket.on('manipulateVote', (data) => {
+        const { roomCode, voterId, targetId } = data || {};
+        const engine = getGameEngine(roomCode);
+        if (!engine) return;
+
+        applyEngineResult(roomCode, engine.manipulateVote(socket.id, voterId, targetId), socket);
+    });
+
     socket.on('nightAction', (data) => {
         const { roomCode, action, target } = data;
-        const room = rooms.get(roomCode);
-        
-        if (!room || !room.players.has(socket.id)) {
-            return;
-        }
-        
-        if (!room.gameStarted || room.deadPlayers.has(socket.id)) {
-            return;
-        }
-        
-        if (room.phase !== 'night') {
-            return;
-        }
-        
-        const player = room.players.get(socket.id);
-        
-        // Prevent players from targeting themselves
-        if (target === socket.id) {
-            socket.emit('error', 'You cannot target yourself');
-            return;
-        }
+        const engine = getGameEngine(roomCode);
+        if (!engine) return;
         
-        // Mafia can eliminate players (only one kill per night, any mafia member can do it)
-        if ((player.role === ROLES.MAFIA || player.role === ROLES.SUICIDE_BOMBER || player.role === ROLES.MANIPULATOR) && action === 'kill') {
-            // Check if a mafia kill has already been made this night
-            if (room.nightActionsUsed.has('mafia_kill')) {
-                socket.emit('error', 'The Mafia has already made a kill this night');
-                return;
-            }
-            
-            // Check if target is already dead
-            if (room.deadPlayers.has(target)) {
-                socket.emit('error', 'This player is already dead');
-                return;
-            }
-            
-            // Check if target is also mafia (mafia cannot kill other mafia)
-            const targetPlayer = room.players.get(target);
-            if (targetPlayer.role === ROLES.MAFIA || targetPlayer.role === ROLES.SUICIDE_BOMBER || targetPlayer.role === ROLES.MANIPULATOR) {
-                socket.emit('error', 'You cannot eliminate a fellow mafia member');
-                return;
-            }
-            
-            // Mark that mafia kill has been used this night and store the target
-            room.nightActionsUsed.add('mafia_kill');
-            room.mafiaKillTarget = target; // Store kill decision for later processing
-            
-            // Notify the mafia player that their kill decision was recorded
-            socket.emit('actionConfirmed', {
-                action: 'kill',
-                targetName: targetPlayer.name,
-                message: `You have chosen to eliminate ${targetPlayer.name}. The kill will be processed at dawn.`
-            });
-            
-            // Notify other mafia members about the kill decision
-            Array.from(room.players.entries()).forEach(([playerId, roomPlayer]) => {
-                if ((roomPlayer.role === ROLES.MAFIA || roomPlayer.role === ROLES.SUICIDE_BOMBER || roomPlayer.role === ROLES.MANIPULATOR) && 
-                    playerId !== socket.id && !room.deadPlayers.has(playerId)) {
-                    io.to(playerId).emit('mafiaNotification', {
-                        message: `${player.name} has chosen to eliminate ${targetPlayer.name}`
-                    });
-                }
-            });
-            
-            console.log(`${player.name} (${player.role}) chose to eliminate ${targetPlayer.name} in room ${roomCode}`);
-            
-            // Check if all night actions are complete
-            if (checkAllNightActionsComplete(roomCode)) {
-                endPhaseEarly(roomCode, 'All night actions completed');
-                return;
-            }
-        }
-        
-        // Detective can investigate (only one investigation per night)
-        if (player.role === ROLES.DETECTIVE && action === 'investigate') {
-            // Check if detective has already investigated this night
-            const detectiveActionKey = `detective_investigate_${socket.id}`;
-            if (room.nightActionsUsed.has(detectiveActionKey)) {
-                socket.emit('error', 'You have already investigated someone this night');
-                return;
-            }
-            
-            // Check if target is dead
-            if (room.deadPlayers.has(target)) {
-                socket.emit('error', 'You cannot investigate a dead player');
-                return;
-            }
-            
-            // Mark that this detective has investigated this night
-            room.nightActionsUsed.add(detectiveActionKey);
-            
-            const targetPlayer = room.players.get(target);
-            let investigationResult = 'innocent';
-            
-            // Detective learns if target is mafia or not
-            if (targetPlayer.role === ROLES.MAFIA) {
-                investigationResult = 'suspicious';
-            }
-            
-            socket.emit('investigationResult', {
-                targetName: targetPlayer.name,
-                result: investigationResult
-            });
-            
-            socket.emit('actionConfirmed', {
-                message: `Investigation completed on ${targetPlayer.name}`
-            });
-            
-            console.log(`${player.name} (Detective) investigated ${targetPlayer.name}: ${investigationResult} in room ${roomCode}`);
-            
-            // Check if all night actions are complete
-            if (checkAllNightActionsComplete(roomCode)) {
-                endPhaseEarly(roomCode, 'All night actions completed');
-                return;
-            }
-        }
+        applyEngineResult(roomCode, engine.nightAction(socket.id, action, target), socket);
+    });
+    
+    socket.on('cancelNightAction', (data) => {
+        const { roomCode, action } = data;
+        const engine = getGameEngine(roomCode);
+        if (!engine) return;
         
-        // Doctor can protect players (only one protection per night)
-        if (player.role === ROLES.DOCTOR && action === 'protect') {
-            // Check if doctor has already protected this night
-            const doctorActionKey = `doctor_protect_${socket.id}`;
-            if (room.nightActionsUsed.has(doctorActionKey)) {
-                socket.emit('error', 'You have already protected someone this night');
-                return;
-            }
-            
-            // Check if target is dead
-            if (room.deadPlayers.has(target)) {
-                socket.emit('error', 'You cannot protect a dead player');
-                return;
-            }
-            
-            // Mark that this doctor has protected this night
-            room.nightActionsUsed.add(doctorActionKey);
-            
-            // Store the protection for this night
-            if (!room.protectedPlayers) {
-                room.protectedPlayers = new Set();
-            }
-            room.protectedPlayers.add(target);
-            
-            const targetPlayer = room.players.get(target);
-            
-            socket.emit('actionConfirmed', {
-                message: `You have protected ${targetPlayer.name}`
-            });
-            
-            console.log(`${player.name} (Doctor) protected ${targetPlayer.name} in room ${roomCode}`);
-            
-            // Check if all night actions are complete
-            if (checkAllNightActionsComplete(roomCode)) {
-                endPhaseEarly(roomCode, 'All night actions completed');
-                return;
-            }
-        }
+        applyEngineResult(roomCode, engine.cancelNightAction(socket.id, action), socket);
     });
     
     socket.on('resetGame', (roomCode) => {
@@ -2607,15 +2303,7 @@ io.on('connection', (socket) => {
         resetGameState(roomCode);
         
         // Send return to lobby event with current room data
-        const updatedRoom = rooms.get(roomCode);
-        io.to(roomCode).emit('returnedToLobby', {
-            message: 'Everyone has been returned to the lobby.',
-            resetBy: updatedRoom.players.get(socket.id)?.name || 'Host',
-            playerCount: updatedRoom.players.size,
-            players: Array.from(updatedRoom.players.values()).map(p => ({ id: p.id, name: p.name, role: p.role, alive: p.alive })),
-            hostId: updatedRoom.hostId,
-            settings: updatedRoom.settings
-        });
+        emitReturnedToLobby(roomCode, 'Everyone has been returned to the lobby.', room.players.get(socket.id)?.name || 'Host');
         
         // Force a fresh game state broadcast after reset
         setTimeout(() => {
@@ -2638,7 +2326,23 @@ io.on('connection', (socket) => {
             return;
         }
 
+        // The chat belongs to the accused during their defense, and to a voted-out player's last words
+        const engine = getGameEngine(roomCode);
+        if (room.gameStarted && !engine.canUseDayChat(socket.id)) {
+            socket.emit('error', room.deadPlayers.has(socket.id)
+                ? 'The dead cannot speak to the living - use the graveyard chat'
+                : room.lastWords
+                ? 'Only the eliminated player may speak during their last words'
+                : 'Only the accused may speak during their defense');
+            return;
+        }
+        if (room.gameStarted) {
+            engine.markActive(socket.id);
+            engine.recordLastWords(socket.id, message.trim());
+        }
+
         // Broadcast message to all players in the room
+        recordChat(room, 'public', playerName, message.trim());
         io.to(roomCode).emit('chatMessage', {
             playerName: playerName,
             message: message.trim()
@@ -2658,26 +2362,33 @@ io.on('connection', (socket) => {
 
 		const player = room.players.get(socket.id);
 		
-		// Only mafia members and black police can send mafia chat
-		if (player.role !== ROLES.MAFIA && player.role !== ROLES.BLACK_POLICE && player.role !== ROLES.SUICIDE_BOMBER && player.role !== ROLES.MANIPULATOR) {
+		// Only roles with access to the mafia channel (mafia team and black police) can send mafia chat
+		if (!RoleRegistry.canUseChatChannel(player.role, 'mafia')) {
 			socket.emit('error', 'Only Mafia members can use this chat');
 			return;
 		}
+		if (room.deadPlayers.has(socket.id)) {
+			socket.emit('error', 'The dead cannot speak to the living - use the graveyard chat');
+			return;
+		}
 
 		// Validate message
 		if (!message || message.trim().length === 0 || message.length > 200) {
 			return;
 		}
 
-		// Broadcast to mafia-aligned participants (mafia, suicide_bomber, manipulator) and black police observers
+		// Broadcast to everyone on the mafia channel
+		getGameEngine(roomCode).markActive(socket.id);
+		recordChat(room, 'mafia', playerName, message.trim());
 		for (const [playerId, roomPlayer] of room.players) {
-			if (roomPlayer.role === ROLES.MAFIA || roomPlayer.role === ROLES.SUICIDE_BOMBER || roomPlayer.role === ROLES.MANIPULATOR || roomPlayer.role === ROLES.BLACK_POLICE) {
+			if (RoleRegistry.canUseChatChannel(roomPlayer.role, 'mafia')) {
 				io.to(playerId).emit('mafiaChatMessage', {
 					playerName: playerName,
 					message: message.trim()
 				});
 			}
 		}
+		io.to(GameEngine.graveyardChannel(roomCode)).emit('spectatorEvent', { channel: 'mafia', playerName, message: message.trim() });
 
 		console.log(`Mafia chat in room ${roomCode} - ${playerName}: ${message.trim()}`);
 	});
@@ -2688,43 +2399,57 @@ io.on('connection', (socket) => {
 		const room = rooms.get(roomCode);
 		if (!room || !room.players.has(socket.id)) return;
 		const player = room.players.get(socket.id);
-		if (player.role !== ROLES.DETECTIVE && player.role !== ROLES.GRAY_POLICE && player.role !== ROLES.WHITE_POLICE && player.role !== ROLES.BLACK_POLICE) {
+		if (!RoleRegistry.canUseChatChannel(player.role, 'police')) {
 			socket.emit('error', 'Only Detective/Police can use this chat');
 			return;
 		}
+		if (room.deadPlayers.has(socket.id)) {
+			socket.emit('error', 'The dead cannot speak to the living - use the graveyard chat');
+			return;
+		}
 		if (!message || message.trim().length === 0 || message.length > 200) return;
+		getGameEngine(roomCode).markActive(socket.id);
+		recordChat(room, 'police', playerName, message.trim());
 		for (const [playerId, roomPlayer] of room.players) {
-			if (roomPlayer.role === ROLES.DETECTIVE || roomPlayer.role === ROLES.GRAY_POLICE || roomPlayer.role === ROLES.WHITE_POLICE || roomPlayer.role === ROLES.BLACK_POLICE) {
+			if (RoleRegistry.canUseChatChannel(roomPlayer.role, 'police')) {
 				io.to(playerId).emit('policeChatMessage', { playerName, message: message.trim() });
 			}
 		}
+		io.to(GameEngine.graveyardChannel(roomCode)).emit('spectatorEvent', { channel: 'police', playerName, message: message.trim() });
 		console.log(`Police chat in room ${roomCode} - ${playerName}: ${message.trim()}`);
 	});
 
+	// Graveyard chat: the dead talk among themselves, out of the living players' sight
+	socket.on('graveyardChatMessage', (data) => {
+		const { roomCode, message } = data || {};
+		const room = rooms.get(roomCode);
+		if (!room || !room.players.has(socket.id)) return;
+		if (!isSpectator(room, socket.id)) {
+			socket.emit('error', 'Only eliminated players can use the graveyard chat');
+			return;
+		}
+		if (!message || message.trim().length === 0 || message.length > 200) return;
+		const player = room.players.get(socket.id);
+		recordChat(room, 'graveyard', player.name, message.trim());
+		io.to(GameEngine.graveyardChannel(roomCode)).emit('graveyardChatMessage', { playerName: player.name, message: message.trim() });
+		console.log(`Graveyard chat in room ${roomCode} - ${player.name}: ${message.trim()}`);
+	});
+
+	// Share a police alignment result into the police chat
+	socket.on('sharePoliceInvestigation', (data) => {
+		const { roomCode, targetId } = data || {};
+		const engine = getGameEngine(roomCode);
+		if (!engine) return;
+		applyEngineResult(roomCode, engine.sharePoliceInvestigation(socket.id, targetId), socket);
+	});
+
 	// Gray Police choose alignment => becomes WHITE_POLICE or BLACK_POLICE
 	socket.on('choosePoliceAlignment', (data) => {
 		try {
 			const { roomCode, alignment } = data || {};
-			const room = rooms.get(roomCode);
-			if (!room) return;
-			const p = room.players.get(socket.id);
-			if (!p || p.role !== ROLES.GRAY_POLICE) return;
-			if (alignment !== 'white' && alignment !== 'black') return;
-			p.role = alignment === 'white' ? ROLES.WHITE_POLICE : ROLES.BLACK_POLICE;
-			room.players.set(socket.id, p);
-			// If black, grant mafia chat visibility implicitly via checks above
-			io.to(socket.id).emit('roleAssigned', { role: p.role, description: ROLE_DESCRIPTIONS[p.role] || '' });
-			// Re-emit police roster to detective/police with updated roles (still hidden colors to others)
-			const policeMembers = Array.from(room.players.entries())
-				.filter(([id, rp]) => rp.role === ROLES.GRAY_POLICE || rp.role === ROLES.WHITE_POLICE || rp.role === ROLES.BLACK_POLICE)
-				.map(([id, rp]) => ({ id, name: rp.name }));
-			for (const [pid, rp] of room.players) {
-				if (rp.role === ROLES.DETECTIVE || rp.role === ROLES.WHITE_POLICE || rp.role === ROLES.BLACK_POLICE || rp.role === ROLES.GRAY_POLICE) {
-					io.to(pid).emit('policeTeamInfo', { members: policeMembers });
-				}
-			}
-			broadcastGameStateToRoom(roomCode);
-			console.log(`${p.name} chose ${alignment.toUpperCase()} Police in room ${roomCode}`);
+			const engine = getGameEngine(roomCode);
+			if (!engine) return;
+			applyEngineResult(roomCode, engine.choosePoliceAlignment(socket.id, alignment), socket);
 		} catch (e) {
 			console.error('choosePoliceAlignment error:', e);
 		}
@@ -2740,20 +2465,11 @@ io.on('connection', (socket) => {
 
         const player = room.players.get(socket.id);
         console.log(`${player.name} is leaving room ${roomCode}`);
+        clearReconnectTimer(socket.id);
 
-        // Remove player from room
-        room.players.delete(socket.id);
-        room.deadPlayers.delete(socket.id);
-        room.votes.delete(socket.id);
-        
-        // Leave the socket room
+        // Leave the socket room (and the graveyard channel, if dead)
         socket.leave(roomCode);
-
-        // Notify other players in the room
-        socket.to(roomCode).emit('playerLeft', {
-            playerId: socket.id,
-            playerName: player.name
-        });
+        socket.leave(GameEngine.graveyardChannel(roomCode));
 
         // Notify the leaving player that they successfully left
         socket.emit('roomLeft', {
@@ -2761,52 +2477,8 @@ io.on('connection', (socket) => {
             roomCode: roomCode
         });
 
-        // Handle host transfer if the host left
-        if (socket.id === room.hostId && room.players.size > 0) {
-            // Find the next human player to transfer host to (never transfer to bots)
-            const humanPlayers = Array.from(room.players.entries()).filter(([id, player]) => !player.isBot);
-            
-            if (humanPlayers.length > 0) {
-                // Transfer host to first human player
-                const [newHostId, newHost] = humanPlayers[0];
-                room.hostId = newHostId;
-                io.to(roomCode).emit('hostChanged', {
-                    newHostId: newHostId,
-                    newHostName: newHost.name
-                });
-                console.log(`Host transferred to ${newHost.name} in room ${roomCode}`);
-                             } else {
-                     // No human players left - close the lobby (prevent bot from becoming host)
-                     console.log(`🤖 PROTECTION: No human players left in room ${roomCode} - closing lobby to prevent bot host`);
-                     cleanupRoom(roomCode);
-                     return; // Exit early since room is being cleaned up
-                 }
-        }
-
-        // Clean up empty rooms or reset game if not enough players
-        if (room.players.size === 0) {
-            cleanupRoom(roomCode);
-            console.log(`Room ${roomCode} deleted - no players left`);
-        } else if (room.players.size < MIN_PLAYERS && room.gameStarted) {
-            room.phase = 'lobby';
-            room.gameStarted = false;
-            room.dayCount = 0;
-            room.deadPlayers.clear();
-            room.votes.clear();
-
-            if (room.timer) {
-                clearInterval(room.timer);
-                room.timer = null;
-            }
-
-            io.to(roomCode).emit('gameReset', 'Not enough players, returning to lobby');
-        }
-
-        // Update game state for remaining players
-        if (room.players.size > 0) {
-            broadcastGameStateToRoom(roomCode);
-            updatePublicLobby(roomCode);
-        }
+        // Same cleanup as any departure: host transfer, vote-kick, bots, empty room
+        removeDepartedPlayer(roomCode, socket.id);
     });
     
     // Friend invitation system
@@ -2835,14 +2507,14 @@ io.on('connection', (socket) => {
                 return;
             }
             
-            // Check if friend is online
-            const friendSocketId = userSessions.get(friendId);
+            // Check if friend is online (they may be connected to another instance)
+            const friendSocketId = await roomStore.getUserSocket(friendId);
             if (!friendSocketId) {
                 socket.emit('error', 'Friend is not online');
                 return;
             }
             
-            const friendSocket = io.sockets.sockets.get(friendSocketId);
+            const [friendSocket] = await io.in(friendSocketId).fetchSockets();
             if (!friendSocket) {
                 socket.emit('error', 'Friend is not available');
                 return;
@@ -2879,7 +2551,7 @@ io.on('connection', (socket) => {
         }
     });
     
-    socket.on('respondToInvitation', (data) => {
+    socket.on('respondToInvitation', async (data) => {
         const { accept, roomCode, inviterId } = data;
         
         if (!socket.userId) {
@@ -2887,16 +2559,17 @@ io.on('connection', (socket) => {
             return;
         }
         
-        const inviterSocketId = userSessions.get(inviterId);
-        if (inviterSocketId) {
-            const inviterSocket = io.sockets.sockets.get(inviterSocketId);
-            if (inviterSocket) {
-                inviterSocket.emit('invitationResponse', {
+        try {
+            const inviterSocketId = await roomStore.getUserSocket(inviterId);
+            if (inviterSocketId) {
+                io.to(inviterSocketId).emit('invitationResponse', {
                     accepted: accept,
                     responderName: socket.username,
                     roomCode: roomCode
                 });
             }
+        } catch (error) {
+            console.error('Invitation response error:', error);
         }
         
         if (accept) {
@@ -2908,9 +2581,9 @@ io.on('connection', (socket) => {
     socket.on('disconnect', () => {
         console.log('Player disconnected:', socket.id);
         
-        // Clean up user session mapping
+        // Clean up user session mapping (unless the user already reconnected on a new socket)
         if (socket.userId) {
-            userSessions.delete(socket.userId);
+            roomStore.deleteUserSocket(socket.userId, socket.id).catch(logStoreError);
             // Set user offline in database
             db.setUserOffline(socket.userId).catch(err => 
                 console.error('Error setting user offline:', err)
@@ -2927,75 +2600,12 @@ io.on('connection', (socket) => {
         }
         
         if (playerRoom) {
-            const { roomCode, room } = playerRoom;
-            const player = room.players.get(socket.id);
+            const { roomCode } = playerRoom;
+            const playerId = socket.id;
             
-            room.players.delete(socket.id);
-            room.deadPlayers.delete(socket.id);
-            room.votes.delete(socket.id);
-            
-            socket.to(roomCode).emit('playerLeft', {
-                playerId: socket.id,
-                playerName: player.name
-            });
-            
-            // Handle host transfer if the host left
-            if (socket.id === room.hostId && room.players.size > 0) {
-                // Find the next human player to transfer host to (never transfer to bots)
-                const humanPlayers = Array.from(room.players.entries()).filter(([id, player]) => !player.isBot);
-                
-                if (humanPlayers.length > 0) {
-                    // Transfer host to first human player
-                    const [newHostId, newHost] = humanPlayers[0];
-                    room.hostId = newHostId;
-                    io.to(roomCode).emit('hostChanged', {
-                        newHostId: newHostId,
-                        newHostName: newHost.name
-                    });
-                    console.log(`Host transferred to ${newHost.name} in room ${roomCode}`);
-                } else {
-                    // No human players left - close the lobby (prevent bot from becoming host)
-                    console.log(`🤖 PROTECTION: No human players left in room ${roomCode} - closing lobby to prevent bot host`);
-                    cleanupRoom(roomCode);
-                    return; // Exit early since room is being cleaned up
-                }
-            }
-            
-            // Clean up empty rooms or reset game if not enough players
-            if (room.players.size === 0) {
-                cleanupRoom(roomCode);
-                console.log(`Room ${roomCode} deleted - no players left`);
-            } else if (room.players.size < MIN_PLAYERS && room.gameStarted) {
-                room.phase = 'lobby';
-                room.gameStarted = false;
-                room.dayCount = 0;
-                room.deadPlayers.clear();
-                room.votes.clear();
-                
-                if (room.timer) {
-                    clearInterval(room.timer);
-                    room.timer = null;
-                }
-                
-                io.to(roomCode).emit('gameReset', 'Not enough players, returning to lobby');
-            }
-            
-            // Check if we should add bots after a player leaves
-            if (room.players.size > 0) {
-                if (hasHumanPlayers(roomCode)) {
-                    // Only manage bots if there are still human players
-                    if (shouldAddBots(roomCode)) {
-                        addBotsToRoom(roomCode);
-                    }
-                    
-                    broadcastGameStateToRoom(roomCode);
-                    updatePublicLobby(roomCode);
-                                 } else {
-                     // No human players left - close the lobby (prevent bot from becoming host)
-                     console.log(`🤖 PROTECTION: No human players left in room ${roomCode} after disconnect - closing lobby to prevent bot host`);
-                     cleanupRoom(roomCode);
-                 }
-            }
+            // Hold the seat so a dropped connection (a phone locking, a page reload) can come back
+            applyEngineResult(roomCode, getGameEngine(roomCode).disconnectPlayer(playerId));
+            holdSeat(roomCode, playerId);
         }
     });
 
@@ -3008,7 +2618,7 @@ io.on('connection', (socket) => {
             const canDM = await db.areFriends(fromUserId, toUserId);
             if (!canDM) return;
             const msg = await db.createDirectMessage(fromUserId, toUserId, text);
-            const recipientSocketId = userSessions.get(toUserId);
+            const recipientSocketId = await roomStore.getUserSocket(toUserId);
             if (recipientSocketId) {
                 io.to(recipientSocketId).emit('dmMessage', { fromUserId, text: msg.text, createdAt: msg.createdAt });
             }
@@ -3035,36 +2645,156 @@ io.on('connection', (socket) => {
         socket.emit('tutorialStepSet', { tutorial: room.tutorial });
     });
 
+	// Host (or moderator) removes a player, optionally banning them from the room
+	socket.on('kickPlayer', (data) => {
+		const { roomCode, playerId, ban, reason } = data || {};
+		const room = rooms.get(roomCode);
+		if (!room) { socket.emit('error', 'Room not found'); return; }
+		if (!hasPermission(room, socket.id, 'kickPlayer')) { socket.emit('error', 'Only the host can kick players'); return; }
+		const target = room.players.get(playerId);
+		if (!target) { socket.emit('error', 'Player not found'); return; }
+		if (playerId === socket.id) { socket.emit('error', 'You cannot kick yourself'); return; }
+		if (target.isBot) { socket.emit('error', 'Bots are managed in the bot settings'); return; }
+		const cleanReason = typeof reason === 'string' && reason.trim() ? reason.trim().slice(0, 100) : 'removed by the host';
+		kickFromRoom(roomCode, playerId, cleanReason, !!ban);
+	});
+
+	// Any living player can call a vote to kick someone during a game; a majority of the living players decides
+	socket.on('startVoteKick', (data) => {
+		const { roomCode, targetId } = data || {};
+		const room = rooms.get(roomCode);
+		if (!room || !room.players.has(socket.id)) { socket.emit('error', 'You are not in this room'); return; }
+		if (!room.gameStarted || room.phase === 'gameOver') { socket.emit('error', 'Vote-kicks are for games in progress - the host can kick in the lobby'); return; }
+		if (!canVoteKick(room, socket.id)) { socket.emit('error', 'Only living players in the game can call a vote-kick'); return; }
+		if (room.voteKick) { socket.emit('error', 'A vote-kick is already running'); return; }
+		const target = room.players.get(targetId);
+		if (!target || target.isBot) { socket.emit('error', 'Player not found'); return; }
+		if (targetId === socket.id) { socket.emit('error', 'You cannot vote to kick yourself'); return; }
+		if (targetId === room.hostId || targetId === room.moderatorId) { socket.emit('error', 'The host cannot be vote-kicked'); return; }
+
+		room.voteKick = {
+			targetId,
+			votes: new Map([[socket.id, true]]),
+			timer: setTimeout(() => endVoteKick(roomCode, false), VOTE_KICK_DURATION * 1000)
+		};
+		const starter = room.players.get(socket.id);
+		io.to(roomCode).emit('voteKickStarted', {
+			targetId,
+			targetName: target.name,
+			startedBy: starter.name,
+			startedById: socket.id,
+			seconds: VOTE_KICK_DURATION,
+			message: `👢 ${starter.name} started a vote to kick ${target.name}.`
+		});
+		console.log(`${starter.name} started a vote-kick against ${target.name} in room ${roomCode}`);
+		checkVoteKick(roomCode);
+	});
+
+	socket.on('voteKick', (data) => {
+		const { roomCode, approve } = data || {};
+		const room = rooms.get(roomCode);
+		if (!room || !room.voteKick) { socket.emit('error', 'There is no vote-kick running'); return; }
+		if (!getVoteKickVoters(room).includes(socket.id)) { socket.emit('error', 'You cannot vote on this kick'); return; }
+		room.voteKick.votes.set(socket.id, !!approve);
+		checkVoteKick(roomCode);
+	});
+
+	// Host timer controls: pause/resume the current phase, add time, or skip ahead
+	socket.on('pauseGame', (roomCode) => {
+		const room = rooms.get(roomCode);
+		if (!room) { socket.emit('error', 'Room not found'); return; }
+		if (!hasPermission(room, socket.id, 'pauseGame')) { socket.emit('error', 'Only the host or moderator can pause the game'); return; }
+		applyEngineResult(roomCode, getGameEngine(roomCode).pauseGame(), socket);
+	});
+
+	socket.on('resumeGame', (roomCode) => {
+		const room = rooms.get(roomCode);
+		if (!room) { socket.emit('error', 'Room not found'); return; }
+		if (!hasPermission(room, socket.id, 'pauseGame')) { socket.emit('error', 'Only the host or moderator can resume the game'); return; }
+		applyEngineResult(roomCode, getGameEngine(roomCode).resumeGame(), socket);
+	});
+
+	socket.on('extendPhase', (data) => {
+		const { roomCode, seconds } = data || {};
+		const room = rooms.get(roomCode);
+		if (!room) { socket.emit('error', 'Room not found'); return; }
+		if (!hasPermission(room, socket.id, 'extendPhase')) { socket.emit('error', 'Only the host or moderator can add time'); return; }
+		applyEngineResult(roomCode, getGameEngine(roomCode).extendPhase(parseInt(seconds)), socket);
+	});
+
+	socket.on('skipPhase', (roomCode) => {
+		const room = rooms.get(roomCode);
+		if (!room) { socket.emit('error', 'Room not found'); return; }
+		if (!hasPermission(room, socket.id, 'skipPhase')) { socket.emit('error', 'Only the host or moderator can skip a phase'); return; }
+		applyEngineResult(roomCode, getGameEngine(roomCode).skipPhase(), socket);
+	});
+
+	// Moderator tools: remove a player from the game, or post a narrator line to the whole room
+	socket.on('moderatorModkill', (data) => {
+		const { roomCode, targetId } = data || {};
+		const room = rooms.get(roomCode);
+		if (!room) { socket.emit('error', 'Room not found'); return; }
+		if (!hasPermission(room, socket.id, 'modkill')) { socket.emit('error', 'Only the moderator can modkill a player'); return; }
+		applyEngineResult(roomCode, getGameEngine(roomCode).modkillPlayer(targetId), socket);
+	});
+
+	socket.on('narratorMessage', (data) => {
+		const { roomCode, message } = data || {};
+		const room = rooms.get(roomCode);
+		if (!room) { socket.emit('error', 'Room not found'); return; }
+		if (!hasPermission(room, socket.id, 'narrate')) { socket.emit('error', 'Only the moderator can narrate'); return; }
+		if (!message || message.trim().length === 0 || message.length > 300) return;
+		recordChat(room, 'public', NARRATOR_NAME, message.trim());
+		io.to(roomCode).emit('narratorMessage', { message: message.trim() });
+		console.log(`Narrator in room ${roomCode}: ${message.trim()}`);
+	});
+
 	// Handle host closing the game immediately
 	socket.on('closeGame', (roomCode) => {
 		try {
 			const room = rooms.get(roomCode);
 			if (!room) { socket.emit('error', 'Room not found'); return; }
-			if (socket.id !== room.hostId) { socket.emit('error', 'Only the host can close the game'); return; }
+			if (!hasPermission(room, socket.id, 'closeGame')) { socket.emit('error', 'Only the host or moderator can close the game'); return; }
 			// End the game and return everyone to lobby state
 			room.phase = 'gameOver';
 			io.to(roomCode).emit('gameClosed', { message: 'Host closed the game' });
 			resetGameState(roomCode);
-			io.to(roomCode).emit('returnedToLobby', {
-				message: 'Game closed by host. Returned to lobby.',
-				resetBy: room.players.get(socket.id)?.name || 'Host',
-				playerCount: room.players.size,
-				players: Array.from(room.players.values()).map(p => ({ id: p.id, name: p.name, role: p.role, alive: p.alive })),
-				hostId: room.hostId,
-				settings: room.settings
-			});
+			emitReturnedToLobby(roomCode, 'Game closed by host. Returned to lobby.', room.players.get(socket.id)?.name || 'Host');
 			broadcastGameStateToRoom(roomCode);
 			console.log(`Game closed by host in room ${roomCode}; returned to lobby.`);
 		} catch (e) {
 			console.error('closeGame error:', e);
 		}
 	});
-});
+}
 
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
     console.log(`The Fall of Volmora server running on port ${PORT}`);
-}); 
+});
+
+// Restore saved rooms in the background (a slow or unreachable database doesn't keep the server down);
+// snapshots only start once the restore is done (an empty save would drop the stored rooms)
+restoreRooms().finally(() => {
+    roomsRestored = true;
+    setInterval(() => {
+        snapshotRooms();
+        // Pick up rooms of instances that went down
+        if (clustered) restoreRooms();
+    }, SNAPSHOT_INTERVAL * 1000);
+});
+
+// Save the rooms one last time on shutdown (deploys, Ctrl+C) and let them go, so the next
+// instance to start (or another one already running) can take them over straight away
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+        console.log(`${signal} received - saving rooms before exit`);
+        snapshotRooms()
+            .then(() => Promise.all(Array.from(rooms.keys()).map(roomCode => roomStore.releaseRoom(roomCode, INSTANCE_ID))))
+            .catch(logStoreError)
+            .finally(() => process.exit(0));
+    });
+}
 
 // Direct Messages API routes
 app.get('/api/dm/:otherUserId', async (req, res) => {
@@ -3094,7 +2824,7 @@ app.post('/api/dm/:otherUserId', async (req, res) => {
 		if (!canDM) return res.status(403).json({ error: 'You can only message friends' });
 		const msg = await db.createDirectMessage(req.session.userId, otherUserId, text);
 		// Emit to recipient if online
-		const recipientSocketId = userSessions.get(otherUserId);
+		const recipientSocketId = await roomStore.getUserSocket(otherUserId);
 		if (recipientSocketId) {
 			io.to(recipientSocketId).emit('dmMessage', { fromUserId: msg.fromUserId, text: msg.text, createdAt: msg.createdAt });
 		}
@@ -0,0 +1,132 @@
+// Two server instances in one process, linked by the local cluster adapter and a shared room store:
+// events a player sends to the instance they're connected to reach the instance that runs the room
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { EventEmitter } = require('events');
+const socketIo = require('socket.io');
+const ioClient = require('socket.io-client');
+const { createLocalAdapter } = require('../cluster-adapter');
+const { ClusterRouter } = require('../cluster-router');
+const { MemoryRoomStore } = require('../room-store');
+
+const bus = new EventEmitter();
+const disconnects = new EventEmitter(); // (instanceId, socketId) for every disconnect a handler sees
+const roomStore = new MemoryRoomStore();
+const instances = [];
+const clients = [];
+
+// A bare-bones instance: its handlers report which instance ran them
+function startInstance(instanceId) {
+    const server = http.createServer();
+    const io = socketIo(server, { adapter: createLocalAdapter(bus) });
+    const instance = { instanceId, io, server, rooms: new Map(), handled: [] };
+
+    const registerSocketHandlers = (socket) => {
+        socket.on('joinRoom', ({ roomCode }) => {
+            instance.handled.push({ event: 'joinRoom', socketId: socket.id, roomCode });
+            const code = roomCode.toUpperCase();
+            socket.join(code);
+            socket.emit('roomJoined', { roomCode: code, instanceId });
+        });
+        socket.on('chatMessage', ({ roomCode, message }) => {
+            instance.handled.push({ event: 'chatMessage', socketId: socket.id, roomCode });
+            io.to(roomCode.toUpperCase()).emit('chatMessage', { message, instanceId });
+        });
+        socket.on('disconnect', () => {
+            instance.handled.push({ event: 'disconnect', socketId: socket.id });
+            disconnects.emit('disconnect', instanceId, socket.id);
+        });
+    };
+
+    instance.router = new ClusterRouter(io, {
+        instanceId,
+        roomStore,
+        hasRoom: roomCode => instance.rooms.has(roomCode),
+        registerSocketHandlers
+    });
+    io.on('connection', (socket) => {
+        instance.router.attach(socket);
+        registerSocketHandlers(socket);
+    });
+
+    instances.push(instance);
+    return new Promise(resolve => server.listen(0, () => resolve(instance)));
+}
+
+function connect(instance) {
+    const client = ioClient(`http://localhost:${instance.server.address().port}`, { transports: ['websocket'] });
+    clients.push(client);
+    return new Promise(resolve => client.on('connect', () => resolve(client)));
+}
+
+function waitFor(emitter, event) {
+    return new Promise(resolve => emitter.once(event, (...args) => resolve(args)));
+}
+
+let owner;
+let other;
+
+before(async () => {
+    owner = await startInstance('A');
+    other = await startInstance('B');
+    owner.rooms.set('ROOM1', {});
+    await roomStore.claimRoom('ROOM1', 'A');
+});
+
+after(() => {
+    for (const client of clients) client.disconnect();
+    for (const instance of instances) instance.io.close();
+});
+
+test('events for a room run elsewhere are handled by its owner, whatever the code\'s case', async () => {
+    const client = await connect(other);
+
+    client.emit('joinRoom', { roomCode: 'room1' });
+    const [joined] = await waitFor(client, 'roomJoined');
+
+    assert.deepStrictEqual(joined, { roomCode: 'ROOM1', instanceId: 'A' });
+    assert.deepStrictEqual(owner.handled, [{ event: 'joinRoom', socketId: client.id, roomCode: 'room1' }]);
+    assert.deepStrictEqual(other.handled, []);
+});
+
+test('a forwarded socket joins the room on its own instance and gets its broadcasts', async () => {
+    const local = await connect(owner);
+    const remote = await connect(other);
+    local.emit('joinRoom', { roomCode: 'ROOM1' });
+    remote.emit('joinRoom', { roomCode: 'ROOM1' });
+    await Promise.all([waitFor(local, 'roomJoined'), waitFor(remote, 'roomJoined')]);
+
+    const received = Promise.all([waitFor(local, 'chatMessage'), waitFor(remote, 'chatMessage')]);
+    remote.emit('chatMessage', { roomCode: 'ROOM1', message: 'hello from B' });
+    const [[toLocal], [toRemote]] = await received;
+
+    assert.deepStrictEqual(toLocal, { message: 'hello from B', instanceId: 'A' });
+    assert.deepStrictEqual(toRemote, toLocal);
+});
+
+test('events for a room nobody runs stay on the instance they arrived at', async () => {
+    const client = await connect(other);
+
+    client.emit('joinRoom', { roomCode: 'NOWHERE' });
+    const [joined] = await waitFor(client, 'roomJoined');
+
+    assert.strictEqual(joined.instanceId, 'B');
+});
+
+test('the owner hears when a forwarded player disconnects', async () => {
+    const client = await connect(other);
+    client.emit('joinRoom', { roomCode: 'ROOM1' });
+    await waitFor(client, 'roomJoined');
+
+    const socketId = client.id;
+    const disconnected = new Promise(resolve => {
+        disconnects.on('disconnect', (instanceId, id) => {
+            if (instanceId === 'A' && id === socketId) resolve();
+        });
+    });
+    client.disconnect();
+    await disconnected;
+
+    assert.ok(owner.handled.some(entry => entry.event === 'disconnect' && entry.socketId === socketId));
+});
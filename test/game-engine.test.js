@@ -0,0 +1,729 @@
+// Headless tests for the game engine: a fake clock and a fixed seed make every game repeatable
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const GameEngine = require('../game-engine');
+const RoleRegistry = require('../role-registry');
+const { serializeRoom, deserializeRoom } = require('../room-snapshot');
+
+const { ROLES, NO_LYNCH } = GameEngine;
+
+// The engine narrates every step to the console; keep the test output readable
+before(() => mock.method(console, 'log', () => {}));
+after(() => mock.restoreAll());
+
+function createRoom(playerCount, settings = {}) {
+    const players = new Map();
+    for (let i = 0; i < playerCount; i++) {
+        players.set(`p${i}`, { id: `p${i}`, name: `Player ${i}`, role: null, alive: true, isBot: false });
+    }
+    return {
+        roomCode: 'TEST',
+        hostId: 'p0',
+        phase: 'lobby',
+        players,
+        deadPlayers: new Set(),
+        votes: new Map(),
+        dayCount: 0,
+        timeRemaining: 0,
+        gameStarted: false,
+        nightActionsUsed: new Set(),
+        protectedPlayers: new Set(),
+        settings: {
+            maxPlayers: 20,
+            mafiaCount: 1,
+            investigationMatrix: RoleRegistry.buildInvestigationMatrix(),
+            roleRevealMode: 'role',
+            afkPhaseLimit: 0,
+            ...settings
+        },
+        winStats: { mafiaWins: 0, civilianWins: 0, totalGames: 0 },
+        tutorial: { active: false, step: 0 }
+    };
+}
+
+// Start a game where player i gets roles[i] (null for a moderator); resolves once the first night has begun
+function startGame(roles, settings = {}) {
+    let now = 0;
+    const clock = { now: () => now };
+    const room = createRoom(roles.length, settings);
+    const engine = new GameEngine(room, { clock, seed: 42 });
+    const events = [];
+    const record = (result) => {
+        events.push(...result.events);
+        return result;
+    };
+
+    const game = {
+        room,
+        engine,
+        clock,
+        events,
+        advance(seconds) {
+            for (let i = 0; i < seconds; i++) {
+                now += 1000;
+                record(engine.tick());
+            }
+        },
+        // Advance the clock one second at a time until the phase changes (or the game ends)
+        advanceUntil(phase, limitSeconds = 600) {
+            for (let i = 0; i < limitSeconds && room.phase !== phase && room.phase !== 'gameOver'; i++) {
+                now += 1000;
+                record(engine.tick());
+            }
+            assert.strictEqual(room.phase, phase);
+        },
+        vote: (voterId, targetId) => record(engine.vote(voterId, targetId)),
+        verdict: (playerId, verdict) => record(engine.castVerdict(playerId, verdict)),
+        nightAction: (playerId, action, targetId) => record(engine.nightAction(playerId, action, targetId)),
+        // Any other engine command, with its events recorded
+        run: (command, ...args) => record(engine[command](...args)),
+        lastEmit: (event) => events.filter(e => e.event === event).pop()?.data
+    };
+
+    assert.ok(record(engine.startGame()).ok);
+    now += 1200;
+    record(engine.tick()); // assignRoles
+    roles.forEach((role, i) => {
+        room.players.get(`p${i}`).role = role;
+    });
+    game.advanceUntil('night');
+    return game;
+}
+
+const TOWN = [ROLES.MAFIA, ROLES.DOCTOR, ROLES.DETECTIVE, ROLES.CIVILIAN, ROLES.CIVILIAN, ROLES.CIVILIAN];
+
+// Skip the first night with no actions and open the day
+function startFirstDay(roles = TOWN, settings = {}) {
+    const game = startGame(roles, settings);
+    game.advanceUntil('day');
+    return game;
+}
+
+test('a tied vote eliminates no one by default', () => {
+    const game = startFirstDay();
+    game.vote('p0', 'p3');
+    game.vote('p3', 'p0');
+    game.advanceUntil('night');
+
+    assert.strictEqual(game.lastEmit('votingResult').type, 'tie');
+    assert.strictEqual(game.room.deadPlayers.size, 0);
+});
+
+test('a tie broken at random eliminates one of the leaders', () => {
+    const game = startFirstDay(TOWN, { voteTieRule: 'random' });
+    game.vote('p0', 'p3');
+    game.vote('p3', 'p4');
+    game.advanceUntil('night');
+
+    const result = game.lastEmit('votingResult');
+    assert.strictEqual(result.type, 'elimination');
+    assert.strictEqual(result.decidedBy, 'random');
+    assert.strictEqual(game.room.deadPlayers.size, 1);
+    assert.ok(game.room.deadPlayers.has('p3') || game.room.deadPlayers.has('p4'));
+});
+
+test('a runoff limits ballots to the tied leaders and its winner is eliminated', () => {
+    const game = startFirstDay(TOWN, { voteTieRule: 'runoff' });
+    game.vote('p0', 'p3');
+    game.vote('p3', 'p4');
+    game.advanceUntil('voting');
+
+    assert.deepStrictEqual(game.room.runoff.candidates, ['p3', 'p4']);
+    assert.strictEqual(game.vote('p1', 'p5').ok, false);
+
+    game.vote('p1', 'p4');
+    game.vote('p2', 'p4');
+    game.vote('p5', 'p3');
+    game.advanceUntil('night');
+
+    assert.strictEqual(game.lastEmit('votingResult').decidedBy, 'runoff');
+    assert.deepStrictEqual(Array.from(game.room.deadPlayers), ['p4']);
+});
+
+test('a runoff that ties again eliminates no one', () => {
+    const game = startFirstDay(TOWN, { voteTieRule: 'runoff' });
+    game.vote('p0', 'p3');
+    game.vote('p3', 'p4');
+    game.advanceUntil('voting');
+
+    game.vote('p1', 'p3');
+    game.vote('p2', 'p4');
+    game.advanceUntil('night');
+
+    assert.strictEqual(game.lastEmit('votingResult').type, 'tie');
+    assert.strictEqual(game.room.deadPlayers.size, 0);
+});
+
+test('no-lynch ballots need the room setting and can win the vote', () => {
+    const closed = startFirstDay();
+    assert.strictEqual(closed.vote('p1', NO_LYNCH).ok, false);
+
+    const game = startFirstDay(TOWN, { allowNoLynch: true });
+    game.vote('p1', NO_LYNCH);
+    game.vote('p2', NO_LYNCH);
+    game.vote('p0', 'p3');
+    game.advanceUntil('night');
+
+    assert.strictEqual(game.lastEmit('votingResult').type, 'noLynch');
+    assert.strictEqual(game.room.deadPlayers.size, 0);
+});
+
+test('the majority threshold needs more than half of the living players', () => {
+    const game = startFirstDay(TOWN, { lynchThreshold: 'majority' });
+    game.vote('p0', 'p3');
+    game.vote('p1', 'p3');
+    game.vote('p2', 'p4');
+    game.advanceUntil('night');
+
+    assert.strictEqual(game.lastEmit('votingResult').type, 'noMajority');
+    assert.strictEqual(game.room.deadPlayers.size, 0);
+});
+
+test('a trial convicts when guilty outnumbers innocent', () => {
+    const game = startFirstDay(TOWN, { trialMode: true });
+    game.vote('p1', 'p3');
+    game.vote('p2', 'p3');
+    game.advanceUntil('trial');
+
+    assert.strictEqual(game.room.trial.accusedId, 'p3');
+    assert.strictEqual(game.room.deadPlayers.size, 0);
+    assert.strictEqual(game.verdict('p1', 'guilty').ok, false); // Still the defense speech
+
+    game.advance(GameEngine.DEFENSE_DURATION);
+    assert.strictEqual(game.room.trial.stage, 'verdict');
+    assert.strictEqual(game.verdict('p3', 'innocent').ok, false); // The accused has no say
+    game.verdict('p1', 'guilty');
+    game.verdict('p2', 'guilty');
+    game.verdict('p4', 'innocent');
+    game.advanceUntil('night');
+
+    assert.strictEqual(game.lastEmit('trialResult').verdict, 'guilty');
+    assert.deepStrictEqual(Array.from(game.room.deadPlayers), ['p3']);
+});
+
+test('a trial under the majority threshold counts abstentions against a conviction', () => {
+    const game = startFirstDay(TOWN, { trialMode: true, lynchThreshold: 'majority' });
+    for (const voter of ['p0', 'p1', 'p2', 'p4']) game.vote(voter, 'p3');
+    game.advanceUntil('trial');
+    game.advance(GameEngine.DEFENSE_DURATION);
+
+    // 2 guilty, 1 innocent and 2 abstentions: guilty leads, but 3 of the 5 jurors are needed
+    game.verdict('p1', 'guilty');
+    game.verdict('p2', 'guilty');
+    game.verdict('p4', 'innocent');
+    game.advanceUntil('night');
+
+    const result = game.lastEmit('trialResult');
+    assert.strictEqual(result.verdict, 'innocent');
+    assert.strictEqual(result.abstain.length, 2);
+    assert.strictEqual(game.room.deadPlayers.size, 0);
+});
+
+test('protections resolve before kills whatever order they were submitted in', () => {
+    const game = startGame(TOWN);
+    assert.ok(game.nightAction('p0', 'kill', 'p3').ok);
+    assert.ok(game.nightAction('p1', 'protect', 'p3').ok);
+    game.advanceUntil('day');
+
+    assert.strictEqual(game.room.deadPlayers.size, 0);
+    assert.ok(game.events.some(e => e.event === 'nightResults' && e.to === 'p3' && e.data.results.some(r => r.saved)));
+});
+
+test('an unprotected night kill lands at dawn', () => {
+    const game = startGame(TOWN);
+    game.nightAction('p0', 'kill', 'p3');
+    game.nightAction('p1', 'protect', 'p4');
+    assert.strictEqual(game.room.deadPlayers.size, 0); // Nothing resolves before dawn
+    game.advanceUntil('day');
+
+    assert.deepStrictEqual(Array.from(game.room.deadPlayers), ['p3']);
+});
+
+test('the town wins once the last Mafia member is voted out', () => {
+    const game = startFirstDay();
+    game.vote('p1', 'p0');
+    game.vote('p2', 'p0');
+    game.advanceUntil('gameOver');
+
+    const result = game.lastEmit('gameOver');
+    assert.strictEqual(result.winner, 'innocents');
+    assert.strictEqual(game.room.winStats.civilianWins, 1);
+});
+
+test('the Mafia win once they equal the remaining town', () => {
+    const game = startGame([ROLES.MAFIA, ROLES.CIVILIAN, ROLES.CIVILIAN, ROLES.CIVILIAN]);
+    game.nightAction('p0', 'kill', 'p1');
+    game.advanceUntil('day');
+    assert.strictEqual(game.room.phase, 'day');
+
+    // The town votes out one of its own, leaving one Mafia and one Civilian
+    game.vote('p0', 'p2');
+    game.vote('p3', 'p2');
+    game.advanceUntil('gameOver');
+
+    const result = game.lastEmit('gameOver');
+    assert.strictEqual(result.winner, 'mafia');
+    assert.strictEqual(game.room.winStats.mafiaWins, 1);
+});
+
+test('a role setup only accepts the registry\'s own roles', () => {
+    assert.strictEqual(GameEngine.validateRoleSetup({ roles: { mafia: 1, toString: 1 } }, 6), 'Unknown role: toString');
+    assert.strictEqual(RoleRegistry.getRoleDefinition('constructor'), null);
+
+    const room = createRoom(6, { roleSetup: { roles: { mafia: 1, constructor: 1 } } });
+    const result = new GameEngine(room, { clock: { now: () => 0 }, seed: 42 }).startGame();
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.error, 'Cannot start game: Unknown role: constructor');
+});
+
+test('an inactive player is warned, then removed once they miss one phase too many', () => {
+    const game = startFirstDay(TOWN, { afkPhaseLimit: 1 });
+    const keepActive = () => {
+        for (const id of ['p0', 'p1', 'p2', 'p4', 'p5']) game.run('setLastWill', id, '');
+    };
+
+    keepActive();
+    game.advanceUntil('night');
+    assert.ok(game.events.some(e => e.event === 'afkWarning' && e.to === 'p3'));
+    assert.ok(!game.room.deadPlayers.has('p3'));
+
+    game.advanceUntil('day');
+    keepActive();
+    game.advanceUntil('night');
+    const removal = game.lastEmit('playerEliminated');
+    assert.strictEqual(removal.playerId, 'p3');
+    assert.strictEqual(removal.cause, 'inactivity');
+    assert.ok(game.room.deadPlayers.has('p3'));
+});
+
+test('a player removed for inactivity loses the action they queued tonight', () => {
+    const game = startGame(TOWN, { afkPhaseLimit: 1 });
+    game.nightAction('p1', 'protect', 'p3');
+    game.engine.removeInactivePlayer(game.room.players.get('p1'));
+    game.nightAction('p0', 'kill', 'p3');
+    game.advanceUntil('day');
+
+    assert.ok(game.room.deadPlayers.has('p3'));
+    assert.ok(!game.events.some(e => e.event === 'nightResults' && e.to === 'p1'));
+});
+
+const MODERATED = [null, ROLES.MAFIA, ROLES.MAFIA, ROLES.DOCTOR, ROLES.CIVILIAN, ROLES.CIVILIAN, ROLES.CIVILIAN, ROLES.CIVILIAN];
+
+test('a Doctor modkilled during the night protects no one', () => {
+    const game = startGame(MODERATED, { moderatorMode: true, mafiaCount: 2 });
+    assert.strictEqual(game.room.moderatorId, 'p0');
+
+    game.nightAction('p3', 'protect', 'p4');
+    assert.ok(game.run('modkillPlayer', 'p3').ok);
+    game.nightAction('p1', 'kill', 'p4');
+    game.nightAction('p2', 'kill', 'p4');
+    game.advanceUntil('day');
+
+    assert.ok(game.room.deadPlayers.has('p4'));
+    assert.ok(!game.events.some(e => e.event === 'nightResults' && e.to === 'p3'));
+});
+
+test('a team kill carried by a modkilled Mafia member passes to the rest of the team', () => {
+    const game = startGame(MODERATED, { moderatorMode: true, mafiaCount: 2 });
+    game.nightAction('p1', 'kill', 'p4');
+    game.nightAction('p2', 'kill', 'p4');
+    assert.strictEqual(game.room.nightQueue.find(entry => entry.action === 'kill').actorId, 'p1');
+
+    game.run('modkillPlayer', 'p1');
+    assert.strictEqual(game.room.nightQueue.find(entry => entry.action === 'kill').actorId, 'p2');
+    game.advanceUntil('day');
+
+    assert.deepStrictEqual(Array.from(game.room.deadPlayers).sort(), ['p1', 'p4']);
+});
+
+test('only the moderator\'s living, seated targets can be modkilled', () => {
+    const game = startGame(MODERATED, { moderatorMode: true, mafiaCount: 2 });
+    assert.strictEqual(game.run('modkillPlayer', 'p0').ok, false);
+    assert.strictEqual(game.run('vote', 'p0', 'p1').ok, false);
+
+    game.run('modkillPlayer', 'p5');
+    assert.strictEqual(game.run('modkillPlayer', 'p5').ok, false);
+});
+
+test('investigations return their result at once and are final', () => {
+    const game = startGame([ROLES.MAFIA, ROLES.DETECTIVE, ROLES.WHITE_POLICE, ROLES.CIVILIAN, ROLES.CIVILIAN, ROLES.CIVILIAN]);
+    game.nightAction('p1', 'investigate', 'p0');
+    game.nightAction('p2', 'investigateAlignment', 'p0');
+
+    assert.strictEqual(game.room.phase, 'night');
+    assert.strictEqual(game.lastEmit('investigationResult').result, 'suspicious');
+    assert.strictEqual(game.lastEmit('policeInvestigationResult').alignment, 'mafia');
+    assert.strictEqual(game.nightAction('p1', 'investigate', 'p3').ok, false);
+    assert.strictEqual(game.room.nightQueue.length, 0);
+});
+
+test('an unknown investigation preset falls back to Classic', () => {
+    assert.deepStrictEqual(RoleRegistry.buildInvestigationMatrix('toString'), RoleRegistry.buildInvestigationMatrix('classic'));
+});
+
+// ---- Custom role setups ----
+
+test('a custom role setup deals exactly the listed roles and fills the rest with Civilians', () => {
+    let now = 0;
+    const room = createRoom(7, { roleSetup: { roles: { mafia: 1, suicide_bomber: 1, doctor: 1, jester: 1 } } });
+    const engine = new GameEngine(room, { clock: { now: () => now }, seed: 7 });
+    assert.ok(engine.startGame().ok);
+    now += 1200;
+    engine.tick();
+
+    const dealt = Array.from(room.players.values()).map(p => p.role).sort();
+    assert.deepStrictEqual(dealt, ['civilian', 'civilian', 'civilian', 'doctor', 'jester', 'mafia', 'suicide_bomber']);
+});
+
+test('a custom role setup needs a Mafia member and must fit the table', () => {
+    assert.strictEqual(GameEngine.validateRoleSetup({ roles: { doctor: 1 } }, 6), 'The role setup needs at least one Mafia member');
+    assert.match(GameEngine.validateRoleSetup({ roles: { mafia: 3, doctor: 4 } }, 6), /only 6 players/);
+    assert.match(GameEngine.validateRoleSetup({ roles: { mafia: 3 } }, 6), /too many/);
+    assert.strictEqual(GameEngine.validateRoleSetup({ roles: { mafia: 2, jester: 1 } }, 6), null);
+});
+
+test('a Jester voted out wins alongside whichever side wins the game', () => {
+    const game = startFirstDay([ROLES.MAFIA, ROLES.JESTER, ROLES.CIVILIAN, ROLES.CIVILIAN, ROLES.CIVILIAN, ROLES.CIVILIAN]);
+    game.vote('p2', 'p1');
+    game.vote('p3', 'p1');
+    game.advanceUntil('night');
+    game.advanceUntil('day');
+
+    game.vote('p2', 'p0');
+    game.vote('p3', 'p0');
+    game.advanceUntil('gameOver');
+
+    const result = game.lastEmit('gameOver');
+    assert.strictEqual(result.winner, 'innocents');
+    assert.deepStrictEqual(result.neutralWinners, [{ name: 'Player 1', role: ROLES.JESTER }]);
+});
+
+// ---- Reconnection ----
+
+test('a player who reconnects keeps their seat, role and tonight\'s action under the new id', () => {
+    const game = startGame(TOWN);
+    game.nightAction('p1', 'protect', 'p3');
+    game.run('disconnectPlayer', 'p1');
+    assert.strictEqual(game.room.players.get('p1').disconnected, true);
+
+    assert.ok(game.run('reconnectPlayer', 'p1', 'p1b').ok);
+    const player = game.room.players.get('p1b');
+    assert.ok(!game.room.players.has('p1'));
+    assert.strictEqual(player.role, ROLES.DOCTOR);
+    assert.strictEqual(player.disconnected, false);
+    assert.ok(game.events.some(e => e.event === 'roleAssigned' && e.to === 'p1b' && e.data.rejoined));
+    assert.strictEqual(game.nightAction('p1b', 'protect', 'p3').ok, false); // Already protecting them
+
+    game.nightAction('p0', 'kill', 'p3');
+    game.advanceUntil('day');
+    assert.strictEqual(game.room.deadPlayers.size, 0);
+    assert.ok(game.events.some(e => e.event === 'nightResults' && e.to === 'p1b'));
+});
+
+test('a ballot cast before a reconnect still counts', () => {
+    const game = startFirstDay();
+    game.vote('p3', 'p0');
+    game.vote('p4', 'p0');
+    game.run('reconnectPlayer', 'p3', 'p3b');
+    game.advanceUntil('gameOver');
+
+    assert.strictEqual(game.lastEmit('gameOver').winner, 'innocents');
+});
+
+// ---- Snapshots ----
+
+test('a room saved mid-night carries on after a restart, with its timers pushed back by the downtime', () => {
+    const game = startGame(TOWN);
+    game.nightAction('p1', 'protect', 'p3');
+    game.advance(10);
+    const savedAt = game.clock.now();
+    const secondsLeft = game.engine.getPhaseSecondsLeft();
+
+    const room = deserializeRoom(serializeRoom(game.room));
+    assert.ok(room.players instanceof Map && room.nightActionsUsed instanceof Set);
+    assert.deepStrictEqual(room.nightQueue, game.room.nightQueue);
+
+    let now = savedAt + 120 * 1000; // Two minutes of downtime
+    const engine = new GameEngine(room, { clock: { now: () => now }, seed: 42 });
+    engine.resumeAfterRestart(savedAt);
+    assert.strictEqual(engine.getPhaseSecondsLeft(), secondsLeft);
+
+    assert.ok(engine.nightAction('p0', 'kill', 'p3').ok);
+    for (let i = 0; i < secondsLeft + 5 && room.phase === 'night'; i++) {
+        now += 1000;
+        engine.tick();
+    }
+    assert.strictEqual(room.phase, 'day');
+    assert.strictEqual(room.deadPlayers.size, 0); // The protection made before the restart held
+});
+
+// ---- Manipulator ----
+
+const MANIPULATED = [ROLES.MAFIA, ROLES.MANIPULATOR, ROLES.CIVILIAN, ROLES.CIVILIAN, ROLES.CIVILIAN, ROLES.CIVILIAN, ROLES.CIVILIAN];
+
+test('the Manipulator secretly moves a ballot, once a day', () => {
+    const game = startFirstDay(MANIPULATED, { mafiaCount: 2, manipulatorUses: 2 });
+    game.vote('p2', 'p3');
+    game.vote('p4', 'p5');
+    assert.ok(game.run('manipulateVote', 'p1', 'p2', 'p5').ok);
+    assert.strictEqual(game.room.votes.get('p2'), 'p3'); // The voter's ballot looks untouched
+    assert.strictEqual(game.run('manipulateVote', 'p1', null, 'p6').ok, false);
+    assert.strictEqual(game.run('manipulateVote', 'p3', 'p2', 'p6').ok, false); // Not the Manipulator
+    game.advanceUntil('night');
+
+    assert.deepStrictEqual(Array.from(game.room.deadPlayers), ['p5']);
+});
+
+test('a phantom vote counts without a voter and uses are capped per game', () => {
+    const game = startFirstDay(MANIPULATED, { mafiaCount: 2, manipulatorUses: 1 });
+    game.vote('p2', 'p3');
+    game.vote('p4', 'p5');
+    game.run('manipulateVote', 'p1', null, 'p3');
+    game.advanceUntil('night');
+    assert.deepStrictEqual(Array.from(game.room.deadPlayers), ['p3']);
+
+    game.advanceUntil('day');
+    const result = game.run('manipulateVote', 'p1', null, 'p4');
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.error, 'You have no manipulations left this game');
+});
+
+// ---- Police ----
+
+test('White Police learn a player\'s alignment and can share it once with the police chat', () => {
+    const game = startGame([ROLES.MAFIA, ROLES.WHITE_POLICE, ROLES.DETECTIVE, ROLES.CIVILIAN, ROLES.CIVILIAN, ROLES.CIVILIAN]);
+    game.nightAction('p1', 'investigateAlignment', 'p3');
+    assert.deepStrictEqual(game.lastEmit('policeInvestigationResult'), { targetId: 'p3', targetName: 'Player 3', alignment: 'town' });
+
+    assert.strictEqual(game.run('sharePoliceInvestigation', 'p1', 'p4').ok, false); // Never checked
+    assert.strictEqual(game.run('sharePoliceInvestigation', 'p2', 'p3').ok, false); // Someone else's result
+    assert.ok(game.run('sharePoliceInvestigation', 'p1', 'p3').ok);
+    const shared = game.events.filter(e => e.event === 'policeChatMessage').map(e => e.to).sort();
+    assert.deepStrictEqual(shared, ['p1', 'p2']);
+    assert.match(game.lastEmit('policeChatMessage').message, /Player 3 is aligned with Town/);
+
+    const again = game.run('sharePoliceInvestigation', 'p1', 'p3');
+    assert.strictEqual(again.error, 'You have already shared that result');
+});
+
+test('a Black Police shot can be re-aimed until dawn, lands then, and stops once the ammo runs out', () => {
+    const game = startGame([ROLES.MAFIA, ROLES.BLACK_POLICE, ROLES.CIVILIAN, ROLES.CIVILIAN, ROLES.CIVILIAN, ROLES.CIVILIAN, ROLES.CIVILIAN], { blackPoliceAmmo: 1 });
+    game.nightAction('p1', 'shoot', 'p3');
+    assert.ok(game.nightAction('p1', 'shoot', 'p4').ok); // Re-aiming costs no extra ammo
+    assert.strictEqual(game.lastEmit('actionConfirmed').shotsLeft, 0);
+    game.advanceUntil('day');
+    assert.deepStrictEqual(Array.from(game.room.deadPlayers), ['p4']);
+
+    game.advanceUntil('night');
+    const result = game.nightAction('p1', 'shoot', 'p3');
+    assert.strictEqual(result.error, 'You have no uses of that ability left');
+});
+
+test('Gray Police who stay Gray are final, and the deadline gives the rest the host\'s choice', () => {
+    let now = 0;
+    const room = createRoom(7, {
+        roleSetup: { roles: { mafia: 1, gray_police: 2 } },
+        grayPoliceDeadline: 10,
+        grayPoliceTimeout: 'white'
+    });
+    const engine = new GameEngine(room, { clock: { now: () => now }, seed: 7 });
+    engine.startGame();
+    now += 1200;
+    engine.tick();
+    const [stayed, undecided] = Array.from(room.players.values()).filter(p => p.role === ROLES.GRAY_POLICE);
+
+    assert.ok(engine.choosePoliceAlignment(stayed.id, 'gray').ok);
+    const result = engine.choosePoliceAlignment(stayed.id, 'black');
+    assert.strictEqual(result.error, 'You have already committed to staying Gray');
+
+    now += 10000;
+    engine.tick();
+    assert.strictEqual(stayed.role, ROLES.GRAY_POLICE);
+    assert.strictEqual(undecided.role, ROLES.WHITE_POLICE);
+    assert.strictEqual(engine.choosePoliceAlignment(undecided.id, 'black').ok, false);
+});
+
+// ---- Investigation matrix ----
+
+test('investigations read each role the way the room\'s matrix says', () => {
+    const investigationMatrix = RoleRegistry.buildInvestigationMatrix('classic', { doctor: 'suspicious', civilian: 'exact', mafia: 'bogus' });
+    const game = startGame([ROLES.MAFIA, ROLES.DETECTIVE, ROLES.DETECTIVE, ROLES.DETECTIVE, ROLES.DOCTOR, ROLES.CIVILIAN], { investigationMatrix });
+    game.nightAction('p1', 'investigate', 'p4');
+    assert.strictEqual(game.lastEmit('investigationResult').result, 'suspicious');
+    game.nightAction('p2', 'investigate', 'p5');
+    assert.deepStrictEqual(game.lastEmit('investigationResult'), { targetName: 'Player 5', result: 'exact', role: ROLES.CIVILIAN });
+    game.nightAction('p3', 'investigate', 'p0');
+    assert.strictEqual(game.lastEmit('investigationResult').result, 'suspicious'); // Unknown results keep the role's default
+});
+
+test('the Godfather preset makes one Mafia member read innocent', () => {
+    let now = 0;
+    const room = createRoom(6, {
+        roleSetup: { roles: { mafia: 1, detective: 1 } },
+        investigationPreset: 'godfather',
+        investigationMatrix: RoleRegistry.buildInvestigationMatrix('godfather')
+    });
+    const engine = new GameEngine(room, { clock: { now: () => now }, seed: 7 });
+    engine.startGame();
+    for (let i = 0; i < 10 && room.phase !== 'night'; i++) {
+        now += 1000;
+        engine.tick();
+    }
+    const players = Array.from(room.players.values());
+    const mafia = players.find(p => p.role === ROLES.MAFIA);
+    const detective = players.find(p => p.role === ROLES.DETECTIVE);
+    assert.strictEqual(room.godfatherId, mafia.id);
+
+    const result = engine.nightAction(detective.id, 'investigate', mafia.id);
+    assert.strictEqual(result.events.find(e => e.event === 'investigationResult').data.result, 'innocent');
+});
+
+// ---- Mafia kill vote ----
+
+const MAFIA_TRIO = [ROLES.MAFIA, ROLES.MAFIA, ROLES.MAFIA, ROLES.CIVILIAN, ROLES.CIVILIAN, ROLES.CIVILIAN, ROLES.CIVILIAN, ROLES.CIVILIAN];
+
+test('the Mafia kill waits for a majority of the team\'s nominations', () => {
+    const game = startGame(MAFIA_TRIO, { mafiaCount: 3 });
+    game.nightAction('p0', 'kill', 'p3');
+    game.nightAction('p1', 'kill', 'p4');
+    assert.strictEqual(game.room.nightQueue.length, 0);
+
+    game.nightAction('p2', 'kill', 'p4');
+    assert.deepStrictEqual(game.room.nightQueue.map(entry => [entry.action, entry.targetId]), [['kill', 'p4']]);
+    game.advanceUntil('day');
+    assert.deepStrictEqual(Array.from(game.room.deadPlayers), ['p4']);
+});
+
+test('a split Mafia vote kills no one under the no-kill tie rule', () => {
+    const game = startGame(MAFIA_TRIO.slice(1), { mafiaCount: 2, mafiaKillTieRule: 'none' });
+    game.nightAction('p0', 'kill', 'p3');
+    game.nightAction('p1', 'kill', 'p4');
+    game.advanceUntil('day');
+    assert.strictEqual(game.room.deadPlayers.size, 0);
+});
+
+test('in leader mode the kill leader\'s nomination decides the kill', () => {
+    const game = startGame(MAFIA_TRIO, { mafiaCount: 3, mafiaKillMode: 'leader' });
+    const leaderId = game.room.killLeaderId;
+    const memberId = ['p0', 'p1', 'p2'].find(id => id !== leaderId);
+    game.nightAction(memberId, 'kill', 'p3');
+    assert.strictEqual(game.room.nightQueue.length, 0);
+    game.nightAction(leaderId, 'kill', 'p5'); // Settles it, against the other nomination
+    game.advanceUntil('day');
+    assert.deepStrictEqual(Array.from(game.room.deadPlayers), ['p5']);
+});
+
+// ---- Changing night actions ----
+
+const NIGHT_CREW = [ROLES.MAFIA, ROLES.MAFIA, ROLES.DOCTOR, ROLES.DETECTIVE, ROLES.CIVILIAN, ROLES.CIVILIAN, ROLES.CIVILIAN, ROLES.CIVILIAN];
+
+test('a switched protection covers only its new target', () => {
+    const game = startGame(NIGHT_CREW, { mafiaCount: 2 });
+    game.nightAction('p2', 'protect', 'p4');
+    game.nightAction('p2', 'protect', 'p5');
+    assert.strictEqual(game.lastEmit('actionConfirmed').changed, true);
+    assert.strictEqual(game.nightAction('p2', 'protect', 'p5').ok, false);
+    game.nightAction('p0', 'kill', 'p4');
+    game.nightAction('p1', 'kill', 'p4');
+    game.advanceUntil('day');
+
+    assert.deepStrictEqual(Array.from(game.room.deadPlayers), ['p4']);
+});
+
+test('cancelled protections and withdrawn nominations are undone before dawn', () => {
+    const game = startGame(NIGHT_CREW, { mafiaCount: 2 });
+    game.nightAction('p2', 'protect', 'p4');
+    assert.ok(game.run('cancelNightAction', 'p2', 'protect').ok);
+    assert.strictEqual(game.run('cancelNightAction', 'p2', 'protect').error, 'You have nothing to cancel tonight');
+
+    game.nightAction('p3', 'investigate', 'p0');
+    assert.strictEqual(game.run('cancelNightAction', 'p3', 'investigate').error, 'That action is final once made');
+
+    game.nightAction('p0', 'kill', 'p4');
+    game.nightAction('p1', 'kill', 'p4');
+    assert.strictEqual(game.room.nightQueue.length, 1);
+    game.run('cancelNightAction', 'p1', 'kill');
+    assert.strictEqual(game.room.nightQueue.length, 0); // The kill is undecided again
+    game.nightAction('p1', 'kill', 'p4');
+    game.advanceUntil('day');
+
+    assert.deepStrictEqual(Array.from(game.room.deadPlayers), ['p4']);
+});
+
+// ---- Last wills ----
+
+test('a last will is revealed with its author\'s death and sealed from then on', () => {
+    const game = startGame(TOWN);
+    game.run('setLastWill', 'p3', `  I checked Player 5. ${'x'.repeat(GameEngine.LAST_WILL_MAX_LENGTH)}`);
+    game.run('setLastWill', 'p4', 'Vote Player 1');
+    game.run('setLastWill', 'p4', '   '); // Cleared
+    game.nightAction('p0', 'kill', 'p3');
+    game.advanceUntil('day');
+
+    const nightDeath = game.lastEmit('playerEliminated');
+    assert.strictEqual(nightDeath.lastWill.length, GameEngine.LAST_WILL_MAX_LENGTH);
+    assert.ok(nightDeath.lastWill.startsWith('I checked Player 5.'));
+    assert.strictEqual(game.run('setLastWill', 'p3', 'Changed my mind').error, 'Your last will is sealed');
+
+    game.vote('p2', 'p4');
+    game.advanceUntil('night');
+    assert.strictEqual(game.lastEmit('playerEliminated').lastWill, null);
+});
+
+// ---- Role reveal ----
+
+test('deaths reveal only the alignment in alignment mode', () => {
+    const game = startGame(TOWN, { roleRevealMode: 'alignment' });
+    game.nightAction('p0', 'kill', 'p1');
+    game.advanceUntil('day');
+
+    const death = game.lastEmit('playerEliminated');
+    assert.strictEqual(death.alignment, 'town');
+    assert.strictEqual(death.role, undefined);
+});
+
+test('deaths reveal nothing in no-reveal mode, but the game over reveals everyone', () => {
+    const game = startFirstDay(TOWN, { roleRevealMode: 'none' });
+    game.vote('p2', 'p0');
+    game.advanceUntil('gameOver');
+
+    const death = game.lastEmit('playerEliminated');
+    assert.strictEqual(death.role, undefined);
+    assert.strictEqual(death.alignment, undefined);
+    const revealed = game.lastEmit('gameOver').revealedPlayers;
+    assert.deepStrictEqual(revealed[0], { name: 'Player 0', role: ROLES.MAFIA, alignment: 'mafia', alive: false });
+    assert.strictEqual(revealed.length, TOWN.length);
+});
+
+// ---- Host timer controls ----
+
+test('a paused game holds its phase and countdown until the host resumes it', () => {
+    const game = startGame(TOWN);
+    game.advance(5);
+    assert.ok(game.run('pauseGame').ok);
+    const left = game.room.timeRemaining;
+    assert.strictEqual(game.run('pauseGame').error, 'The game is already paused');
+
+    game.advance(600);
+    assert.strictEqual(game.room.phase, 'night');
+    game.run('resumeGame');
+    assert.strictEqual(game.room.timeRemaining, left);
+
+    game.run('extendPhase', 30);
+    assert.strictEqual(game.room.timeRemaining, left + 30);
+    assert.strictEqual(game.run('extendPhase', 0).ok, false);
+    game.advance(left);
+    assert.strictEqual(game.room.phase, 'night');
+    game.advanceUntil('day', 30);
+});
+
+test('skipping a phase ends it at once, even while paused', () => {
+    const game = startGame(TOWN);
+    game.nightAction('p0', 'kill', 'p3');
+    game.run('pauseGame');
+    assert.ok(game.run('skipPhase').ok);
+
+    assert.strictEqual(game.room.phase, 'day');
+    assert.strictEqual(game.room.paused, null);
+    assert.deepStrictEqual(Array.from(game.room.deadPlayers), ['p3']);
+});